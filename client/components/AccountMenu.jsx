@@ -0,0 +1,62 @@
+// AccountMenu.jsx
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useTranslation } from "../i18n";
+
+/**
+ * Signed-in user and today's quota use, with Sign in / Sign out
+ * and a link to the usage report for administrators.
+ * Renders nothing when the server runs with AUTH=off.
+ */
+export default function AccountMenu() {
+  const [account, setAccount] = useState(null);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    fetch("/auth/me")
+      .then((res) => res.json())
+      .then(setAccount)
+      .catch((err) => console.error("Failed to load account:", err));
+  }, []);
+
+  async function signOut() {
+    await fetch("/auth/logout", { method: "POST" });
+    window.location.assign("/login");
+  }
+
+  if (!account?.authEnabled) return null;
+
+  if (!account.user) {
+    return (
+      <Link to="/login" className="text-sm text-blue-600 hover:underline">
+        {t("app.signIn")}
+      </Link>
+    );
+  }
+
+  const { username, admin, quotas, usage } = account.user;
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      {admin && (
+        <Link to="/usage" className="text-blue-600 hover:underline">
+          {t("account.usage")}
+        </Link>
+      )}
+      <span
+        className="text-gray-700"
+        title={t("account.today", {
+          sessions: usage.sessions,
+          sessionLimit: quotas.sessionsPerDay,
+          minutes: usage.evaluationMinutes,
+          minuteLimit: quotas.evaluationMinutesPerDay,
+        })}
+      >
+        {username}
+      </span>
+      <button onClick={signOut} className="text-blue-600 hover:underline">
+        {t("account.signOut")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+// AnnotatedTranscript.jsx
+
+import { useState } from "react";
+import { useTranslation } from "../i18n";
+
+// Tailwind classes per error category
+const CATEGORY_STYLES = {
+  grammar: { mark: "bg-red-100 border-b-2 border-red-400", badge: "bg-red-100 text-red-800" },
+  vocabulary: { mark: "bg-yellow-100 border-b-2 border-yellow-400", badge: "bg-yellow-100 text-yellow-800" },
+  pronunciation: { mark: "bg-purple-100 border-b-2 border-purple-400", badge: "bg-purple-100 text-purple-800" },
+  fluency: { mark: "bg-blue-100 border-b-2 border-blue-400", badge: "bg-blue-100 text-blue-800" },
+  listening_comprehension: { mark: "bg-green-100 border-b-2 border-green-400", badge: "bg-green-100 text-green-800" },
+};
+const FALLBACK_STYLE = { mark: "bg-gray-100 border-b-2 border-gray-400", badge: "bg-gray-100 text-gray-800" };
+
+const styleFor = (category) => CATEGORY_STYLES[category] || FALLBACK_STYLE;
+
+// Error categories share their keys with the rubric skills
+const categoryLabel = (t, category) => t(`skill.${category}`, { fallback: category.replace(/_/g, " ") });
+
+/**
+ * Split a turn's text into plain and highlighted segments.
+ * Overlapping spans are cut at every boundary; a segment lists every annotation covering it.
+ */
+function segmentTurn(text, annotations) {
+  const cuts = new Set([0, text.length]);
+  annotations.forEach((a) => {
+    cuts.add(a.start);
+    cuts.add(a.end);
+  });
+  const points = [...cuts].sort((a, b) => a - b);
+
+  return points.slice(0, -1).map((start, i) => {
+    const end = points[i + 1];
+    return {
+      text: text.slice(start, end),
+      end,
+      annotations: annotations.filter((a) => a.start < end && start < a.end),
+    };
+  });
+}
+
+function TurnAnnotations({ annotations, numberOf }) {
+  const { t } = useTranslation();
+
+  return (
+    <ul className="mt-1 space-y-1">
+      {annotations.map((a) => (
+        <li key={numberOf(a)} className="text-xs flex gap-2 items-start">
+          <span className="text-gray-400">{numberOf(a)}.</span>
+          <span className={`px-1.5 rounded ${styleFor(a.category).badge}`}>
+            {categoryLabel(t, a.category)}
+          </span>
+          <span>
+            <span className="line-through text-gray-500">{a.text}</span>
+            {" → "}
+            <span className="font-medium text-green-700">{a.correction}</span>
+            {a.explanation && <span className="text-gray-600"> — {a.explanation}</span>}
+            {a.source === "interviewer" && <span className="text-gray-400"> {t("transcript.notedLive")}</span>}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Transcript with the evaluation's error annotations highlighted in the candidate's turns.
+ * `conversation` is the turn array from buildTextConversation; annotations index into it.
+ */
+export default function AnnotatedTranscript({ conversation, annotations = [], skills = [] }) {
+  const [skillFilter, setSkillFilter] = useState("all");
+  const { t } = useTranslation();
+
+  const visible = annotations.filter((a) => skillFilter === "all" || a.skill === skillFilter);
+  // Stable numbering across the whole transcript so the marks and the notes match up
+  const numberOf = (annotation) => visible.indexOf(annotation) + 1;
+  const countFor = (key) => annotations.filter((a) => a.skill === key).length;
+  const filters = [
+    { key: "all", label: t("transcript.all") },
+    ...skills.map((skill) => ({ ...skill, label: t(`skill.${skill.key}`, { fallback: skill.label }) })),
+  ];
+
+  return (
+    <div className="p-4">
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <span className="text-gray-500">{t("transcript.show")}</span>
+        {filters.map((skill) => (
+          <button
+            key={skill.key}
+            onClick={() => setSkillFilter(skill.key)}
+            className={`px-2 py-0.5 rounded-full border ${
+              skillFilter === skill.key
+                ? "border-blue-500 bg-blue-50 text-blue-700"
+                : "border-gray-300 text-gray-600"
+            }`}
+          >
+            {skill.label} ({skill.key === "all" ? annotations.length : countFor(skill.key)})
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-3">
+        {conversation.map((turn, index) => {
+          const turnAnnotations = visible.filter((a) => a.turn_index === index);
+
+          if (turn.role !== "user") {
+            return (
+              <div key={index} className="text-sm text-gray-500">
+                <span className="font-medium">{t("transcript.interviewer")}</span> {turn.text}
+              </div>
+            );
+          }
+
+          return (
+            <div key={index} className="text-sm">
+              <span className="font-medium text-blue-700">{t("transcript.candidate")}</span>{" "}
+              {segmentTurn(turn.text, turnAnnotations).map((segment, i) =>
+                segment.annotations.length ? (
+                  <mark
+                    key={i}
+                    className={`rounded-sm ${styleFor(segment.annotations[0].category).mark}`}
+                    title={segment.annotations.map((a) => `${categoryLabel(t, a.category)}: ${a.correction}`).join("\n")}
+                  >
+                    {segment.text}
+                    {/* Number each span once, where it ends */}
+                    <sup className="text-gray-500">
+                      {segment.annotations
+                        .filter((a) => a.end === segment.end)
+                        .map(numberOf)
+                        .join(",")}
+                    </sup>
+                  </mark>
+                ) : (
+                  <span key={i}>{segment.text}</span>
+                )
+              )}
+              {turnAnnotations.length > 0 && (
+                <TurnAnnotations annotations={turnAnnotations} numberOf={numberOf} />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,68 +1,259 @@
 // App.jsx
 
 import { useState, useRef, useEffect } from "react";
+import { Link } from "react-router-dom";
 import SessionControls from "./SessionControls";
 import EvaluationPanel from "./EvaluationPanel";
 import EventLog from "./EventLog";
+import AnnotatedTranscript from "./AnnotatedTranscript";
+import AccountMenu from "./AccountMenu";
+import PracticePanel from "./PracticePanel";
+import MicrophoneCheck from "./MicrophoneCheck";
+import {
+  createLiveAssessment,
+  applyToolCall,
+  needsFollowUpResponse,
+} from "../lib/liveAssessment";
+import { applyPracticeToolCall, createPracticeLog } from "../lib/practiceLog";
+import { applyEstimate, createAdaptiveDifficulty, isEstimateDue } from "../lib/adaptiveDifficulty";
+import {
+  createStageProgress,
+  currentStage,
+  enterStage,
+  recordUserTurn,
+  stageToAdvanceTo,
+  summarizeStageProgress,
+} from "../lib/stageTracker";
+import { composeInstructions } from "../lib/sessionInstructions";
+import { createRealtimeTransport } from "../lib/realtimeTransport";
+import { createTrackRecorder, uploadRecording } from "../lib/audioRecorder";
+import {
+  DEFAULT_MIC_SETTINGS,
+  loadMicSettings,
+  saveMicSettings,
+  setMicEnabled,
+  turnDetectionFor,
+} from "../lib/microphone";
+import { analyzeFluency } from "../lib/fluency";
+import { responseError } from "../lib/api";
+import {
+  clearPendingEvaluation,
+  loadPendingEvaluation,
+  rememberPendingEvaluation,
+  submitEvaluation,
+  watchEvaluation,
+} from "../lib/evaluationJobs";
+import { INTERFACE_LANGUAGES, setInterfaceLanguage, useTranslation } from "../i18n";
+
+// Wait before each attempt to restore a dropped connection
+const RECONNECT_DELAYS_MS = [1000, 3000, 8000];
+
+// Push-to-talk: WebRTC audio trails the button a little, so the mic stays open this long after release
+const TALK_RELEASE_TAIL_MS = 300;
+// Presses shorter than this are dropped rather than committed (the API rejects near-empty buffers)
+const MIN_TALK_MS = 200;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
  * Main app entry point. Manages:
  * - WebRTC handshake
  * - DataChannel for message exchange
  * - Storing conversation events
- * - Handling final structured evaluation
+ * - Handling the interviewer's live assessment tool calls
+ * - Tracking interview stages and pushing stage instructions
+ * - Re-targeting the interviewer's difficulty from a running level estimate
+ * - Reconnecting and resuming the conversation when the connection drops
+ * - The microphone: device choice, mute, and push-to-talk or tuned server VAD turn-taking
+ * - Recording session audio when the candidate consents
+ * - Queueing the final structured evaluation and following the job, across reloads
+ * - Practice (tutor) sessions with a vocabulary list and a practice summary
+ * - The interface language, and the language the evaluator writes its feedback in
  */
 export default function App() {
   const [isSessionActive, setIsSessionActive] = useState(false);
   const [events, setEvents] = useState([]);
   const [dataChannel, setDataChannel] = useState(null);
   const [evaluationResults, setEvaluationResults] = useState(null);
-  const [languageChoice, setLanguageChoice] = useState("Chinese");
+  const [languages, setLanguages] = useState([]);
+  // Empty until /languages names the server's default; the server treats it as that default meanwhile
+  const [languageChoice, setLanguageChoice] = useState("");
+  const [rubrics, setRubrics] = useState([]);
+  const [rubricChoice, setRubricChoice] = useState("cefr");
+  const [scenarios, setScenarios] = useState([]);
+  // Role-play scenario id; empty for the standard interview
+  const [scenarioChoice, setScenarioChoice] = useState("");
   const [sessionStartTime, setSessionStartTime] = useState(null);
+  const [liveAssessment, setLiveAssessment] = useState(createLiveAssessment);
+  const [stageProgress, setStageProgress] = useState(null);
+  const [recordAudio, setRecordAudio] = useState(false);
+  // Grade with several independent raters instead of one
+  const [ensembleGrading, setEnsembleGrading] = useState(false);
+  // Turns of the last finished session, for the annotated transcript
+  const [transcript, setTranscript] = useState([]);
+  // Sign-in, rate-limit and quota problems reported by the server
+  const [notice, setNotice] = useState(null);
+  // Tokens and estimated cost of the last session, returned with its evaluation
+  const [usage, setUsage] = useState(null);
+  // "exam" grades the session; "tutor" is an ungraded practice conversation
+  const [modeChoice, setModeChoice] = useState("exam");
+  // Mode of the current or last session, so changing the picker doesn't hide its results
+  const [sessionMode, setSessionMode] = useState("exam");
+  const [practiceLog, setPracticeLog] = useState(createPracticeLog);
+  const [practiceSummary, setPracticeSummary] = useState(null);
+  const [summarizing, setSummarizing] = useState(false);
+  const [adaptiveDifficulty, setAdaptiveDifficulty] = useState(createAdaptiveDifficulty);
+  const [reconnecting, setReconnecting] = useState(false);
+  // Status of the evaluation job for the last session, while it's queued, running or after it failed
+  const [evaluationJob, setEvaluationJob] = useState(null);
+  const [feedbackLanguages, setFeedbackLanguages] = useState([]);
+  // Language for the evaluator's feedback; null follows the interface language
+  const [feedbackChoice, setFeedbackChoice] = useState(null);
+  const { language: interfaceLanguage, t } = useTranslation();
+  const feedbackLanguage = feedbackChoice || interfaceLanguage.feedbackLanguage;
+  const [micSettings, setMicSettings] = useState(DEFAULT_MIC_SETTINGS);
+  // The session's microphone, and whether it's muted or held open for push-to-talk
+  const [micStream, setMicStream] = useState(null);
+  const [muted, setMuted] = useState(false);
+  const [talking, setTalking] = useState(false);
 
-  const peerConnection = useRef(null);
+  const transportRef = useRef(null);
   const audioRef = useRef(null);
+  // Mirrors liveAssessment so tool outputs are computed from the latest state
+  const liveAssessmentRef = useRef(liveAssessment);
+  // Same for the stage tracker, which is advanced from event handlers and a timer
+  const stageProgressRef = useRef(stageProgress);
+  // And for the tutor's vocabulary and corrections in practice mode
+  const practiceLogRef = useRef(practiceLog);
+  // And for the running level estimate; estimatingRef stops estimates from overlapping
+  const adaptiveRef = useRef(adaptiveDifficulty);
+  const estimatingRef = useRef(false);
+  // Transcript turns as they complete, for level estimates and for resuming after a drop
+  const turnsRef = useRef([]);
+  // /token query of the current session, reused to resume it
+  const tokenParamsRef = useRef(null);
+  // Single-use grant from the last /token response that lets the server reopen this session
+  const resumeGrantRef = useRef(null);
+  // The drop being recovered from ({ lostAt, micStream, cancelled }), and every finished gap
+  const reconnectRef = useRef(null);
+  const gapsRef = useRef([]);
+  // Microphone settings fixed at the start of the session
+  const sessionMicRef = useRef(micSettings);
+  // The push-to-talk turn being spoken ({ itemId, startedAt }), and the one awaiting its commit
+  const talkRef = useRef(null);
+  const committingRef = useRef(null);
+  // Mode, base instructions and stage plan returned by /token
+  const interviewRef = useRef(null);
+  // Active MediaRecorders by track ("mic", "assistant") and the consent they were started under
+  const recordersRef = useRef({});
+  const recordingConsentRef = useRef(null);
+  // Id of the evaluation job being followed, and the request behind it for a manual retry
+  const followedJobRef = useRef(null);
+  const evaluationRequestRef = useRef(null);
 
   /**
-   * Start a Realtime session (WebRTC, ephemeral token, DataChannel)
+   * Start a Realtime session (ephemeral token, WebRTC or mock transport, DataChannel)
    */
   async function startSession() {
+    setNotice(null);
+    const params = new URLSearchParams({ language: languageChoice, mode: modeChoice });
+    if (scenarioChoice) params.set("scenario", scenarioChoice);
+    const res = await fetch(`/token?${params}`);
+    if (!res.ok) {
+      const error = await responseError(res, "Could not start a session");
+      setNotice({ message: error.message, signIn: error.status === 401 });
+      return;
+    }
+    const tokenJSON = await res.json();
+    tokenParamsRef.current = params;
+    resumeGrantRef.current = tokenJSON.resume_grant;
+
     // Clear any prior final evaluation
     setEvaluationResults(null);
+    setEvaluationJob(null);
+    followedJobRef.current = null;
+    setUsage(null);
+    setPracticeSummary(null);
+    setTranscript([]);
     setSessionStartTime(Date.now());
+    liveAssessmentRef.current = createLiveAssessment();
+    setLiveAssessment(liveAssessmentRef.current);
+    practiceLogRef.current = createPracticeLog();
+    setPracticeLog(practiceLogRef.current);
+    adaptiveRef.current = createAdaptiveDifficulty();
+    setAdaptiveDifficulty(adaptiveRef.current);
+    turnsRef.current = [];
+    gapsRef.current = [];
+    reconnectRef.current = null;
+    recordersRef.current = {};
+    sessionMicRef.current = micSettings;
+    talkRef.current = null;
+    committingRef.current = null;
+    setMuted(false);
+    setTalking(false);
+    recordingConsentRef.current = recordAudio
+      ? { given: true, givenAt: new Date().toISOString() }
+      : null;
 
-    const res = await fetch(`/token?language=${encodeURIComponent(languageChoice)}`);
-    const tokenJSON = await res.json();
-
-    const ephemeralKey = tokenJSON.client_secret.value;
-    const pc = new RTCPeerConnection();
+    interviewRef.current = tokenJSON.interview;
+    setSessionMode(tokenJSON.interview.mode);
+    // Practice sessions have no stage plan to track
+    stageProgressRef.current = tokenJSON.interview.stages.length
+      ? createStageProgress(tokenJSON.interview.stages)
+      : null;
+    setStageProgress(stageProgressRef.current);
 
     // Setup audio
     const audioElement = document.createElement("audio");
     audioElement.autoplay = true;
     document.body.appendChild(audioElement);
     audioRef.current = audioElement;
-    
-    pc.ontrack = (ev) => {
-      if (ev.streams && ev.streams[0]) {
-        audioRef.current.srcObject = ev.streams[0];
-        console.log("Audio track received:", ev.streams[0].getAudioTracks());
-        audioRef.current.play().catch(e => console.error("Audio play failed:", e));
-      }
-    };
 
-    // Capture user mic
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    pc.addTrack(stream.getTracks()[0]);
+    const transport = await openTransport(tokenJSON);
+
+    // With push-to-talk the mic only sends audio while the talk button is held
+    setMicEnabled(transport.micStream, !micSettings.pushToTalk);
+    setMicStream(transport.micStream || null);
+
+    if (recordingConsentRef.current && transport.micStream) {
+      recordersRef.current.mic = createTrackRecorder(transport.micStream);
+    }
+  }
 
-    // Data channel for JSON events
-    const dc = pc.createDataChannel("evaluation-events");
+  /**
+   * Connect to the interviewer: WebRTC with OpenAI, or the scripted channel with the mock provider.
+   * When resuming ({ lostAt }), the open channel gets the earlier turns instead of a fresh start.
+   */
+  async function openTransport(tokenJSON, { resume = null, micStream = null } = {}) {
+    const transport = createRealtimeTransport(tokenJSON, {
+      audioElement: audioRef.current,
+      deviceId: sessionMicRef.current.deviceId,
+      micStream,
+      onRemoteStream: (stream) => {
+        if (recordingConsentRef.current && !recordersRef.current.assistant) {
+          recordersRef.current.assistant = createTrackRecorder(stream);
+        }
+      },
+      onConnectionLost: () => handleConnectionLost(transport),
+    });
+    const dc = transport.dataChannel;
     setDataChannel(dc);
 
     // When data channel is open, we have a "live" session
     dc.addEventListener("open", () => {
+      if (resume) {
+        resumeConversation(dc, tokenJSON, resume.lostAt);
+        return;
+      }
+
       setIsSessionActive(true);
       setEvents([]);
+      pushTurnDetection(dc);
+
+      // Give the interviewer its first stage before it starts speaking
+      if (stageProgressRef.current) {
+        pushSessionInstructions(stageProgressRef.current, dc);
+      }
 
       // Trigger the model to start speaking immediately
       sendEventToModel({
@@ -70,39 +261,124 @@ export default function App() {
         response: {
           modalities: ["text", "audio"]
         }
-      });
+      }, dc);
     });
 
-    dc.addEventListener("message", (e) => {
-      const evt = JSON.parse(e.data);
-      setEvents((prev) => [evt, ...prev]);
+    try {
+      await transport.connect();
+    } catch (error) {
+      transport.close({ keepMic: Boolean(micStream) });
+      throw error;
+    }
+    transportRef.current = transport;
+    return transport;
+  }
+
+  /**
+   * The connection dropped mid-session: keep the mic, then try a few times to
+   * open a new Realtime session and pick the conversation up where it stopped
+   */
+  async function handleConnectionLost(lostTransport) {
+    if (transportRef.current !== lostTransport) return;
+
+    const lostAt = Date.now();
+    const micStream = lostTransport.micStream;
+    lostTransport.close({ keepMic: true });
+    transportRef.current = null;
+    setDataChannel(null);
+    setReconnecting(true);
+    const attempt = { lostAt, micStream, cancelled: false };
+    reconnectRef.current = attempt;
+
+    for (const delay of RECONNECT_DELAYS_MS) {
+      await wait(delay);
+      if (attempt.cancelled) return;
+      try {
+        const params = new URLSearchParams(tokenParamsRef.current);
+        params.set("resume", "1");
+        if (resumeGrantRef.current) params.set("resumeGrant", resumeGrantRef.current);
+        const res = await fetch(`/token?${params}`);
+        if (!res.ok) throw await responseError(res, "Could not resume the session");
+        const tokenJSON = await res.json();
+        resumeGrantRef.current = tokenJSON.resume_grant;
+        if (attempt.cancelled) return;
+
+        await openTransport(tokenJSON, { resume: { lostAt }, micStream });
+        return;
+      } catch (error) {
+        console.error("Reconnect attempt failed:", error.message);
+      }
+    }
+
+    setReconnecting(false);
+    setNotice({
+      message: t("app.connectionFailed"),
     });
+  }
 
-    // WebRTC handshake
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
+  /**
+   * First thing on a restored connection: log the gap, restore the instructions,
+   * replay the earlier turns as conversation items and let the interviewer carry on
+   */
+  function resumeConversation(dc, tokenJSON, lostAt) {
+    const resumedAt = Date.now();
+    gapsRef.current = [...gapsRef.current, { lostAt, resumedAt }];
+    reconnectRef.current = null;
+    setReconnecting(false);
 
-    const realtimeUrl = "https://api.openai.com/v1/realtime";
-    const postOffer = await fetch(
-      `${realtimeUrl}?model=gpt-4o-mini-realtime-preview`,
+    // Marks the gap in the event log so the fluency analysis leaves it out
+    setEvents((prev) => [
       {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${ephemeralKey}`,
-          "Content-Type": "application/sdp",
+        type: "client.connection_resumed",
+        event_id: crypto.randomUUID(),
+        lost_at: lostAt,
+        received_at: resumedAt,
+      },
+      ...prev,
+    ]);
+
+    // The new session starts with default turn-taking, and its instructions tell the interviewer not to start over
+    pushTurnDetection(dc);
+    pushSessionInstructions(stageProgressRef.current, dc, tokenJSON.interview.instructions);
+    for (const turn of turnsRef.current) {
+      sendEventToModel({
+        type: "conversation.item.create",
+        item: {
+          type: "message",
+          role: turn.role,
+          content: [
+            turn.role === "user"
+              ? { type: "input_text", text: turn.text }
+              : { type: "text", text: turn.text },
+          ],
         },
-        body: offer.sdp,
+      }, dc);
+    }
+    sendEventToModel({
+      type: "response.create",
+      response: {
+        modalities: ["text", "audio"]
       }
-    );
-    const answerSDP = await postOffer.text();
-    await pc.setRemoteDescription({ type: "answer", sdp: answerSDP });
+    }, dc);
+  }
 
-    peerConnection.current = pc;
+  /**
+   * Stop every active recorder and collect the finished tracks
+   */
+  async function stopRecorders() {
+    const entries = await Promise.all(
+      Object.entries(recordersRef.current).map(async ([track, recorder]) => [
+        track,
+        await recorder.stop(),
+      ]),
+    );
+    recordersRef.current = {};
+    return Object.fromEntries(entries);
   }
 
   /**
    * End the session
-   * Then call finalEvaluation with full conversation
+   * Then queue the final evaluation of the full conversation (or practiceSummary in tutor mode)
    */
   async function stopSession() {
     console.log("Stopping session...");
@@ -115,14 +391,25 @@ export default function App() {
     }, {});
     console.log("Event types distribution:", eventTypes);
   
-    // 1) Close data channel + peer
-    if (dataChannel) dataChannel.close();
-    if (peerConnection.current) {
-      peerConnection.current.close();
+    // 1) Finish recordings while the streams are still live, then close data channel + peer
+    const recordings = await stopRecorders();
+    if (transportRef.current) {
+      transportRef.current.close();
+    }
+    // Give up on a reconnect in progress; the time since the drop counts as offline
+    if (reconnectRef.current) {
+      reconnectRef.current.cancelled = true;
+      reconnectRef.current.micStream?.getTracks().forEach((track) => track.stop());
+      gapsRef.current = [...gapsRef.current, { lostAt: reconnectRef.current.lostAt, resumedAt: Date.now() }];
+      reconnectRef.current = null;
+      setReconnecting(false);
     }
     setIsSessionActive(false);
     setDataChannel(null);
-    peerConnection.current = null;
+    transportRef.current = null;
+    setMicStream(null);
+    setTalking(false);
+    talkRef.current = null;
   
     // 2) Build entire text conversation from events
     const textConversation = buildTextConversation(events);
@@ -133,68 +420,157 @@ export default function App() {
       return;
     }
   
+    setTranscript(textConversation);
     console.log("Built conversation:", textConversation);
     console.log("Conversation length:", textConversation.length);
     console.log("Sample messages:", textConversation.slice(0, 2));
-  
-    // 3) Call finalEvaluation route
+
+    // Time offline after a dropped connection isn't part of the conversation
+    const offlineMs = gapsRef.current.reduce((sum, gap) => sum + (gap.resumedAt - gap.lostAt), 0);
+    const duration = Date.now() - sessionStartTime - offlineMs;
+
+    // Speech timing from the event log, counted in the language's length unit
+    const fluency = analyzeFluency([...events].reverse(), {
+      lengthUnit: languages.find((l) => l.name === languageChoice)?.metrics?.lengthUnit,
+    });
+
+    // 3) Store the session so it can be reopened from the history screen
+    let sessionId = null;
     try {
-      const finalResp = await fetch("/finalEvaluation", {
+      const saveResp = await fetch("/sessions", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ 
+        body: JSON.stringify({
+          mode: interviewRef.current.mode,
+          language: languageChoice,
+          rubric: rubricChoice,
+          scenario: interviewRef.current.scenario?.id,
+          duration,
           conversation: textConversation,
-          duration: Date.now() - sessionStartTime
+          events: [...events].reverse(),
+          liveAssessment: liveAssessmentRef.current,
+          stageProgress: stageProgressRef.current && summarizeStageProgress(stageProgressRef.current),
+          recordingConsent: recordingConsentRef.current,
+          fluency,
+          practiceLog: interviewRef.current.mode === "tutor" ? practiceLogRef.current : undefined,
+          adaptiveDifficulty: adaptiveRef.current,
+          interviewId: interviewRef.current.id,
         }),
       });
-      
-      if (!finalResp.ok) {
-        const errorText = await finalResp.text();
-        console.error("Evaluation failed:", finalResp.status, errorText);
-        throw new Error(`Evaluation failed: ${errorText}`);
-      }
-      
-      const data = await finalResp.json();
-      if (data.success) {
-        setEvaluationResults(data.evaluation);
+      if (saveResp.ok) {
+        sessionId = (await saveResp.json()).id;
+
+        // Upload audio in the background, one track after the other; the evaluation doesn't wait for it
+        (async () => {
+          for (const [track, recording] of Object.entries(recordings)) {
+            await uploadRecording(sessionId, track, recording).catch((error) =>
+              console.error(error.message)
+            );
+          }
+        })();
       } else {
-        throw new Error(data.error || 'Evaluation failed');
+        console.error("Saving session failed:", saveResp.status, await saveResp.text());
       }
     } catch (error) {
-      console.error('Evaluation error:', error);
-      setEvaluationResults({
-        skills: {
-          pronunciation: { score: 0 },
-          grammar: { score: 0 },
-          vocabulary: { score: 0 },
-          fluency: { score: 0 },
-          listening_comprehension: { score: 0 }
-        },
-        conversation_depth: {
-          topics_discussed: [],
-          complexity_achieved: 0,
-          substantive_discussion: false,
-          longest_response_quality: 0
-        },
-        quantitative_measures: {
-          response_rate: 0,
-          average_response_length: 0,
-          grammar_accuracy: 0,
-          vocabulary_range: 0
-        },
-        final_scores: {
-          overall_score: 0,
-          cefr_level: 'Below A1',
-          recommended_level: 'Beginner'
+      console.error("Saving session failed:", error);
+    }
+  
+    if (interviewRef.current.mode === "tutor") {
+      await requestPracticeSummary({ conversation: textConversation, duration, sessionId });
+      return;
+    }
+
+    // 4) Queue the final evaluation and follow the job until it's done
+    await requestEvaluation({
+      conversation: textConversation,
+      duration,
+      language: languageChoice,
+      rubric: rubricChoice,
+      scenario: interviewRef.current.scenario?.id,
+      sessionId,
+      liveAssessment: liveAssessmentRef.current,
+      stageProgress: summarizeStageProgress(stageProgressRef.current),
+      fluency,
+      feedbackLanguage,
+      ...(ensembleGrading && { ensemble: true }),
+    });
+  }
+
+  /**
+   * Submit an evaluation job, remember it for a reload, and wait for its result
+   */
+  async function requestEvaluation(body) {
+    evaluationRequestRef.current = body;
+    setEvaluationJob({ status: "queued", attempts: 0 });
+    try {
+      // A fresh key per request; the helper reuses it if the submission has to be sent again
+      const job = await submitEvaluation(body, crypto.randomUUID());
+      rememberPendingEvaluation({ jobId: job.id, conversation: body.conversation });
+      await followEvaluation(job);
+    } catch (error) {
+      console.error("Evaluation error:", error);
+      // Signed out, rate-limited or over quota: say so rather than showing zero scores
+      setEvaluationJob({ status: "failed", error: error.message });
+      setNotice({ message: error.message, signIn: error.status === 401 });
+    }
+  }
+
+  /**
+   * Follow a queued evaluation's progress until it succeeds or gives up
+   */
+  async function followEvaluation(job) {
+    followedJobRef.current = job.id;
+    setEvaluationJob(job);
+    const finished = await watchEvaluation(job.id, {
+      onUpdate: setEvaluationJob,
+      onProgress: (progress) => setEvaluationJob((current) => ({ ...current, progress })),
+      isCancelled: () => followedJobRef.current !== job.id,
+    });
+    if (!finished) return;
+
+    clearPendingEvaluation();
+    if (finished.status === "succeeded") {
+      setEvaluationResults(finished.evaluation);
+      setUsage(finished.usage);
+    }
+  }
+
+  /**
+   * Practice sessions end with a summary of new words and recurring mistakes instead of grades
+   */
+  async function requestPracticeSummary({ conversation, duration, sessionId }) {
+    setSummarizing(true);
+    try {
+      const res = await fetch("/practiceSummary", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
         },
-        critical_feedback: {
-          major_weaknesses: ['Unable to complete evaluation: ' + error.message],
-          required_improvements: [],
-          study_recommendations: []
-        }
+        body: JSON.stringify({
+          conversation,
+          duration,
+          language: languageChoice,
+          sessionId,
+          vocabulary: practiceLogRef.current.vocabulary,
+          corrections: practiceLogRef.current.corrections,
+          feedbackLanguage,
+        }),
       });
+      if (!res.ok) {
+        const error = await responseError(res, "Could not write the practice summary");
+        setNotice({ message: error.message, signIn: error.status === 401 });
+        return;
+      }
+      const data = await res.json();
+      setPracticeSummary(data.practiceSummary);
+      setUsage(data.usage);
+    } catch (error) {
+      console.error("Practice summary error:", error);
+      setNotice({ message: t("app.practiceSummaryFailed", { error: error.message }) });
+    } finally {
+      setSummarizing(false);
     }
   }
 
@@ -214,7 +590,8 @@ export default function App() {
     const messageBuffer = new Map(); // Store messages by their ID
     
     // Process events in chronological order (oldest first)
-    for (const ev of allEvents.reverse()) {
+    // Copy before reversing so the stored event log keeps its order
+    for (const ev of [...allEvents].reverse()) {
       console.log("Processing event:", ev.type, ev);
   
       // Handle user audio transcriptions
@@ -243,14 +620,171 @@ export default function App() {
 
   /**
    * Send any event object to the model over dataChannel
+   * (or an explicit channel, before the dataChannel state has updated)
    */
-  function sendEventToModel(evt) {
-    if (!dataChannel) return;
+  function sendEventToModel(evt, channel = dataChannel) {
+    if (!channel) return;
     evt.event_id = evt.event_id || crypto.randomUUID();
-    dataChannel.send(JSON.stringify(evt));
+    channel.send(JSON.stringify(evt));
     setEvents((prev) => [evt, ...prev]);
   }
 
+  /**
+   * Replace the session instructions with the base prompt plus the current stage
+   * (practice sessions have none) and the current difficulty guidance
+   */
+  function pushSessionInstructions(progress, channel = dataChannel, baseInstructions = interviewRef.current.instructions) {
+    sendEventToModel({
+      type: "session.update",
+      session: {
+        instructions: composeInstructions(baseInstructions, {
+          stage: progress && currentStage(progress),
+          stageIndex: progress?.currentIndex,
+          stageCount: progress?.stages.length,
+          difficulty: adaptiveRef.current.instructions,
+        }),
+      },
+    }, channel);
+  }
+
+  /**
+   * Apply the session's turn-taking: server VAD with the chosen tuning, or none for push-to-talk
+   */
+  function pushTurnDetection(channel = dataChannel) {
+    sendEventToModel({
+      type: "session.update",
+      session: { turn_detection: turnDetectionFor(sessionMicRef.current) },
+    }, channel);
+  }
+
+  function toggleMute() {
+    setMicEnabled(micStream, muted);
+    setMuted(!muted);
+  }
+
+  /**
+   * Push-to-talk pressed: start a fresh input buffer and open the mic.
+   * With the server VAD off there are no speech_started/stopped events, so the
+   * press and release are logged as those events for the fluency analysis; the
+   * item id is filled in once the server confirms the commit.
+   */
+  function startTalking() {
+    if (!dataChannel || talkRef.current) return;
+    sendEventToModel({ type: "input_audio_buffer.clear" });
+    setMicEnabled(micStream, true);
+
+    const started = {
+      type: "input_audio_buffer.speech_started",
+      event_id: crypto.randomUUID(),
+      item_id: `push_to_talk_${crypto.randomUUID()}`,
+      push_to_talk: true,
+      received_at: Date.now(),
+    };
+    setEvents((prev) => [started, ...prev]);
+    talkRef.current = { itemId: started.item_id, startedAt: started.received_at };
+    setTalking(true);
+  }
+
+  /**
+   * Push-to-talk released: close the mic, commit what was said and ask for the interviewer's reply
+   */
+  async function stopTalking() {
+    const turn = talkRef.current;
+    if (!turn) return;
+    talkRef.current = null;
+    setTalking(false);
+    const releasedAt = Date.now();
+
+    if (releasedAt - turn.startedAt < MIN_TALK_MS) {
+      setMicEnabled(micStream, false);
+      sendEventToModel({ type: "input_audio_buffer.clear" });
+      setEvents((prev) => prev.filter((ev) => ev.item_id !== turn.itemId));
+      return;
+    }
+
+    await wait(TALK_RELEASE_TAIL_MS);
+    // Pressed again, or the session ended, while the tail was being captured
+    if (talkRef.current || !transportRef.current) return;
+    setMicEnabled(micStream, false);
+    setEvents((prev) => [
+      {
+        type: "input_audio_buffer.speech_stopped",
+        event_id: crypto.randomUUID(),
+        item_id: turn.itemId,
+        push_to_talk: true,
+        received_at: releasedAt,
+      },
+      ...prev,
+    ]);
+    committingRef.current = turn.itemId;
+    sendEventToModel({ type: "input_audio_buffer.commit" });
+    sendEventToModel({
+      type: "response.create",
+      response: {
+        modalities: ["text", "audio"]
+      }
+    });
+  }
+
+  /**
+   * Move the stage tracker and, if the stage changed, re-target the interviewer
+   */
+  function changeStage(stageId) {
+    const next = enterStage(stageProgressRef.current, stageId);
+    if (next === stageProgressRef.current) return;
+
+    stageProgressRef.current = next;
+    setStageProgress(next);
+    pushSessionInstructions(next);
+  }
+
+  function countUserTurn() {
+    if (!stageProgressRef.current) return;
+    stageProgressRef.current = recordUserTurn(stageProgressRef.current);
+    setStageProgress(stageProgressRef.current);
+  }
+
+  /**
+   * Every few candidate turns, re-estimate the level and re-target the
+   * interviewer if it changed. Failures only cost the adjustment, not the session.
+   */
+  async function estimateLevelIfDue() {
+    // The tutor persona has no difficulty to adapt
+    if (interviewRef.current.mode === "tutor") return;
+    const userTurns = turnsRef.current.filter((turn) => turn.role === "user").length;
+    if (estimatingRef.current || !isEstimateDue(userTurns)) return;
+
+    estimatingRef.current = true;
+    try {
+      const res = await fetch("/levelEstimate", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          interviewId: interviewRef.current.id,
+          conversation: turnsRef.current,
+          language: languageChoice,
+          previousLevel: adaptiveRef.current.level,
+        }),
+      });
+      if (!res.ok) throw await responseError(res, "Level estimate failed");
+
+      const { state, changed } = applyEstimate(adaptiveRef.current, await res.json(), { userTurns });
+      adaptiveRef.current = state;
+      setAdaptiveDifficulty(state);
+
+      // The session may have ended while the estimate was in flight
+      if (changed && transportRef.current) {
+        pushSessionInstructions(stageProgressRef.current);
+      }
+    } catch (error) {
+      console.error(error.message);
+    } finally {
+      estimatingRef.current = false;
+    }
+  }
+
   /**
    * When user types a message, we add that as a user turn
    * then ask the model to respond
@@ -259,6 +793,7 @@ export default function App() {
     if (!isSessionActive) return;
 
     console.log("Sending user message:", text); // Add debugging
+    countUserTurn();
 
     // 1) Add the user's message to conversation
     sendEventToModel({
@@ -282,6 +817,60 @@ export default function App() {
     });
   }
 
+  /**
+   * Answer a completed function call from the interviewer
+   * and fold it into the live assessment
+   */
+  function handleFunctionCall(event) {
+    if (interviewRef.current?.mode === "tutor") {
+      handlePracticeCall(event);
+      return;
+    }
+
+    const { state, output } = applyToolCall(
+      liveAssessmentRef.current,
+      event.name,
+      event.arguments,
+    );
+    liveAssessmentRef.current = state;
+    setLiveAssessment(state);
+
+    if (event.name === "advance_stage" && state.stage) {
+      changeStage(state.stage);
+    }
+
+    sendEventToModel({
+      type: "conversation.item.create",
+      item: {
+        type: "function_call_output",
+        call_id: event.call_id,
+        output: JSON.stringify(output),
+      },
+    });
+  }
+
+  /**
+   * Answer a tutor function call and add it to the practice log
+   */
+  function handlePracticeCall(event) {
+    const { state, output } = applyPracticeToolCall(
+      practiceLogRef.current,
+      event.name,
+      event.arguments,
+    );
+    practiceLogRef.current = state;
+    setPracticeLog(state);
+
+    sendEventToModel({
+      type: "conversation.item.create",
+      item: {
+        type: "function_call_output",
+        call_id: event.call_id,
+        output: JSON.stringify(output),
+      },
+    });
+  }
+
   /**
    * Monitor inbound messages from the model
    */
@@ -290,14 +879,131 @@ export default function App() {
 
     const handleMessage = (e) => {
       const event = JSON.parse(e.data);
+      // Client clock stamp, used to line transcript turns up with recorded audio
+      event.received_at = Date.now();
       console.log("Received event:", event); // Add debugging
       setEvents((prev) => [event, ...prev]);
+
+      if (event.type === "input_audio_buffer.committed" && committingRef.current) {
+        // Give the logged push-to-talk turn the item id its transcription will carry
+        const provisionalId = committingRef.current;
+        committingRef.current = null;
+        setEvents((prev) =>
+          prev.map((ev) => (ev.item_id === provisionalId ? { ...ev, item_id: event.item_id } : ev))
+        );
+      } else if (event.type === "conversation.item.input_audio_transcription.completed") {
+        turnsRef.current = [...turnsRef.current, { role: "user", text: event.transcript.trim() }];
+        countUserTurn();
+        estimateLevelIfDue();
+      } else if (event.type === "response.audio_transcript.done") {
+        turnsRef.current = [...turnsRef.current, { role: "assistant", text: event.transcript.trim() }];
+      } else if (event.type === "response.function_call_arguments.done") {
+        handleFunctionCall(event);
+      } else if (event.type === "response.done" && needsFollowUpResponse(event)) {
+        // The interviewer only called tools; ask it to carry on speaking
+        sendEventToModel({
+          type: "response.create",
+          response: {
+            modalities: ["text", "audio"]
+          }
+        });
+      }
     };
 
     dataChannel.addEventListener("message", handleMessage);
     return () => dataChannel.removeEventListener("message", handleMessage);
   }, [dataChannel]);
 
+  /**
+   * Load the configured target languages for the picker
+   */
+  useEffect(() => {
+    fetch("/languages")
+      .then((res) => res.json())
+      .then((data) => {
+        setLanguages(data.languages);
+        setFeedbackLanguages(data.feedbackLanguages || []);
+        setLanguageChoice((current) =>
+          data.languages.some((l) => l.name === current)
+            ? current
+            : data.defaultLanguage || data.languages[0]?.name
+        );
+      })
+      .catch((err) => console.error("Failed to load languages:", err));
+  }, []);
+
+  /**
+   * Load the rubrics that apply to the chosen language
+   */
+  useEffect(() => {
+    fetch(`/rubrics?language=${encodeURIComponent(languageChoice)}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setRubrics(data.rubrics);
+        setRubricChoice((current) =>
+          data.rubrics.some((r) => r.id === current) ? current : data.rubrics[0]?.id || "cefr"
+        );
+      })
+      .catch((err) => console.error("Failed to load rubrics:", err));
+  }, [languageChoice]);
+
+  /**
+   * Load the role-play scenarios available for the chosen language
+   */
+  useEffect(() => {
+    fetch(`/scenarios?language=${encodeURIComponent(languageChoice)}`)
+      .then((res) => res.json())
+      .then((data) => {
+        setScenarios(data.scenarios);
+        setScenarioChoice((current) =>
+          data.scenarios.some((s) => s.id === current) ? current : ""
+        );
+      })
+      .catch((err) => console.error("Failed to load scenarios:", err));
+  }, [languageChoice]);
+
+  /**
+   * Move on once a stage has used its time budget and minimum turns
+   */
+  useEffect(() => {
+    if (!isSessionActive || !dataChannel) return;
+
+    const interval = setInterval(() => {
+      if (!stageProgressRef.current) return;
+      const next = stageToAdvanceTo(stageProgressRef.current);
+      if (next) changeStage(next.id);
+    }, 5000);
+
+    return () => clearInterval(interval);
+  }, [isSessionActive, dataChannel]);
+
+  /**
+   * Pick up an evaluation that was still running when the page was last closed
+   */
+  useEffect(() => {
+    const pending = loadPendingEvaluation();
+    if (!pending) return;
+
+    setTranscript(pending.conversation || []);
+    followEvaluation({ id: pending.jobId, status: "queued", attempts: 0 }).catch((error) => {
+      console.error("Could not resume the evaluation:", error.message);
+      clearPendingEvaluation();
+      setEvaluationJob(null);
+    });
+  }, []);
+
+  /**
+   * Restore the microphone settings from the last visit
+   */
+  useEffect(() => {
+    setMicSettings(loadMicSettings());
+  }, []);
+
+  function changeMicSettings(settings) {
+    setMicSettings(settings);
+    saveMicSettings(settings);
+  }
+
   useEffect(() => {
     return () => {
       // Cleanup audio element on unmount
@@ -314,46 +1020,178 @@ export default function App() {
         {/* Left Column */}
         <div className="flex flex-col flex-1 border-r border-gray-200">
           <div className="flex-0 h-16 border-b border-gray-200 p-4 flex items-center justify-between">
-            <h1 className="text-xl">Language Evaluation</h1>
+            <h1 className="text-xl">{t("app.title")}</h1>
             {!isSessionActive && (
-              <div>
+              <div className="flex items-center gap-4">
+                <AccountMenu />
+                <Link to="/history" className="text-sm text-blue-600 hover:underline">
+                  {t("app.history")}
+                </Link>
+                <Link to="/progress" className="text-sm text-blue-600 hover:underline">
+                  {t("app.progress")}
+                </Link>
+                <select
+                  value={interfaceLanguage.code}
+                  onChange={(e) => setInterfaceLanguage(e.target.value)}
+                  className="rounded border border-gray-300 px-2 py-1"
+                  title={t("app.interfaceLanguage")}
+                >
+                  {INTERFACE_LANGUAGES.map((language) => (
+                    <option key={language.code} value={language.code}>
+                      {language.nativeName}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={modeChoice}
+                  onChange={(e) => setModeChoice(e.target.value)}
+                  className="rounded border border-gray-300 px-2 py-1"
+                  title={t("app.sessionMode")}
+                >
+                  <option value="exam">{t("app.modeExam")}</option>
+                  <option value="tutor">{t("app.modeTutor")}</option>
+                </select>
                 <select
                   value={languageChoice}
                   onChange={(e) => setLanguageChoice(e.target.value)}
                   className="rounded border border-gray-300 px-2 py-1"
                 >
-                  <option value="Chinese">Chinese</option>
-                  <option value="Spanish">Spanish</option>
-                  <option value="French">French</option>
-                  <option value="Japanese">Japanese</option>
+                  {languages.map((language) => (
+                    <option key={language.name} value={language.name}>
+                      {language.name}
+                      {language.nativeName && ` (${language.nativeName})`}
+                    </option>
+                  ))}
                 </select>
+                <select
+                  value={scenarioChoice}
+                  onChange={(e) => setScenarioChoice(e.target.value)}
+                  className="rounded border border-gray-300 px-2 py-1"
+                  title={
+                    scenarios.find((s) => s.id === scenarioChoice)?.setting ||
+                    t("app.scenario")
+                  }
+                >
+                  <option value="">
+                    {modeChoice === "tutor" ? t("app.freeConversation") : t("app.standardInterview")}
+                  </option>
+                  {scenarios.map((scenario) => (
+                    <option key={scenario.id} value={scenario.id}>
+                      {scenario.title}
+                    </option>
+                  ))}
+                </select>
+                {modeChoice === "exam" && (
+                  <select
+                    value={rubricChoice}
+                    onChange={(e) => setRubricChoice(e.target.value)}
+                    className="rounded border border-gray-300 px-2 py-1"
+                    title={t("app.rubric")}
+                  >
+                    {rubrics.map((rubric) => (
+                      <option key={rubric.id} value={rubric.id}>
+                        {rubric.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {feedbackLanguages.length > 0 && (
+                  <select
+                    value={feedbackLanguage}
+                    onChange={(e) => setFeedbackChoice(e.target.value)}
+                    className="rounded border border-gray-300 px-2 py-1"
+                    title={t("app.feedbackLanguage")}
+                  >
+                    {feedbackLanguages.map((language) => (
+                      <option key={language} value={language}>
+                        {t("app.feedbackIn", { language })}
+                      </option>
+                    ))}
+                  </select>
+                )}
               </div>
             )}
           </div>
+          {reconnecting && (
+            <div className="px-4 py-2 bg-amber-50 border-b border-amber-200 text-sm text-amber-800">
+              {t("app.reconnecting")}
+            </div>
+          )}
+          {notice && (
+            <div className="px-4 py-2 bg-amber-50 border-b border-amber-200 text-sm text-amber-800">
+              {notice.message}
+              {notice.signIn && (
+                <Link to="/login" className="ml-2 text-blue-600 hover:underline">
+                  {t("app.signIn")}
+                </Link>
+              )}
+            </div>
+          )}
           <div className="flex-1 overflow-auto">
             <EventLog 
               events={events} 
               startTime={sessionStartTime}
               isSessionActive={isSessionActive}
+              stageProgress={stageProgress}
             />
+            {!isSessionActive && evaluationResults?.annotations && (
+              <div className="border-t border-gray-200">
+                <h2 className="px-4 pt-4 text-lg font-semibold">{t("app.annotatedTranscript")}</h2>
+                <AnnotatedTranscript
+                  conversation={transcript}
+                  annotations={evaluationResults.annotations}
+                  skills={evaluationResults.rubric?.skills}
+                />
+              </div>
+            )}
           </div>
+          {!isSessionActive && <MicrophoneCheck settings={micSettings} onChange={changeMicSettings} />}
           <div className="h-24 p-4 border-t border-gray-200">
             <SessionControls
               isSessionActive={isSessionActive}
               startSession={startSession}
               stopSession={stopSession}
               sendUserMessage={sendUserMessage}
+              recordAudio={recordAudio}
+              setRecordAudio={setRecordAudio}
+              ensembleGrading={ensembleGrading}
+              setEnsembleGrading={setEnsembleGrading}
+              practiceMode={modeChoice === "tutor"}
+              micStream={micStream}
+              pushToTalk={sessionMicRef.current.pushToTalk}
+              muted={muted}
+              onToggleMute={toggleMute}
+              talking={talking}
+              onTalkStart={startTalking}
+              onTalkEnd={stopTalking}
             />
           </div>
         </div>
 
-        {/* Right Column: Evaluation Panel */}
+        {/* Right Column: Evaluation Panel, or the practice log and summary in tutor mode */}
         <div className="w-96">
-          <EvaluationPanel
-            isSessionActive={isSessionActive}
-            evaluationResults={evaluationResults}
-            languageChoice={languageChoice}
-          />
+          {sessionMode === "tutor" ? (
+            <PracticePanel
+              isSessionActive={isSessionActive}
+              practiceLog={practiceLog}
+              practiceSummary={practiceSummary}
+              summarizing={summarizing}
+              usage={usage}
+            />
+          ) : (
+            <EvaluationPanel
+              isSessionActive={isSessionActive}
+              evaluationResults={evaluationResults}
+              languageChoice={languageChoice}
+              liveAssessment={liveAssessment}
+              adaptiveDifficulty={adaptiveDifficulty}
+              evaluationJob={evaluationJob}
+              onRetryEvaluation={
+                evaluationRequestRef.current ? () => requestEvaluation(evaluationRequestRef.current) : null
+              }
+              usage={usage}
+            />
+          )}
         </div>
       </div>
     </div>
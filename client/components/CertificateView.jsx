@@ -0,0 +1,70 @@
+// CertificateView.jsx
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { ShieldCheck, ShieldX } from "lucide-react";
+import { LevelBadge } from "./EvaluationPanel";
+
+/**
+ * Public certificate page: looks up a verification ID and shows what was certified
+ */
+export default function CertificateView({ verificationId }) {
+  const [certificate, setCertificate] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`/certificates/${encodeURIComponent(verificationId)}`)
+      .then((res) => {
+        if (res.status === 404) throw new Error("No certificate exists with this verification ID.");
+        if (!res.ok) throw new Error(`Failed to load certificate (${res.status})`);
+        return res.json();
+      })
+      .then(setCertificate)
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [verificationId]);
+
+  return (
+    <div className="w-full h-full overflow-auto bg-gray-50 flex items-center justify-center p-4">
+      <div className="max-w-lg w-full bg-white rounded-lg border border-gray-200 p-8 text-center">
+        {isLoading ? (
+          <div className="text-gray-500">Verifying certificate...</div>
+        ) : error ? (
+          <>
+            <ShieldX className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <h1 className="text-xl font-semibold mb-2">Certificate not verified</h1>
+            <p className="text-sm text-gray-600">{error}</p>
+          </>
+        ) : (
+          <>
+            <ShieldCheck className="w-12 h-12 text-green-600 mx-auto mb-4" />
+            <div className="text-sm uppercase tracking-wide text-gray-500 mb-1">
+              Certificate of Language Proficiency
+            </div>
+            <h1 className="text-2xl font-semibold mb-4">{certificate.candidateName}</h1>
+            <p className="text-gray-700 mb-4">
+              was assessed in <strong>{certificate.language}</strong> on{" "}
+              {new Date(certificate.sessionDate).toLocaleDateString()} and placed at
+            </p>
+            <div className="mb-2">
+              <LevelBadge level={certificate.level} color={certificate.levelColor} />
+            </div>
+            <div className="text-sm text-gray-600 mb-6">
+              {certificate.rubric} · Overall score {certificate.overallScore}/100
+            </div>
+            <div className="text-xs text-gray-500 border-t border-gray-200 pt-4">
+              Verification ID <span className="font-mono">{certificate.id}</span> · issued{" "}
+              {new Date(certificate.issuedAt).toLocaleDateString()}
+            </div>
+          </>
+        )}
+        <div className="mt-6">
+          <Link to="/" className="text-sm text-blue-600 hover:underline">
+            Language Evaluation
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,13 @@
 import { useEffect, useState } from "react";
 import { ChevronDown, ChevronUp, AlertCircle, Check, X } from "lucide-react";
+import LiveAssessmentPanel from "./LiveAssessmentPanel";
+import FluencyTimeline from "./FluencyTimeline";
+import UsageSummary from "./UsageSummary";
+import EvaluationProgress from "./EvaluationProgress";
+import { useTranslation } from "../i18n";
 
 // Score indicator component
-const ScoreIndicator = ({ score, max = 20, label }) => {
+export const ScoreIndicator = ({ score, max = 20, label }) => {
   // Ensure score stays within bounds
   const validScore = Math.max(0, Math.min(score, max));
   const percentage = (validScore / max) * 100;
@@ -51,6 +56,20 @@ const Section = ({ title, children, defaultOpen = false }) => {
   );
 };
 
+// Metric tile; says whether the value was measured from the transcript or estimated by the model
+const MetricTile = ({ label, value, measured }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="text-center p-3 bg-gray-50 rounded">
+      <div className="text-2xl font-bold text-gray-700">{value}</div>
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className={`text-[10px] uppercase tracking-wide mt-1 ${measured ? "text-green-600" : "text-amber-600"}`}>
+        {measured ? t("eval.measured") : t("eval.estimated")}
+      </div>
+    </div>
+  );
+};
+
 // List with icons component
 const IconList = ({ items, type = "check" }) => {
   const Icon = type === "check" ? Check : AlertCircle;
@@ -68,35 +87,83 @@ const IconList = ({ items, type = "check" }) => {
   );
 };
 
+// Level Badge component; rubrics name one of these colors for each level
+const badgeColors = {
+  purple: 'bg-purple-100 text-purple-800',
+  blue: 'bg-blue-100 text-blue-800',
+  green: 'bg-green-100 text-green-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  orange: 'bg-orange-100 text-orange-800',
+  red: 'bg-red-100 text-red-800',
+  gray: 'bg-gray-100 text-gray-800'
+};
+
+export const LevelBadge = ({ level, color }) => {
+  return (
+    <span className={`px-3 py-1 rounded-full text-sm font-medium ${badgeColors[color] || badgeColors.gray}`}>
+      {level}
+    </span>
+  );
+};
+
 // CEFR Level Badge component
-const CEFRBadge = ({ level }) => {
-  const getColor = (cefr) => {
-    const colors = {
-      'C2': 'bg-purple-100 text-purple-800',
-      'C1': 'bg-blue-100 text-blue-800',
-      'B2': 'bg-green-100 text-green-800',
-      'B1': 'bg-yellow-100 text-yellow-800',
-      'A2': 'bg-orange-100 text-orange-800',
-      'A1': 'bg-red-100 text-red-800',
-      'Below A1': 'bg-gray-100 text-gray-800'
-    };
-    return colors[cefr] || 'bg-gray-100 text-gray-800';
+export const CEFRBadge = ({ level }) => {
+  const colors = {
+    'C2': 'purple',
+    'C1': 'blue',
+    'B2': 'green',
+    'B1': 'yellow',
+    'A2': 'orange',
+    'A1': 'red',
+    'Below A1': 'gray'
   };
 
+  return <LevelBadge level={level} color={colors[level]} />;
+};
+
+const CONFIDENCE_STYLES = {
+  high: "bg-green-100 text-green-800",
+  medium: "bg-yellow-100 text-yellow-800",
+  low: "bg-red-100 text-red-800",
+};
+
+// How far the ensemble's raters agreed; shown next to the level badge
+const ConfidenceBadge = ({ ensemble }) => {
+  const { t } = useTranslation();
+  const agreeing = Math.round(ensemble.level_agreement * ensemble.passes.length);
+  const [low, high] = ensemble.overall.ci95;
   return (
-    <span className={`px-3 py-1 rounded-full text-sm font-medium ${getColor(level)}`}>
-      {level}
+    <span
+      className={`px-2 py-0.5 rounded-full text-xs font-medium ${CONFIDENCE_STYLES[ensemble.confidence]}`}
+      title={t("eval.confidenceHint", { agreeing, passes: ensemble.passes.length, low, high })}
+    >
+      {t(`eval.confidence.${ensemble.confidence}`)}
     </span>
   );
 };
 
+// Skills shown for evaluations stored before rubrics were recorded
+const DEFAULT_SKILLS = [
+  { key: "pronunciation", label: "Pronunciation", max: 20 },
+  { key: "grammar", label: "Grammar", max: 20 },
+  { key: "vocabulary", label: "Vocabulary", max: 20 },
+  { key: "fluency", label: "Fluency", max: 20 },
+  { key: "listening_comprehension", label: "Listening", max: 20 }
+];
+
 export default function EvaluationPanel({
   isSessionActive,
   evaluationResults,
   languageChoice,
+  liveAssessment,
+  adaptiveDifficulty,
+  evaluationJob,
+  onRetryEvaluation,
+  usage,
 }) {
   const [instructionsSent, setInstructionsSent] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const { t } = useTranslation();
 
   useEffect(() => {
     if (!isSessionActive && instructionsSent) {
@@ -129,49 +196,62 @@ export default function EvaluationPanel({
     );
   }
 
-  if (!isSessionActive && !evaluationResults && !isLoading) {
+  if (isSessionActive && liveAssessment) {
+    return <LiveAssessmentPanel liveAssessment={liveAssessment} adaptiveDifficulty={adaptiveDifficulty} />;
+  }
+
+  const evaluationFailed = !evaluationResults && evaluationJob?.status === "failed";
+  const loading = !evaluationResults && !evaluationFailed && (isLoading || Boolean(evaluationJob));
+
+  if (!isSessionActive && evaluationFailed) {
     return (
       <div className="h-full p-4 bg-gray-50 flex items-center justify-center">
         <div className="text-center text-gray-500">
-          <h3 className="font-semibold mb-2">No Active Session</h3>
-          <p className="text-sm">Start a session to begin the evaluation</p>
+          <AlertCircle className="w-8 h-8 text-red-500 mx-auto mb-2" />
+          <h3 className="font-semibold mb-2">{t("eval.failed")}</h3>
+          <p className="text-sm mb-4">{evaluationJob.error}</p>
+          {onRetryEvaluation && (
+            <button
+              onClick={onRetryEvaluation}
+              className="px-4 py-2 rounded bg-blue-600 text-white text-sm hover:bg-blue-700"
+            >
+              {t("eval.tryAgain")}
+            </button>
+          )}
         </div>
       </div>
     );
   }
 
-  if (isLoading) {
+  if (!isSessionActive && !evaluationResults && !loading) {
     return (
-      <div className="h-full p-4 bg-gray-50">
-        <div className="bg-white rounded-lg p-6 shadow">
-          <div className="animate-pulse space-y-4">
-            <div className="h-6 bg-gray-200 rounded w-1/2"></div>
-            <div className="space-y-3">
-              <div className="h-4 bg-gray-200 rounded"></div>
-              <div className="h-4 bg-gray-200 rounded w-5/6"></div>
-              <div className="h-4 bg-gray-200 rounded w-3/4"></div>
-            </div>
-            <div className="h-32 bg-gray-200 rounded"></div>
-          </div>
-          <div className="mt-4 text-center text-sm text-gray-500">
-            Generating comprehensive evaluation...
-          </div>
+      <div className="h-full p-4 bg-gray-50 flex items-center justify-center">
+        <div className="text-center text-gray-500">
+          <h3 className="font-semibold mb-2">{t("eval.noSession")}</h3>
+          <p className="text-sm">{t("eval.noSessionHint")}</p>
         </div>
       </div>
     );
   }
 
+  if (loading) {
+    return <EvaluationProgress job={evaluationJob} />;
+  }
+
   if (!evaluationResults) return null;
 
+  // Render whatever skills and levels the evaluation's rubric defines
+  const rubric = evaluationResults.rubric;
+  const skillDefinitions = rubric?.skills || DEFAULT_SKILLS;
+
   // Process and validate the evaluation results
   const processedResults = {
-    skills: {
-      pronunciation: { score: validateScore(evaluationResults.skills?.pronunciation?.score || 0, 20) },
-      grammar: { score: validateScore(evaluationResults.skills?.grammar?.score || 0, 20) },
-      vocabulary: { score: validateScore(evaluationResults.skills?.vocabulary?.score || 0, 20) },
-      fluency: { score: validateScore(evaluationResults.skills?.fluency?.score || 0, 20) },
-      listening_comprehension: { score: validateScore(evaluationResults.skills?.listening_comprehension?.score || 0, 20) }
-    },
+    skills: Object.fromEntries(
+      skillDefinitions.map((skill) => [
+        skill.key,
+        { score: validateScore(evaluationResults.skills?.[skill.key]?.score || 0, skill.max) }
+      ])
+    ),
     conversation_depth: {
       ...evaluationResults.conversation_depth,
       complexity_achieved: validateScore(evaluationResults.conversation_depth?.complexity_achieved || 0, 5)
@@ -182,6 +262,7 @@ export default function EvaluationPanel({
     },
     final_scores: {
       ...evaluationResults.final_scores,
+      level: evaluationResults.final_scores?.level ?? evaluationResults.final_scores?.cefr_level,
       overall_score: validateScore(evaluationResults.final_scores?.overall_score || 0, 100)
     },
     critical_feedback: evaluationResults.critical_feedback || {
@@ -199,36 +280,105 @@ export default function EvaluationPanel({
     critical_feedback
   } = processedResults;
 
+  const ensemble = evaluationResults.ensemble;
+  const taskCompletion = evaluationResults.task_completion;
+  const levelDefinition = rubric?.levels.find((l) => l.level === final_scores.level);
+
+  // Older evaluations don't list their estimates; everything in them was estimated
+  const isMeasured = (key) =>
+    Array.isArray(quantitative_measures.estimated) && !quantitative_measures.estimated.includes(key);
+  const lengthUnit = quantitative_measures.length_unit
+    ? ` (${t(`eval.unit.${quantitative_measures.length_unit}`, { fallback: quantitative_measures.length_unit })})`
+    : "";
+  // Skills named in the interface language where the catalog has them
+  const skillLabel = (skill) => t(`skill.${skill.key}`, { fallback: skill.label });
+
   return (
     <div className="h-full p-4 bg-gray-50 overflow-y-auto">
       <div className="mb-6 text-center">
-        <h2 className="text-xl font-bold text-gray-800 mb-2">Language Evaluation</h2>
+        <h2 className="text-xl font-bold text-gray-800 mb-2">{t("eval.title")}</h2>
         <div className="flex justify-center items-center gap-3">
-          <CEFRBadge level={final_scores.cefr_level} />
+          {rubric ? (
+            <LevelBadge level={final_scores.level} color={levelDefinition?.color} />
+          ) : (
+            <CEFRBadge level={final_scores.level} />
+          )}
           <span className="text-2xl font-bold text-gray-700">
             {final_scores.overall_score}/100
           </span>
+          {ensemble && <ConfidenceBadge ensemble={ensemble} />}
         </div>
+        {ensemble?.needs_review && (
+          <p className="text-xs text-red-600 mt-2 flex items-center justify-center gap-1">
+            <AlertCircle className="w-4 h-4" /> {t("eval.needsReview")}
+          </p>
+        )}
+        {rubric && (
+          <p className="text-xs text-gray-500 mt-2">
+            {rubric.name}
+            {levelDefinition?.descriptor && ` · ${levelDefinition.descriptor}`}
+          </p>
+        )}
+        {evaluationResults.scenario && (
+          <p className="text-xs text-gray-500 mt-1">{t("eval.scenario", { title: evaluationResults.scenario.title })}</p>
+        )}
       </div>
 
-      <Section title="Skill Assessment" defaultOpen={true}>
+      <Section title={t("eval.skillAssessment")} defaultOpen={true}>
         <div className="space-y-4">
-          <ScoreIndicator score={skills.pronunciation.score} label="Pronunciation" />
-          <ScoreIndicator score={skills.grammar.score} label="Grammar" />
-          <ScoreIndicator score={skills.vocabulary.score} label="Vocabulary" />
-          <ScoreIndicator score={skills.fluency.score} label="Fluency" />
-          <ScoreIndicator score={skills.listening_comprehension.score} label="Listening" />
+          {skillDefinitions.map((skill) => (
+            <ScoreIndicator
+              key={skill.key}
+              score={skills[skill.key].score}
+              max={skill.max}
+              label={skillLabel(skill)}
+            />
+          ))}
         </div>
       </Section>
 
-      <Section title="Conversation Analysis">
+      {taskCompletion && (
+        <Section title={t("eval.taskCompletion")} defaultOpen={true}>
+          <ScoreIndicator score={taskCompletion.score} max={100} label={t("eval.criteriaMet")} />
+          <ul className="space-y-2 mt-3">
+            {taskCompletion.criteria.map((c, i) => (
+              <li key={i} className="flex items-start gap-2 text-sm">
+                {c.met ? (
+                  <Check className="w-5 h-5 text-green-500 mt-0.5 flex-shrink-0" />
+                ) : (
+                  <X className="w-5 h-5 text-red-500 mt-0.5 flex-shrink-0" />
+                )}
+                <div>
+                  <div className="text-gray-700">{c.criterion}</div>
+                  {c.evidence && <div className="text-xs text-gray-500 italic">{c.evidence}</div>}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {taskCompletion.target_vocabulary_used.length > 0 && (
+            <div className="text-sm mt-3">
+              <strong>{t("eval.targetVocabulary")}</strong>
+              <div className="flex flex-wrap gap-2 mt-2">
+                {taskCompletion.target_vocabulary_used.map((word, i) => (
+                  <span key={i} className="px-2 py-1 bg-green-50 text-green-700 rounded-full text-xs">
+                    {word}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+          <p className="text-sm text-gray-600 mt-3">{taskCompletion.summary}</p>
+        </Section>
+      )}
+
+      <Section title={t("eval.conversationAnalysis")}>
         <div className="space-y-3">
           <div className="flex justify-between items-center mb-2">
-            <span className="text-sm text-gray-600">Complexity Level</span>
+            <span className="text-sm text-gray-600">{t("eval.complexity")}</span>
             <span className="font-mono text-sm">{conversation_depth.complexity_achieved}/5</span>
           </div>
           <div className="text-sm">
-            <strong>Topics Covered:</strong>
+            <strong>{t("eval.topics")}</strong>
             <div className="flex flex-wrap gap-2 mt-2">
               {conversation_depth.topics_discussed.map((topic, i) => (
                 <span key={i} className="px-2 py-1 bg-blue-50 text-blue-700 rounded-full text-xs">
@@ -240,54 +390,158 @@ export default function EvaluationPanel({
         </div>
       </Section>
 
-      <Section title="Performance Metrics">
+      <Section title={t("eval.performanceMetrics")}>
         <div className="grid grid-cols-2 gap-4">
-          <div className="text-center p-3 bg-gray-50 rounded">
-            <div className="text-2xl font-bold text-gray-700">
-              {Math.round(quantitative_measures.response_rate)}%
-            </div>
-            <div className="text-xs text-gray-500">Response Rate</div>
-          </div>
-          <div className="text-center p-3 bg-gray-50 rounded">
-            <div className="text-2xl font-bold text-gray-700">
-              {Math.round(quantitative_measures.grammar_accuracy)}%
-            </div>
-            <div className="text-xs text-gray-500">Grammar Accuracy</div>
-          </div>
-          <div className="text-center p-3 bg-gray-50 rounded">
-            <div className="text-2xl font-bold text-gray-700">
-              {Math.round(quantitative_measures.average_response_length)}
-            </div>
-            <div className="text-xs text-gray-500">Avg Response Length</div>
-          </div>
-          <div className="text-center p-3 bg-gray-50 rounded">
-            <div className="text-2xl font-bold text-gray-700">
-              {quantitative_measures.vocabulary_range}
-            </div>
-            <div className="text-xs text-gray-500">Vocabulary Range</div>
-          </div>
+          <MetricTile
+            label={t("eval.responseRate")}
+            value={`${Math.round(quantitative_measures.response_rate)}%`}
+            measured={isMeasured("response_rate")}
+          />
+          <MetricTile
+            label={t("eval.grammarAccuracy")}
+            value={`${Math.round(quantitative_measures.grammar_accuracy)}%`}
+            measured={isMeasured("grammar_accuracy")}
+          />
+          <MetricTile
+            label={`${t("eval.averageLength")}${lengthUnit}`}
+            value={Math.round(quantitative_measures.average_response_length)}
+            measured={isMeasured("average_response_length")}
+          />
+          {quantitative_measures.median_response_length !== undefined && (
+            <MetricTile
+              label={`${t("eval.medianLength")}${lengthUnit}`}
+              value={quantitative_measures.median_response_length}
+              measured
+            />
+          )}
+          <MetricTile
+            label={t("eval.vocabularyRange")}
+            value={quantitative_measures.vocabulary_range}
+            measured={isMeasured("vocabulary_range")}
+          />
+          {quantitative_measures.lexical_diversity !== undefined && (
+            <MetricTile
+              label={t("eval.lexicalDiversity")}
+              value={quantitative_measures.lexical_diversity.toFixed(2)}
+              measured
+            />
+          )}
+          {quantitative_measures.distinct_lemmas !== undefined && (
+            <MetricTile
+              label={t("eval.distinctLemmas")}
+              value={quantitative_measures.distinct_lemmas}
+              measured
+            />
+          )}
+          {quantitative_measures.type_token_ratio !== undefined && (
+            <MetricTile
+              label={t("eval.typeTokenRatio")}
+              value={quantitative_measures.type_token_ratio.toFixed(2)}
+              measured
+            />
+          )}
         </div>
       </Section>
 
-      <Section title="Critical Feedback">
+      <Section title={t("eval.criticalFeedback")}>
         <div className="space-y-4">
           <div>
-            <h4 className="font-medium text-red-600 mb-2">Major Weaknesses</h4>
+            <h4 className="font-medium text-red-600 mb-2">{t("eval.majorWeaknesses")}</h4>
             <IconList items={critical_feedback.major_weaknesses} type="alert" />
           </div>
           <div>
-            <h4 className="font-medium text-blue-600 mb-2">Required Improvements</h4>
+            <h4 className="font-medium text-blue-600 mb-2">{t("eval.requiredImprovements")}</h4>
             <IconList items={critical_feedback.required_improvements} type="alert" />
           </div>
           <div>
-            <h4 className="font-medium text-green-600 mb-2">Study Recommendations</h4>
+            <h4 className="font-medium text-green-600 mb-2">{t("eval.studyRecommendations")}</h4>
             <IconList items={critical_feedback.study_recommendations} type="check" />
           </div>
         </div>
       </Section>
 
+      {ensemble && (
+        <Section title={t("eval.raterAgreement")} defaultOpen={ensemble.needs_review}>
+          <div className="space-y-3 text-sm">
+            <p className="text-gray-600">
+              {t("eval.raterSummary", {
+                passes: ensemble.passes.length,
+                aggregate: ensemble.aggregate,
+                min: ensemble.overall.min,
+                max: ensemble.overall.max,
+                low: ensemble.overall.ci95[0],
+                high: ensemble.overall.ci95[1],
+              })}
+            </p>
+            {ensemble.review_reasons.length > 0 && (
+              <IconList items={ensemble.review_reasons} type="alert" />
+            )}
+            <ul className="space-y-1">
+              {ensemble.passes.map((pass) => (
+                <li key={pass.pass} className="flex justify-between">
+                  <span className="text-gray-600">
+                    {t("eval.rater", { pass: pass.pass, rater: pass.rater, model: pass.model })}
+                  </span>
+                  <span className="font-mono text-gray-800">
+                    {pass.level} · {pass.overall_score}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <ul className="space-y-1 border-t border-gray-100 pt-2">
+              {skillDefinitions.map((skill) => (
+                <li key={skill.key} className="flex justify-between">
+                  <span className="text-gray-600">{skillLabel(skill)}</span>
+                  <span className="font-mono text-gray-800">
+                    {ensemble.skills[skill.key].min}–{ensemble.skills[skill.key].max} (±
+                    {ensemble.skills[skill.key].stdev})
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </Section>
+      )}
+
+      {evaluationResults.fluency_timeline && (
+        <Section title={t("eval.fluencyTimeline")}>
+          <FluencyTimeline fluency={evaluationResults.fluency_timeline} />
+        </Section>
+      )}
+
+      {evaluationResults.stage_coverage && (
+        <Section title={t("eval.interviewCoverage")}>
+          <ul className="space-y-2">
+            {evaluationResults.stage_coverage.stages.map((stage) => (
+              <li key={stage.id} className="flex items-center gap-2 text-sm">
+                {stage.completed ? (
+                  <Check className="w-5 h-5 text-green-500 flex-shrink-0" />
+                ) : (
+                  <X className="w-5 h-5 text-red-500 flex-shrink-0" />
+                )}
+                <span className="flex-1 text-gray-600">{stage.name}</span>
+                <span className="font-mono text-xs text-gray-500">
+                  {stage.userTurns}/{stage.minTurns}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {!evaluationResults.stage_coverage.all_completed && (
+            <p className="mt-3 text-xs text-red-600">
+              {t("eval.coverageIncomplete")}
+            </p>
+          )}
+        </Section>
+      )}
+
+      {usage && (
+        <Section title={t("eval.usage")}>
+          <UsageSummary usage={usage} />
+        </Section>
+      )}
+
       <div className="mt-6 text-center text-sm text-gray-500">
-        <p>Recommended Level: {final_scores.recommended_level}</p>
+        <p>{t("eval.recommendedLevel", { level: final_scores.recommended_level })}</p>
       </div>
     </div>
   );
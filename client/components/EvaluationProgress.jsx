@@ -0,0 +1,108 @@
+// EvaluationProgress.jsx
+
+import { Check } from "lucide-react";
+import { ScoreIndicator } from "./EvaluationPanel";
+import { useTranslation } from "../i18n";
+
+const PHASES = ["validating", "metrics", "grading", "calibrating"];
+
+// What to say about the job while there's no progress to show yet, or between retries
+function statusText(job, t) {
+  if (job?.status === "queued" && job.attempts > 0) {
+    return t("progress.retrying", { attempt: job.attempts });
+  }
+  if (job?.status === "running" && job.attempts > 1) {
+    return t("progress.attempt", { attempt: job.attempts, max: job.maxAttempts });
+  }
+  return job?.id && job.status === "queued" ? t("progress.queued") : t("progress.generating");
+}
+
+function PhaseList({ progress }) {
+  const { t } = useTranslation();
+  const current = PHASES.indexOf(progress?.phase);
+
+  return (
+    <ul className="space-y-2 mb-4">
+      {PHASES.map((phase, i) => (
+        <li key={phase} className="flex items-center gap-2 text-sm">
+          {i < current ? (
+            <Check className="w-4 h-4 text-green-500" />
+          ) : i === current ? (
+            <span className="w-4 h-4 flex items-center justify-center">
+              <span className="w-2 h-2 rounded-full bg-blue-500 animate-pulse" />
+            </span>
+          ) : (
+            <span className="w-4 h-4 flex items-center justify-center">
+              <span className="w-2 h-2 rounded-full bg-gray-300" />
+            </span>
+          )}
+          <span className={i <= current ? "text-gray-700" : "text-gray-400"}>
+            {t(`progress.${phase}`)}
+            {phase === "grading" && progress?.passes > 1 && i === current && (
+              <span className="text-gray-500"> {t("progress.passes", { done: progress.passes_done, total: progress.passes })}</span>
+            )}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Loading view while an evaluation job runs: the grading phases, then the
+ * measured metrics and skill scores as the server streams them in
+ */
+export default function EvaluationProgress({ job }) {
+  const { t } = useTranslation();
+  const progress = job?.progress;
+  const skills = Object.entries(progress?.skills || {});
+
+  return (
+    <div className="h-full p-4 bg-gray-50 overflow-y-auto">
+      <div className="bg-white rounded-lg p-6 shadow">
+        {progress ? (
+          <PhaseList progress={progress} />
+        ) : (
+          <div className="animate-pulse space-y-4 mb-4">
+            <div className="h-6 bg-gray-200 rounded w-1/2"></div>
+            <div className="space-y-3">
+              <div className="h-4 bg-gray-200 rounded"></div>
+              <div className="h-4 bg-gray-200 rounded w-5/6"></div>
+              <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+            </div>
+          </div>
+        )}
+
+        {progress?.final_scores && (
+          <div className="mb-4 text-center text-2xl font-bold text-gray-700">
+            {progress.final_scores.level} · {progress.final_scores.overall_score}/100
+          </div>
+        )}
+
+        {skills.length > 0 && (
+          <div className="mb-4">
+            {skills.map(([key, skill]) => (
+              <ScoreIndicator key={key} score={skill.score} max={skill.max} label={t(`skill.${key}`, { fallback: skill.label || key })} />
+            ))}
+          </div>
+        )}
+
+        {progress?.measured && (
+          <div className="text-xs text-gray-500">
+            {t("progress.summary", {
+              turns: progress.candidate_turns,
+              length: progress.measured.average_response_length,
+              unit: t(`eval.unit.${progress.measured.length_unit}`, { fallback: progress.measured.length_unit }),
+              lemmas: progress.measured.distinct_lemmas,
+            })}
+          </div>
+        )}
+
+        {!progress && <div className="text-center text-sm text-gray-500">{statusText(job, t)}</div>}
+        {progress && job.attempts > 1 && (
+          <div className="mt-2 text-center text-xs text-gray-500">{statusText(job, t)}</div>
+        )}
+      </div>
+    </div>
+  );
+}
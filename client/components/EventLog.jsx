@@ -1,6 +1,8 @@
 // EventLog.jsx
 
 import { useState, useEffect } from "react";
+import StageStepper from "./StageStepper";
+import { useTranslation } from "../i18n";
 
 function SingleEvent({ event }) {
   const [expanded, setExpanded] = useState(false);
@@ -42,6 +44,7 @@ function SingleEvent({ event }) {
 
 function ConversationTimer({ startTime, isSessionActive }) {
   const [elapsed, setElapsed] = useState(0);
+  const { t } = useTranslation();
 
   useEffect(() => {
     if (!startTime || !isSessionActive) return;
@@ -62,14 +65,15 @@ function ConversationTimer({ startTime, isSessionActive }) {
         {String(minutes).padStart(2, '0')}:{String(seconds).padStart(2, '0')}
       </div>
       <p className="text-sm text-gray-600 mt-2">
-        We recommend conversations over 2 minutes to properly evaluate your language skills
+        {t("log.timerHint")}
       </p>
     </div>
   );
 }
 
-export default function EventLog({ events, startTime, isSessionActive }) {
+export default function EventLog({ events, startTime, isSessionActive, stageProgress }) {
   const [debugMode, setDebugMode] = useState(false);
+  const { t } = useTranslation();
 
   return (
     <div className="p-2">
@@ -81,15 +85,22 @@ export default function EventLog({ events, startTime, isSessionActive }) {
             onChange={(e) => setDebugMode(e.target.checked)}
             className="mr-2"
           />
-          Debug Mode
+          {t("log.debugMode")}
         </label>
       </div>
 
       {!debugMode ? (
-        <ConversationTimer startTime={startTime} isSessionActive={isSessionActive} />
+        <div className="flex items-start justify-center gap-8">
+          <ConversationTimer startTime={startTime} isSessionActive={isSessionActive} />
+          {stageProgress && (
+            <div className="py-4">
+              <StageStepper stageProgress={stageProgress} isSessionActive={isSessionActive} />
+            </div>
+          )}
+        </div>
       ) : (
         events.length === 0 ? (
-          <div className="text-gray-500">No events yet...</div>
+          <div className="text-gray-500">{t("log.noEvents")}</div>
         ) : (
           events.map((ev, i) => (
             <SingleEvent key={`${ev.event_id}_${i}`} event={ev} />
@@ -0,0 +1,108 @@
+// FluencyTimeline.jsx
+
+import { useTranslation } from "../i18n";
+
+function formatMs(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="flex justify-between text-sm">
+      <span className="text-gray-600">{label}</span>
+      <span className="font-mono text-gray-800">{value}</span>
+    </div>
+  );
+}
+
+/**
+ * Speech timing from the fluency analyzer: summary figures plus a strip
+ * showing when each side was speaking, with the gaps before each answer.
+ */
+export default function FluencyTimeline({ fluency }) {
+  const { timeline, summary } = fluency;
+  const { t } = useTranslation();
+  const unit = t(`eval.unit.${summary.speech_rate_unit}`, { fallback: summary.speech_rate_unit });
+  // Sessions analyzed before reconnects were tracked have no gaps
+  const gaps = fluency.gaps || [];
+  const timed = timeline.filter((turn) => turn.start !== null && turn.end !== null);
+  const total = Math.max(1, ...timed.map((turn) => turn.end), ...gaps.map((gap) => gap.end));
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-1">
+        <Stat label={t("fluency.candidateTime")} value={`${summary.candidate_speaking_seconds}s`} />
+        <Stat label={t("fluency.interviewerTime")} value={`${summary.interviewer_speaking_seconds}s`} />
+        {summary.talk_time_ratio !== null && (
+          <Stat label={t("fluency.talkRatio")} value={`${summary.talk_time_ratio} : 1`} />
+        )}
+        <Stat
+          label={t("fluency.latency")}
+          value={`${formatMs(summary.median_latency_ms)} / ${formatMs(summary.max_latency_ms)}`}
+        />
+        <Stat
+          label={t("fluency.pauses")}
+          value={`${summary.pause_count}${summary.pause_count ? ` (${formatMs(summary.longest_pause_ms)})` : ""}`}
+        />
+        <Stat label={t("fluency.speechRate", { unit })} value={summary.speech_rate} />
+        {summary.interruptions > 0 && <Stat label={t("fluency.interruptions")} value={summary.interruptions} />}
+        {gaps.length > 0 && (
+          <Stat label={t("fluency.connectionDrops")} value={`${gaps.length} (${summary.offline_seconds}s)`} />
+        )}
+      </div>
+
+      {timed.length > 0 && (
+        <div>
+          <div className="relative h-8 bg-gray-100 rounded overflow-hidden">
+            {gaps.map((gap, i) => (
+              <div
+                key={`gap-${i}`}
+                className="absolute top-0 bottom-0 bg-red-100"
+                style={{
+                  left: `${(gap.start / total) * 100}%`,
+                  width: `${Math.max(0.5, ((gap.end - gap.start) / total) * 100)}%`,
+                }}
+                title={t("fluency.gapHint", { duration: formatMs(gap.ms) })}
+              />
+            ))}
+            {timed.map((turn, i) => (
+              <div
+                key={i}
+                className={`absolute top-1 bottom-1 rounded-sm ${
+                  turn.role === "user" ? "bg-blue-500" : "bg-gray-400"
+                }`}
+                style={{
+                  left: `${(turn.start / total) * 100}%`,
+                  width: `${Math.max(0.5, ((turn.end - turn.start) / total) * 100)}%`,
+                }}
+                title={
+                  turn.role === "user"
+                    ? t("fluency.candidateTurn", { duration: formatMs(turn.speakingMs) }) +
+                      (turn.latencyMs !== null ? t("fluency.answeredAfter", { duration: formatMs(turn.latencyMs) }) : "") +
+                      (turn.rate !== null ? t("fluency.turnRate", { rate: turn.rate, unit }) : "")
+                    : t("fluency.interviewerTurn", { duration: formatMs(turn.speakingMs) })
+                }
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span className="flex items-center gap-1">
+              <span className="w-2 h-2 rounded-sm bg-blue-500" /> {t("fluency.candidate")}
+              <span className="w-2 h-2 rounded-sm bg-gray-400 ml-2" /> {t("fluency.interviewer")}
+              {gaps.length > 0 && (
+                <>
+                  <span className="w-2 h-2 rounded-sm bg-red-100 ml-2" /> {t("fluency.offline")}
+                </>
+              )}
+            </span>
+            <span>{formatMs(total)}</span>
+          </div>
+        </div>
+      )}
+
+      {summary.interviewer_timing === "approximate" && (
+        <p className="text-xs text-gray-500">{t("fluency.approximate")}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// LevelMeter.jsx
+
+import { useEffect, useState } from "react";
+import { createLevelMeter } from "../lib/microphone";
+import { useTranslation } from "../i18n";
+
+/**
+ * Live input level of a microphone stream, as a small horizontal bar.
+ * A muted (disabled) track reads as silence, so the bar also shows whether
+ * anything is getting through.
+ */
+export default function LevelMeter({ stream, className = "w-24" }) {
+  const [level, setLevel] = useState(0);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    if (!stream) return;
+    const stop = createLevelMeter(stream, setLevel);
+    return () => {
+      stop();
+      setLevel(0);
+    };
+  }, [stream]);
+
+  return (
+    <div
+      className={`${className} h-2 rounded bg-gray-200 overflow-hidden`}
+      role="meter"
+      aria-label={t("mic.level")}
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(level * 100)}
+    >
+      <div
+        className={`h-full ${level > 0.8 ? "bg-amber-500" : "bg-green-500"}`}
+        style={{ width: `${Math.round(level * 100)}%` }}
+      />
+    </div>
+  );
+}
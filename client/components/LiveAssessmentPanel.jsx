@@ -0,0 +1,84 @@
+// LiveAssessmentPanel.jsx
+
+import { AlertCircle, ArrowDown, ArrowUp } from "lucide-react";
+import { CEFRBadge } from "./EvaluationPanel";
+import { useTranslation } from "../i18n";
+
+const categoryColors = {
+  grammar: "bg-green-100 text-green-800",
+  vocabulary: "bg-yellow-100 text-yellow-800",
+  pronunciation: "bg-blue-100 text-blue-800",
+  fluency: "bg-red-100 text-red-800",
+  listening_comprehension: "bg-purple-100 text-purple-800",
+};
+
+function formatName(name) {
+  return name.replace(/_/g, " ").replace(/^\w/, (c) => c.toUpperCase());
+}
+
+// Level the interview is currently pitched at, from the running level estimate
+function DifficultyLine({ adaptiveDifficulty }) {
+  const { t } = useTranslation();
+  const latest = adaptiveDifficulty.estimates[adaptiveDifficulty.estimates.length - 1];
+  if (!latest) return null;
+
+  return (
+    <p className="text-xs text-gray-500 mt-2 flex items-center justify-center gap-1" title={latest.rationale}>
+      {t("live.pitchedAt", { level: adaptiveDifficulty.level })}
+      {latest.direction === "up" && <ArrowUp className="w-3 h-3 text-green-600" />}
+      {latest.direction === "down" && <ArrowDown className="w-3 h-3 text-orange-600" />}
+    </p>
+  );
+}
+
+/**
+ * Live view of the interviewer's tool calls while a session runs
+ */
+export default function LiveAssessmentPanel({ liveAssessment, adaptiveDifficulty }) {
+  const { errors, levelEstimate } = liveAssessment;
+  const { t } = useTranslation();
+
+  return (
+    <div className="h-full p-4 bg-gray-50 overflow-y-auto">
+      <div className="mb-6 text-center">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">{t("live.title")}</h2>
+        <div className="flex justify-center items-center gap-3">
+          {levelEstimate ? (
+            <CEFRBadge level={levelEstimate} />
+          ) : (
+            <span className="text-sm text-gray-500">{t("live.estimating")}</span>
+          )}
+        </div>
+        {adaptiveDifficulty && <DifficultyLine adaptiveDifficulty={adaptiveDifficulty} />}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-semibold text-gray-700 mb-3">
+          {t("live.recordedErrors")} <span className="text-gray-400 font-normal">({errors.length})</span>
+        </h3>
+        {errors.length === 0 ? (
+          <p className="text-sm text-gray-500">{t("live.noErrors")}</p>
+        ) : (
+          <ul className="space-y-3">
+            {[...errors].reverse().map((error, i) => (
+              <li key={i} className="flex items-start gap-2">
+                <AlertCircle className="w-5 h-5 text-red-500 mt-0.5 flex-shrink-0" />
+                <div className="text-sm">
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs ${
+                      categoryColors[error.category] || "bg-gray-100 text-gray-800"
+                    }`}
+                  >
+                    {t(`skill.${error.category}`, { fallback: formatName(error.category) })}
+                  </span>
+                  <div className="mt-1 text-gray-600 line-through">{error.utterance}</div>
+                  <div className="text-gray-800">{error.correction}</div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
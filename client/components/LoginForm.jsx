@@ -0,0 +1,87 @@
+// LoginForm.jsx
+
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { responseError } from "../lib/api";
+
+/**
+ * Sign in, or create an account, then go back to the interview screen
+ */
+export default function LoginForm() {
+  const navigate = useNavigate();
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isRegistering = mode === "register";
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const res = await fetch(isRegistering ? "/auth/register" : "/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      });
+      if (!res.ok) {
+        throw await responseError(res, isRegistering ? "Could not create account" : "Sign in failed");
+      }
+      navigate("/");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="w-full h-full overflow-auto bg-gray-50 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="max-w-sm w-full bg-white rounded-lg border border-gray-200 p-8 space-y-4"
+      >
+        <h1 className="text-xl font-semibold">{isRegistering ? "Create an account" : "Sign in"}</h1>
+        <label className="block text-sm">
+          <span className="text-gray-600">Username</span>
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required
+            className="mt-1 w-full rounded border border-gray-300 px-2 py-1"
+          />
+        </label>
+        <label className="block text-sm">
+          <span className="text-gray-600">Password</span>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegistering ? "new-password" : "current-password"}
+            required
+            className="mt-1 w-full rounded border border-gray-300 px-2 py-1"
+          />
+        </label>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full rounded bg-blue-600 text-white py-2 disabled:opacity-50"
+        >
+          {isSubmitting ? "Please wait..." : isRegistering ? "Create account" : "Sign in"}
+        </button>
+        <button
+          type="button"
+          onClick={() => setMode(isRegistering ? "login" : "register")}
+          className="text-sm text-blue-600 hover:underline"
+        >
+          {isRegistering ? "I already have an account" : "Create an account"}
+        </button>
+      </form>
+    </div>
+  );
+}
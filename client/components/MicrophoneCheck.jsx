@@ -0,0 +1,126 @@
+// MicrophoneCheck.jsx
+
+import { useEffect, useState } from "react";
+import {
+  SILENCE_DURATION_RANGE,
+  VAD_THRESHOLD_RANGE,
+  listMicrophones,
+  openMicrophone,
+} from "../lib/microphone";
+import LevelMeter from "./LevelMeter";
+import { useTranslation } from "../i18n";
+
+/**
+ * Pre-session microphone check: pick the input device, watch its level while
+ * testing, and choose how turns end (server VAD with its tuning, or push-to-talk).
+ * The test stream is closed again when the test stops or a session starts.
+ */
+export default function MicrophoneCheck({ settings, onChange }) {
+  const [testing, setTesting] = useState(false);
+  const [stream, setStream] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const [error, setError] = useState(null);
+  const { t } = useTranslation();
+
+  // Devices come and go (headsets); labels only appear once the mic has been allowed
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) return;
+    const refresh = () => listMicrophones().then(setDevices).catch(() => setDevices([]));
+    refresh();
+    mediaDevices.addEventListener("devicechange", refresh);
+    return () => mediaDevices.removeEventListener("devicechange", refresh);
+  }, []);
+
+  useEffect(() => {
+    if (!testing) return;
+    let cancelled = false;
+    let opened = null;
+    setError(null);
+    openMicrophone(settings.deviceId)
+      .then((micStream) => {
+        if (cancelled) {
+          micStream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        opened = micStream;
+        setStream(micStream);
+        return listMicrophones().then(setDevices);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.message);
+        setTesting(false);
+      });
+    return () => {
+      cancelled = true;
+      opened?.getTracks().forEach((track) => track.stop());
+      setStream(null);
+    };
+  }, [testing, settings.deviceId]);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="px-4 py-3 border-t border-gray-200 text-sm text-gray-700 space-y-2">
+      <div className="flex items-center gap-3 flex-wrap">
+        <span className="font-medium">{t("mic.title")}</span>
+        <select
+          aria-label={t("mic.device")}
+          value={settings.deviceId}
+          onChange={(e) => update({ deviceId: e.target.value })}
+          className="rounded border border-gray-300 px-2 py-1 max-w-xs"
+        >
+          <option value="">{t("mic.defaultDevice")}</option>
+          {devices
+            .filter((device) => device.deviceId && device.deviceId !== "default")
+            .map((device, i) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {device.label || t("mic.deviceNumber", { number: i + 1 })}
+              </option>
+            ))}
+        </select>
+        <button
+          className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50"
+          onClick={() => setTesting((current) => !current)}
+        >
+          {testing ? t("mic.stopTest") : t("mic.test")}
+        </button>
+        {testing && <LevelMeter stream={stream} className="w-40" />}
+        <label className="flex items-center gap-2" title={t("mic.pushToTalkHint")}>
+          <input
+            type="checkbox"
+            checked={settings.pushToTalk}
+            onChange={(e) => update({ pushToTalk: e.target.checked })}
+          />
+          {t("mic.pushToTalk")}
+        </label>
+      </div>
+      {!settings.pushToTalk && (
+        <div className="flex items-center gap-6 flex-wrap">
+          <label className="flex items-center gap-2" title={t("mic.thresholdHint")}>
+            {t("mic.threshold")}
+            <input
+              type="range"
+              {...VAD_THRESHOLD_RANGE}
+              value={settings.vadThreshold}
+              onChange={(e) => update({ vadThreshold: Number(e.target.value) })}
+            />
+            <span className="w-10 tabular-nums">{settings.vadThreshold.toFixed(2)}</span>
+          </label>
+          <label className="flex items-center gap-2">
+            {t("mic.silence")}
+            <input
+              type="range"
+              {...SILENCE_DURATION_RANGE}
+              value={settings.silenceDurationMs}
+              onChange={(e) => update({ silenceDurationMs: Number(e.target.value) })}
+            />
+            <span className="w-16 tabular-nums">{t("mic.milliseconds", { ms: settings.silenceDurationMs })}</span>
+          </label>
+        </div>
+      )}
+      {error && <p className="text-red-600">{t("mic.blocked", { error })}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+// PracticePanel.jsx
+
+import { BookOpen, Lightbulb, RefreshCw } from "lucide-react";
+import UsageSummary from "./UsageSummary";
+import { useTranslation } from "../i18n";
+
+function Card({ title, count, children }) {
+  return (
+    <div className="mb-4 bg-white rounded-lg shadow p-4">
+      <h3 className="font-semibold text-gray-700 mb-3">
+        {title}
+        {count !== undefined && <span className="text-gray-400 font-normal"> ({count})</span>}
+      </h3>
+      {children}
+    </div>
+  );
+}
+
+function VocabularyList({ words }) {
+  return (
+    <ul className="space-y-3">
+      {words.map((word, i) => (
+        <li key={i} className="flex items-start gap-2">
+          <BookOpen className="w-5 h-5 text-blue-500 mt-0.5 flex-shrink-0" />
+          <div className="text-sm">
+            <span className="font-medium text-gray-800">{word.term}</span>
+            <span className="text-gray-500"> — {word.meaning}</span>
+            {word.example && <div className="text-gray-600 italic">{word.example}</div>}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function CorrectionList({ corrections }) {
+  return (
+    <ul className="space-y-3">
+      {corrections.map((c, i) => (
+        <li key={i} className="text-sm">
+          <div className="text-gray-600 line-through">{c.utterance}</div>
+          <div className="text-gray-800">{c.correction}</div>
+          {c.explanation && <div className="text-xs text-gray-500">{c.explanation}</div>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Right-hand panel in practice mode: the tutor's vocabulary list and corrections
+ * while the session runs, then the practice summary
+ */
+export default function PracticePanel({ isSessionActive, practiceLog, practiceSummary, summarizing, usage }) {
+  const { t } = useTranslation();
+
+  if (isSessionActive) {
+    return (
+      <div className="h-full p-4 bg-gray-50 overflow-y-auto">
+        <h2 className="mb-6 text-xl font-bold text-gray-800 text-center">{t("practice.title")}</h2>
+        <Card title={t("practice.vocabulary")} count={practiceLog.vocabulary.length}>
+          {practiceLog.vocabulary.length ? (
+            <VocabularyList words={[...practiceLog.vocabulary].reverse()} />
+          ) : (
+            <p className="text-sm text-gray-500">{t("practice.vocabularyHint")}</p>
+          )}
+        </Card>
+        <Card title={t("practice.corrections")} count={practiceLog.corrections.length}>
+          {practiceLog.corrections.length ? (
+            <CorrectionList corrections={[...practiceLog.corrections].reverse()} />
+          ) : (
+            <p className="text-sm text-gray-500">{t("practice.noCorrections")}</p>
+          )}
+        </Card>
+      </div>
+    );
+  }
+
+  if (summarizing) {
+    return (
+      <div className="h-full p-4 bg-gray-50">
+        <div className="bg-white rounded-lg p-6 shadow">
+          <div className="animate-pulse space-y-4">
+            <div className="h-6 bg-gray-200 rounded w-1/2"></div>
+            <div className="h-4 bg-gray-200 rounded"></div>
+            <div className="h-4 bg-gray-200 rounded w-5/6"></div>
+          </div>
+          <div className="mt-4 text-center text-sm text-gray-500">{t("practice.summarizing")}</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!practiceSummary) {
+    return (
+      <div className="h-full p-4 bg-gray-50 flex items-center justify-center">
+        <div className="text-center text-gray-500">
+          <h3 className="font-semibold mb-2">{t("eval.noSession")}</h3>
+          <p className="text-sm">{t("practice.noSessionHint")}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full p-4 bg-gray-50 overflow-y-auto">
+      <h2 className="mb-2 text-xl font-bold text-gray-800 text-center">{t("practice.summaryTitle")}</h2>
+      <p className="mb-6 text-sm text-gray-600 text-center">{practiceSummary.encouragement}</p>
+
+      <Card title={t("practice.newWords")} count={practiceSummary.new_words.length}>
+        {practiceSummary.new_words.length ? (
+          <VocabularyList words={practiceSummary.new_words} />
+        ) : (
+          <p className="text-sm text-gray-500">{t("practice.noNewWords")}</p>
+        )}
+      </Card>
+
+      <Card title={t("practice.recurringMistakes")}>
+        {practiceSummary.recurring_mistakes.length ? (
+          <ul className="space-y-3">
+            {practiceSummary.recurring_mistakes.map((mistake, i) => (
+              <li key={i} className="flex items-start gap-2 text-sm">
+                <RefreshCw className="w-5 h-5 text-orange-500 mt-0.5 flex-shrink-0" />
+                <div>
+                  <div className="font-medium text-gray-800">{mistake.pattern}</div>
+                  {mistake.examples.map((example, j) => (
+                    <div key={j} className="text-gray-600 line-through">{example}</div>
+                  ))}
+                  <div className="text-gray-800">{mistake.correction}</div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">{t("practice.noRecurringMistakes")}</p>
+        )}
+      </Card>
+
+      <Card title={t("practice.nextTime")}>
+        <ul className="space-y-2">
+          {practiceSummary.suggestions.map((suggestion, i) => (
+            <li key={i} className="flex items-start gap-2">
+              <Lightbulb className="w-5 h-5 text-yellow-500 mt-0.5 flex-shrink-0" />
+              <span className="text-sm text-gray-600">{suggestion}</span>
+            </li>
+          ))}
+        </ul>
+      </Card>
+
+      {usage && (
+        <Card title={t("eval.usage")}>
+          <UsageSummary usage={usage} />
+        </Card>
+      )}
+    </div>
+  );
+}
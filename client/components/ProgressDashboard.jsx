@@ -0,0 +1,206 @@
+// ProgressDashboard.jsx
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { TrendingUp, TrendingDown, Minus } from "lucide-react";
+import { ScoreIndicator, LevelBadge } from "./EvaluationPanel";
+import TrendChart from "./TrendChart";
+import AccountMenu from "./AccountMenu";
+import { responseError } from "../lib/api";
+
+const SERIES_COLORS = ["#3b82f6", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6", "#0ea5e9"];
+
+function TrendIcon({ trend }) {
+  if (trend === null || Math.abs(trend) < 0.05) {
+    return <Minus className="w-4 h-4 text-gray-400" />;
+  }
+  return trend > 0 ? (
+    <TrendingUp className="w-4 h-4 text-green-600" />
+  ) : (
+    <TrendingDown className="w-4 h-4 text-red-600" />
+  );
+}
+
+function RubricBadge({ rubric, level }) {
+  return (
+    <LevelBadge level={level} color={rubric.levels.find((l) => l.level === level)?.color} />
+  );
+}
+
+function progressKey(progress) {
+  return `${progress.language}:${progress.rubric.id}`;
+}
+
+function LanguageProgress({ progress }) {
+  const { rubric, points, bandChanges, skillTrends, overallTrend, slowestSkill } = progress;
+  const latest = points[points.length - 1];
+  const labels = points.map((p) => new Date(p.date).toLocaleDateString());
+  const markers = bandChanges.map((c) => ({ index: c.index, label: `↑ ${c.to}` }));
+  const skills = rubric.skills.map((s, i) => ({ ...s, color: SERIES_COLORS[i % SERIES_COLORS.length] }));
+  const slowest = skills.find((s) => s.key === slowestSkill);
+  const maxSkillScore = Math.max(...skills.map((s) => s.max));
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <RubricBadge rubric={rubric} level={latest.level} />
+          <span className="text-2xl font-bold text-gray-700">{latest.overallScore}/100</span>
+          <TrendIcon trend={overallTrend} />
+        </div>
+        <span className="text-sm text-gray-500">
+          {points.length} evaluated session{points.length === 1 ? "" : "s"}
+        </span>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-semibold text-gray-700 mb-2">
+          Overall Score &amp; {rubric.name} Level
+        </h3>
+        <TrendChart
+          labels={labels}
+          max={100}
+          markers={markers}
+          series={[
+            {
+              key: "overall",
+              label: "Overall",
+              color: "#1f2937",
+              values: points.map((p) => p.overallScore),
+            },
+          ]}
+          levels={{
+            label: `${rubric.name} level`,
+            color: "#8b5cf6",
+            // Rubrics list their levels highest first
+            names: rubric.levels.map((l) => l.level).reverse(),
+            values: points.map((p) => p.level),
+          }}
+        />
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-semibold text-gray-700 mb-2">Skill Scores</h3>
+        <TrendChart
+          labels={labels}
+          max={maxSkillScore}
+          markers={markers}
+          series={skills.map((s) => ({
+            ...s,
+            values: points.map((p) => p.skills[s.key]),
+          }))}
+        />
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-semibold text-gray-700 mb-2">Latest Skills</h3>
+        {skills.map((s) => (
+          <div key={s.key} className="flex items-center gap-2">
+            <div className="flex-1">
+              <ScoreIndicator score={latest.skills[s.key]} max={s.max} label={s.label} />
+            </div>
+            <TrendIcon trend={skillTrends[s.key]} />
+          </div>
+        ))}
+        {slowest ? (
+          <p className="text-sm text-gray-600 mt-3">
+            Slowest improving skill: <strong>{slowest.label}</strong> (
+            {skillTrends[slowest.key] >= 0 ? "+" : ""}
+            {skillTrends[slowest.key].toFixed(1)} points per session)
+          </p>
+        ) : (
+          <p className="text-sm text-gray-500 mt-3">
+            Complete another session to see skill trends.
+          </p>
+        )}
+      </div>
+
+      {bandChanges.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <h3 className="font-semibold text-gray-700 mb-2">{rubric.name} Milestones</h3>
+          <ul className="space-y-2">
+            {bandChanges.map((c) => (
+              <li key={c.sessionId} className="flex items-center gap-2 text-sm">
+                <RubricBadge rubric={rubric} level={c.from} />
+                <span>→</span>
+                <RubricBadge rubric={rubric} level={c.to} />
+                <span className="text-gray-500">{new Date(c.date).toLocaleDateString()}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Progress view: charts scores and level over time for each target language and rubric
+ */
+export default function ProgressDashboard() {
+  const [languages, setLanguages] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch("/sessions/progress")
+      .then(async (res) => {
+        if (!res.ok) throw await responseError(res, "Failed to load progress");
+        return res.json();
+      })
+      .then((data) => {
+        setLanguages(data.languages);
+        if (data.languages.length) setSelected(progressKey(data.languages[0]));
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const current = languages.find((l) => progressKey(l) === selected);
+
+  return (
+    <div className="w-full h-full flex flex-col">
+      <div className="flex-0 h-16 border-b border-gray-200 p-4 flex items-center justify-between">
+        <h1 className="text-xl">Progress</h1>
+        <div className="flex items-center gap-4">
+          <AccountMenu />
+          <Link to="/history" className="text-sm text-blue-600 hover:underline">
+            History
+          </Link>
+          <Link to="/" className="text-sm text-blue-600 hover:underline">
+            New Evaluation
+          </Link>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 bg-gray-50">
+        {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+        {isLoading ? (
+          <div className="text-gray-500">Loading progress...</div>
+        ) : languages.length === 0 ? (
+          <div className="text-gray-500">No evaluated sessions yet.</div>
+        ) : (
+          <div className="max-w-3xl mx-auto">
+            <div className="flex gap-2 mb-4">
+              {languages.map((l) => (
+                <button
+                  key={progressKey(l)}
+                  onClick={() => setSelected(progressKey(l))}
+                  className={`px-3 py-1 rounded-full text-sm ${
+                    progressKey(l) === selected
+                      ? "bg-blue-600 text-white"
+                      : "bg-white border border-gray-300 text-gray-700"
+                  }`}
+                >
+                  {l.language} · {l.rubric.name}
+                </button>
+              ))}
+            </div>
+            {current && <LanguageProgress progress={current} />}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
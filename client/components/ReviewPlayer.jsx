@@ -0,0 +1,117 @@
+// ReviewPlayer.jsx
+
+import { useState, useEffect, useRef } from "react";
+import { Play } from "lucide-react";
+import { buildTurnTimeline, offsetInRecording } from "../lib/turnTimeline";
+
+// Which recording holds each speaker's audio
+const TRACK_FOR_ROLE = { user: "mic", assistant: "assistant" };
+const TRACK_LABELS = { mic: "Candidate", assistant: "Interviewer" };
+
+function formatOffset(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Plays a session's recordings next to its transcript.
+ * Clicking a turn seeks the speaker's track to where that turn starts.
+ */
+export default function ReviewPlayer({ session }) {
+  const [sources, setSources] = useState({});
+  const [activeTurn, setActiveTurn] = useState(null);
+  const audioRefs = { mic: useRef(null), assistant: useRef(null) };
+
+  const recordings = session.recordings || {};
+  const turns = buildTurnTimeline(session.events || []);
+
+  // Load each track as a Blob so the browser can seek in MediaRecorder output
+  useEffect(() => {
+    const urls = [];
+    let cancelled = false;
+
+    Promise.all(
+      Object.keys(recordings).map(async (track) => {
+        const res = await fetch(`/sessions/${session.id}/recordings/${track}`);
+        if (!res.ok) return null;
+        const url = URL.createObjectURL(await res.blob());
+        urls.push(url);
+        return [track, url];
+      }),
+    )
+      .then((entries) => {
+        if (!cancelled) setSources(Object.fromEntries(entries.filter(Boolean)));
+      })
+      .catch((err) => console.error("Failed to load recordings:", err));
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [session.id]);
+
+  function playTurn(index) {
+    const turn = turns[index];
+    const track = TRACK_FOR_ROLE[turn.role];
+    const audio = audioRefs[track].current;
+    const offset = offsetInRecording(turn, recordings[track]?.startedAt);
+    if (!audio || offset === null) return;
+
+    // Only one speaker at a time
+    Object.values(audioRefs).forEach((ref) => ref.current && ref.current !== audio && ref.current.pause());
+    audio.currentTime = offset;
+    audio.play().catch((e) => console.error("Audio play failed:", e));
+    setActiveTurn(index);
+  }
+
+  const hasAudio = Object.keys(sources).length > 0;
+
+  return (
+    <div className="p-4 space-y-3">
+      {hasAudio ? (
+        Object.entries(sources).map(([track, url]) => (
+          <div key={track}>
+            <div className="text-xs text-gray-500 mb-1">{TRACK_LABELS[track]}</div>
+            <audio ref={audioRefs[track]} src={url} controls className="w-full" />
+          </div>
+        ))
+      ) : (
+        <div className="text-sm text-gray-500">
+          {session.recordingConsent?.given
+            ? "Loading recordings..."
+            : "No audio was recorded for this session."}
+        </div>
+      )}
+
+      <div className="space-y-1">
+        {turns.map((turn, i) => {
+          const track = TRACK_FOR_ROLE[turn.role];
+          const offset = offsetInRecording(turn, recordings[track]?.startedAt);
+          const playable = Boolean(sources[track]) && offset !== null;
+
+          return (
+            <button
+              key={i}
+              onClick={() => playTurn(i)}
+              disabled={!playable}
+              className={`w-full text-left p-2 rounded text-sm flex gap-2 ${
+                activeTurn === i ? "bg-blue-50 border border-blue-300" : "border border-transparent"
+              } ${playable ? "hover:bg-gray-100" : "cursor-default"}`}
+            >
+              <span className="w-10 flex-none text-xs text-gray-400 pt-0.5">
+                {offset !== null ? formatOffset(offset) : ""}
+              </span>
+              <span>
+                <span className={`font-medium ${turn.role === "user" ? "text-blue-700" : "text-gray-700"}`}>
+                  {turn.role === "user" ? "Candidate" : "Interviewer"}:
+                </span>{" "}
+                {turn.text}
+              </span>
+              {playable && <Play className="w-3 h-3 flex-none text-gray-400 mt-1" />}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
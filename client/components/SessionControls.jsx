@@ -1,18 +1,60 @@
 // SessionControls.jsx
 
 import { useState } from "react";
+import { Mic, MicOff } from "lucide-react";
+import LevelMeter from "./LevelMeter";
+import { useTranslation } from "../i18n";
 
-export default function SessionControls({ isSessionActive, startSession, stopSession, sendUserMessage }) {
+export default function SessionControls({
+  isSessionActive,
+  startSession,
+  stopSession,
+  sendUserMessage,
+  recordAudio,
+  setRecordAudio,
+  ensembleGrading,
+  setEnsembleGrading,
+  practiceMode,
+  micStream,
+  pushToTalk,
+  muted,
+  onToggleMute,
+  talking,
+  onTalkStart,
+  onTalkEnd,
+}) {
   const [draft, setDraft] = useState("");
+  const { t } = useTranslation();
 
   if (!isSessionActive) {
     return (
-      <div className="w-full h-full flex items-center justify-center">
+      <div className="w-full h-full flex items-center justify-center gap-6">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={recordAudio}
+            onChange={(e) => setRecordAudio(e.target.checked)}
+          />
+          {t("controls.recordingConsent")}
+        </label>
+        {!practiceMode && (
+          <label
+            className="flex items-center gap-2 text-sm text-gray-700"
+            title={t("controls.ensembleHint")}
+          >
+            <input
+              type="checkbox"
+              checked={ensembleGrading}
+              onChange={(e) => setEnsembleGrading(e.target.checked)}
+            />
+            {t("controls.ensemble")}
+          </label>
+        )}
         <button
           className="px-4 py-2 bg-green-600 text-white rounded"
           onClick={startSession}
         >
-          Start Evaluation
+          {practiceMode ? t("controls.startPractice") : t("controls.startEvaluation")}
         </button>
       </div>
     );
@@ -26,9 +68,37 @@ export default function SessionControls({ isSessionActive, startSession, stopSes
 
   return (
     <div className="w-full h-full flex items-center gap-2">
+      {recordAudio && (
+        <span className="flex items-center gap-1 text-xs text-red-600" title={t("controls.recording")}>
+          <span className="w-2 h-2 rounded-full bg-red-600" />
+          {t("controls.rec")}
+        </span>
+      )}
+      {micStream && <LevelMeter stream={micStream} className="w-16" />}
+      {pushToTalk ? (
+        <button
+          className={`px-4 py-2 rounded text-white select-none touch-none ${talking ? "bg-green-700" : "bg-green-600"}`}
+          onPointerDown={onTalkStart}
+          onPointerUp={onTalkEnd}
+          onPointerCancel={onTalkEnd}
+          onPointerLeave={() => talking && onTalkEnd()}
+        >
+          {talking ? t("mic.talking") : t("mic.holdToTalk")}
+        </button>
+      ) : (
+        <button
+          className={`p-2 rounded border ${muted ? "border-red-300 bg-red-50 text-red-600" : "border-gray-300 text-gray-700"}`}
+          onClick={onToggleMute}
+          title={muted ? t("mic.muted") : t("mic.mute")}
+          aria-label={muted ? t("mic.unmute") : t("mic.mute")}
+          aria-pressed={muted}
+        >
+          {muted ? <MicOff className="w-4 h-4" /> : <Mic className="w-4 h-4" />}
+        </button>
+      )}
       <input
         className="flex-1 border border-gray-300 px-2 py-1 rounded"
-        placeholder="Type your message..."
+        placeholder={t("controls.messagePlaceholder")}
         value={draft}
         onChange={(e) => setDraft(e.target.value)}
         onKeyDown={(e) => {
@@ -39,13 +109,13 @@ export default function SessionControls({ isSessionActive, startSession, stopSes
         className="px-4 py-2 bg-blue-600 text-white rounded"
         onClick={handleSend}
       >
-        Send
+        {t("controls.send")}
       </button>
       <button
         className="px-4 py-2 bg-red-600 text-white rounded"
         onClick={stopSession}
       >
-        End
+        {t("controls.end")}
       </button>
     </div>
   );
@@ -0,0 +1,434 @@
+// SessionHistory.jsx
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import EvaluationPanel from "./EvaluationPanel";
+import PracticePanel from "./PracticePanel";
+import ReviewPlayer from "./ReviewPlayer";
+import AnnotatedTranscript from "./AnnotatedTranscript";
+import AccountMenu from "./AccountMenu";
+import { responseError } from "../lib/api";
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+}
+
+function SessionRow({ session, isSelected, onSelect }) {
+  const statusColors = {
+    evaluated: "text-green-700",
+    summarized: "text-blue-700",
+    failed: "text-red-600",
+    pending: "text-gray-500",
+  };
+
+  return (
+    <button
+      onClick={() => onSelect(session.id)}
+      className={`w-full text-left p-3 rounded border mb-2 ${
+        isSelected ? "border-blue-400 bg-blue-50" : "border-gray-200 bg-white"
+      }`}
+    >
+      <div className="flex justify-between items-center">
+        <span className="font-medium">
+          {session.language}
+          <span className="ml-2 text-xs text-gray-500">
+            {session.mode === "tutor" ? "PRACTICE" : session.rubric.toUpperCase()}
+          </span>
+        </span>
+        <span className="text-xs text-gray-500">
+          {new Date(session.createdAt).toLocaleString()}
+        </span>
+      </div>
+      <div className="flex justify-between items-center text-xs mt-1">
+        <span className="text-gray-600">
+          {formatDuration(session.duration)} · {session.turnCount} turns
+        </span>
+        <span className={statusColors[session.status]}>
+          {session.status === "evaluated"
+            ? `${session.level} · ${session.overallScore}/100`
+            : session.status}
+        </span>
+      </div>
+    </button>
+  );
+}
+
+/**
+ * Upload a saved transcript or event log and evaluate it as a new session.
+ * Language and duration are only used when the file doesn't carry them.
+ */
+function ImportForm({ onImported }) {
+  const [languages, setLanguages] = useState([]);
+  const [language, setLanguage] = useState("");
+  const [durationMinutes, setDurationMinutes] = useState(10);
+  const [file, setFile] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch("/languages")
+      .then((res) => res.json())
+      .then((data) => {
+        setLanguages(data.languages);
+        setLanguage((current) => current || data.defaultLanguage || data.languages[0]?.name || "");
+      })
+      .catch((err) => console.error("Failed to load languages:", err));
+  }, []);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!file) return;
+    setIsImporting(true);
+    setError(null);
+
+    try {
+      const res = await fetch("/sessions/import", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          content: await file.text(),
+          filename: file.name,
+          language,
+          duration: durationMinutes * 60 * 1000,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok && !data.id) throw new Error(data.error || `Import failed (${res.status})`);
+      onImported(data.id);
+      setFile(null);
+      e.target.reset();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 rounded border border-gray-200 bg-gray-50 mb-4 text-sm">
+      <div className="font-medium mb-2">Import transcript</div>
+      <input
+        type="file"
+        accept=".json,.jsonl,.txt"
+        onChange={(e) => setFile(e.target.files[0] || null)}
+        className="block w-full mb-2"
+      />
+      <div className="flex items-center gap-2">
+        <select
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          {languages.map((l) => (
+            <option key={l.name} value={l.name}>
+              {l.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={durationMinutes}
+          onChange={(e) => setDurationMinutes(Number(e.target.value))}
+          className="w-16 border border-gray-300 rounded px-2 py-1"
+          title="Duration in minutes, for transcripts without timing"
+        />
+        <span className="text-gray-500">min</span>
+        <button
+          type="submit"
+          disabled={!file || isImporting}
+          className="ml-auto px-3 py-1 rounded bg-blue-600 text-white disabled:bg-gray-300"
+        >
+          {isImporting ? "Evaluating..." : "Import"}
+        </button>
+      </div>
+      {error && <div className="text-red-600 mt-2">{error}</div>}
+    </form>
+  );
+}
+
+/**
+ * Report downloads and certificate issuing for an evaluated session
+ */
+function ReportActions({ session, onCertified }) {
+  const [candidateName, setCandidateName] = useState(session.certificate?.candidateName || "");
+  const [isIssuing, setIsIssuing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reportUrl = (format) => {
+    const params = new URLSearchParams({ format });
+    if (candidateName.trim()) params.set("name", candidateName.trim());
+    return `/sessions/${session.id}/report?${params}`;
+  };
+
+  async function issueCertificate() {
+    setIsIssuing(true);
+    setError(null);
+    try {
+      const res = await fetch(`/sessions/${session.id}/certificate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ candidateName }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Could not issue certificate (${res.status})`);
+      await onCertified();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsIssuing(false);
+    }
+  }
+
+  return (
+    <div className="p-3 border-b border-gray-200 text-sm">
+      <input
+        type="text"
+        value={candidateName}
+        onChange={(e) => setCandidateName(e.target.value)}
+        placeholder="Candidate name"
+        className="w-full border border-gray-300 rounded px-2 py-1 mb-2"
+      />
+      <div className="flex items-center gap-3">
+        <span className="text-gray-500">Report:</span>
+        <a href={reportUrl("html")} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">
+          HTML
+        </a>
+        <a href={reportUrl("pdf")} className="text-blue-600 hover:underline">
+          PDF
+        </a>
+        <a href={reportUrl("md")} className="text-blue-600 hover:underline">
+          Markdown
+        </a>
+        <button
+          onClick={issueCertificate}
+          disabled={isIssuing || !candidateName.trim()}
+          className="ml-auto px-3 py-1 rounded border border-gray-300 disabled:text-gray-400"
+        >
+          {isIssuing ? "Issuing..." : "Issue certificate"}
+        </button>
+      </div>
+      {session.certificate && (
+        <div className="mt-2 text-xs text-gray-600">
+          Certificate{" "}
+          <Link to={`/certificate/${session.certificate.id}`} className="font-mono text-blue-600 hover:underline">
+            {session.certificate.id}
+          </Link>{" "}
+          issued to {session.certificate.candidateName}
+        </div>
+      )}
+      {error && <div className="text-red-600 mt-2">{error}</div>}
+    </div>
+  );
+}
+
+/**
+ * History screen: lists stored sessions and reopens a past evaluation
+ */
+export default function SessionHistory() {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [isReevaluating, setIsReevaluating] = useState(false);
+  const [ensembleGrading, setEnsembleGrading] = useState(false);
+  const [tab, setTab] = useState("evaluation");
+
+  function loadSessions() {
+    return fetch("/sessions")
+      .then(async (res) => {
+        if (!res.ok) throw await responseError(res, "Failed to load sessions");
+        return res.json();
+      })
+      .then((data) => setSessions(data.sessions))
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  async function selectSession(id) {
+    try {
+      const res = await fetch(`/sessions/${id}`);
+      if (!res.ok) throw await responseError(res, "Failed to load session");
+      setSelectedSession(await res.json());
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleImported(id) {
+    await loadSessions();
+    await selectSession(id);
+  }
+
+  async function reevaluate() {
+    setIsReevaluating(true);
+    setError(null);
+    try {
+      const res = await fetch(`/sessions/${selectedSession.id}/evaluate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          rubric: selectedSession.rubric,
+          ...(ensembleGrading && { ensemble: true }),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Re-evaluation failed (${res.status})`);
+      await loadSessions();
+      await selectSession(selectedSession.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsReevaluating(false);
+    }
+  }
+
+  return (
+    <div className="w-full h-full">
+      <div className="flex w-full h-full">
+        {/* Left Column: session list */}
+        <div className="flex flex-col flex-1 border-r border-gray-200">
+          <div className="flex-0 h-16 border-b border-gray-200 p-4 flex items-center justify-between">
+            <h1 className="text-xl">Session History</h1>
+            <div className="flex items-center gap-4">
+              <AccountMenu />
+              <Link to="/progress" className="text-sm text-blue-600 hover:underline">
+                Progress
+              </Link>
+              <Link to="/" className="text-sm text-blue-600 hover:underline">
+                New Evaluation
+              </Link>
+            </div>
+          </div>
+          <div className="flex-1 overflow-auto p-4">
+            <ImportForm onImported={handleImported} />
+            {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+            {isLoading ? (
+              <div className="text-gray-500">Loading sessions...</div>
+            ) : sessions.length === 0 ? (
+              <div className="text-gray-500">No past sessions yet.</div>
+            ) : (
+              sessions.map((session) => (
+                <SessionRow
+                  key={session.id}
+                  session={session}
+                  isSelected={selectedSession?.id === session.id}
+                  onSelect={selectSession}
+                />
+              ))
+            )}
+          </div>
+        </div>
+
+        {/* Right Column: reopened evaluation */}
+        <div className="w-96 flex flex-col">
+          {selectedSession && (
+            <div className="flex items-center gap-3 p-3 border-b border-gray-200 text-sm">
+              <a
+                href={`/sessions/${selectedSession.id}/export?format=json`}
+                className="text-blue-600 hover:underline"
+              >
+                Export JSON
+              </a>
+              <a
+                href={`/sessions/${selectedSession.id}/export?format=jsonl`}
+                className="text-blue-600 hover:underline"
+              >
+                Export JSONL
+              </a>
+              {/* Practice sessions are never graded */}
+              {selectedSession.mode !== "tutor" && (
+                <>
+                  <label className="ml-auto flex items-center gap-1" title="Grade with three independent raters">
+                    <input
+                      type="checkbox"
+                      checked={ensembleGrading}
+                      onChange={(e) => setEnsembleGrading(e.target.checked)}
+                    />
+                    3 raters
+                  </label>
+                  <button
+                    onClick={reevaluate}
+                    disabled={isReevaluating || !selectedSession.conversation.length}
+                    className="px-3 py-1 rounded border border-gray-300 disabled:text-gray-400"
+                  >
+                    {isReevaluating ? "Re-evaluating..." : "Re-evaluate"}
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          {selectedSession?.evaluation && (
+            <ReportActions
+              key={selectedSession.id}
+              session={selectedSession}
+              onCertified={() => selectSession(selectedSession.id)}
+            />
+          )}
+          {selectedSession?.importedFrom && (
+            <div className="px-3 py-1 text-xs text-gray-500 border-b border-gray-200">
+              Imported from {selectedSession.importedFrom}
+            </div>
+          )}
+          {selectedSession && (
+            <div className="flex border-b border-gray-200 text-sm">
+              {[
+                ["evaluation", selectedSession.mode === "tutor" ? "Summary" : "Evaluation"],
+                ["transcript", "Transcript"],
+                ["review", "Review"],
+              ].map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setTab(id)}
+                  className={`flex-1 py-2 ${
+                    tab === id ? "border-b-2 border-blue-600 text-blue-700" : "text-gray-500"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex-1 min-h-0 overflow-auto">
+            {selectedSession && tab === "review" ? (
+              <ReviewPlayer key={selectedSession.id} session={selectedSession} />
+            ) : selectedSession && tab === "transcript" ? (
+              <AnnotatedTranscript
+                key={selectedSession.id}
+                conversation={selectedSession.conversation}
+                annotations={selectedSession.evaluation?.annotations}
+                skills={selectedSession.evaluation?.rubric?.skills}
+              />
+            ) : selectedSession?.evaluationError && !selectedSession.evaluation && !selectedSession.practiceSummary ? (
+              <div className="h-full p-4 bg-gray-50 flex items-center justify-center">
+                <div className="text-center text-red-600 text-sm">
+                  Evaluation failed: {selectedSession.evaluationError}
+                </div>
+              </div>
+            ) : selectedSession?.mode === "tutor" ? (
+              <PracticePanel
+                isSessionActive={false}
+                practiceSummary={selectedSession.practiceSummary}
+                usage={selectedSession.usage}
+              />
+            ) : (
+              <EvaluationPanel
+                isSessionActive={false}
+                evaluationResults={selectedSession?.evaluation || null}
+                languageChoice={selectedSession?.language}
+                usage={selectedSession?.usage}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+// StageStepper.jsx
+
+import { useState, useEffect } from "react";
+import { Check } from "lucide-react";
+
+/**
+ * Vertical stepper showing the interview stages and the current position
+ */
+export default function StageStepper({ stageProgress, isSessionActive }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!isSessionActive) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isSessionActive]);
+
+  if (!stageProgress) return null;
+
+  return (
+    <ol className="space-y-3">
+      {stageProgress.stages.map((stage, i) => {
+        const entry = stageProgress.entries[i];
+        const isCurrent = i === stageProgress.currentIndex;
+        const isDone = entry.userTurns >= stage.minTurns && entry.entered;
+        const elapsed = entry.enteredAt && isCurrent
+          ? Math.floor((now - entry.enteredAt) / 1000)
+          : null;
+
+        return (
+          <li key={stage.id} className="flex items-start gap-2">
+            <span
+              className={`w-6 h-6 rounded-full flex items-center justify-center text-xs flex-shrink-0 ${
+                isDone
+                  ? "bg-green-500 text-white"
+                  : isCurrent
+                    ? "bg-blue-600 text-white"
+                    : entry.entered
+                      ? "bg-orange-400 text-white"
+                      : "bg-gray-200 text-gray-600"
+              }`}
+            >
+              {isDone ? <Check className="w-4 h-4" /> : i + 1}
+            </span>
+            <div className="text-sm">
+              <div className={isCurrent ? "font-semibold text-gray-800" : "text-gray-600"}>
+                {stage.name}
+              </div>
+              {(isCurrent || entry.entered) && (
+                <div className="text-xs text-gray-500">
+                  {entry.userTurns}/{stage.minTurns} turns
+                  {elapsed !== null && ` · ${elapsed}s/${stage.timeBudgetSeconds}s`}
+                </div>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
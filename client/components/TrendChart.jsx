@@ -0,0 +1,133 @@
+// TrendChart.jsx
+
+const WIDTH = 560;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 36 };
+// Room for the level names when the chart has a level axis on the right
+const LEVEL_AXIS_WIDTH = 44;
+
+/**
+ * Minimal SVG line chart for session-over-session scores.
+ * - series: [{ key, label, color, values: number[] }]
+ * - markers: indexes to highlight with a vertical line (e.g. CEFR band changes)
+ * - levels: optional ordinal series on its own right-hand axis,
+ *   { label, color, names: string[] (lowest first), values: (string | null)[] },
+ *   drawn as steps since a level holds until the next session changes it
+ */
+export default function TrendChart({ series, labels, max, markers = [], levels = null, height = HEIGHT }) {
+  const count = labels.length;
+  const right = PADDING.right + (levels ? LEVEL_AXIS_WIDTH : 0);
+  const innerWidth = WIDTH - PADDING.left - right;
+  const innerHeight = height - PADDING.top - PADDING.bottom;
+
+  const x = (i) => PADDING.left + (count > 1 ? (i / (count - 1)) * innerWidth : innerWidth / 2);
+  const y = (v) => PADDING.top + innerHeight - (Math.max(0, Math.min(v, max)) / max) * innerHeight;
+  const levelY = (name) => {
+    const rank = levels.names.indexOf(name);
+    return PADDING.top + innerHeight - (levels.names.length > 1 ? rank / (levels.names.length - 1) : 0.5) * innerHeight;
+  };
+  const levelPoints = levels
+    ? levels.values.map((name, i) => ({ i, name })).filter(({ name }) => levels.names.includes(name))
+    : [];
+  const levelPath = levelPoints
+    .map(({ i, name }, n) => (n === 0 ? `M ${x(i)} ${levelY(name)}` : `H ${x(i)} V ${levelY(name)}`))
+    .join(" ");
+  const legend = levels ? [...series, { key: "level", label: levels.label, color: levels.color }] : series;
+
+  const gridLines = [0, 0.25, 0.5, 0.75, 1].map((f) => Math.round(f * max));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full">
+        {gridLines.map((v) => (
+          <g key={v}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - right}
+              y1={y(v)}
+              y2={y(v)}
+              stroke="#e5e7eb"
+            />
+            <text x={PADDING.left - 6} y={y(v) + 4} fontSize="10" textAnchor="end" fill="#6b7280">
+              {v}
+            </text>
+          </g>
+        ))}
+
+        {markers.map(({ index, label }) => (
+          <g key={`marker_${index}`}>
+            <line
+              x1={x(index)}
+              x2={x(index)}
+              y1={PADDING.top}
+              y2={PADDING.top + innerHeight}
+              stroke="#8b5cf6"
+              strokeDasharray="4 3"
+            />
+            <text x={x(index) + 4} y={PADDING.top + 10} fontSize="10" fill="#6d28d9">
+              {label}
+            </text>
+          </g>
+        ))}
+
+        {series.map(({ key, color, values }) => (
+          <g key={key}>
+            <polyline
+              fill="none"
+              stroke={color}
+              strokeWidth="2"
+              points={values.map((v, i) => `${x(i)},${y(v)}`).join(" ")}
+            />
+            {values.map((v, i) => (
+              <circle key={i} cx={x(i)} cy={y(v)} r="3" fill={color} />
+            ))}
+          </g>
+        ))}
+
+        {levels && (
+          <g>
+            {levels.names.map((name) => (
+              <text
+                key={name}
+                x={WIDTH - right + 6}
+                y={levelY(name) + 4}
+                fontSize="10"
+                fill={levels.color}
+              >
+                {name}
+              </text>
+            ))}
+            <path d={levelPath} fill="none" stroke={levels.color} strokeWidth="2" strokeDasharray="6 3" />
+            {levelPoints.map(({ i, name }) => (
+              <rect key={i} x={x(i) - 3} y={levelY(name) - 3} width="6" height="6" fill={levels.color} />
+            ))}
+          </g>
+        )}
+
+        {labels.map((label, i) => (
+          <text
+            key={i}
+            x={x(i)}
+            y={height - 8}
+            fontSize="10"
+            textAnchor="middle"
+            fill="#6b7280"
+          >
+            {label}
+          </text>
+        ))}
+      </svg>
+
+      {legend.length > 1 && (
+        <div className="flex flex-wrap gap-3 mt-2">
+          {legend.map(({ key, label, color }) => (
+            <span key={key} className="flex items-center gap-1 text-xs text-gray-600">
+              <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: color }} />
+              {label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+// UsageReport.jsx
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import AccountMenu from "./AccountMenu";
+import { formatCost } from "./UsageSummary";
+import { responseError } from "../lib/api";
+
+function UsageTable({ title, keyLabel, rows, currency }) {
+  return (
+    <div className="bg-white rounded-lg shadow mb-4">
+      <h2 className="px-4 py-3 font-semibold text-gray-700 border-b border-gray-100">{title}</h2>
+      {rows.length === 0 ? (
+        <div className="p-4 text-sm text-gray-500">No sessions in this period.</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="px-4 py-2 font-medium">{keyLabel}</th>
+              <th className="px-4 py-2 font-medium text-right">Sessions</th>
+              <th className="px-4 py-2 font-medium text-right">Audio tokens</th>
+              <th className="px-4 py-2 font-medium text-right">Text tokens</th>
+              <th className="px-4 py-2 font-medium text-right">Evaluation tokens</th>
+              <th className="px-4 py-2 font-medium text-right">Est. cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} className="border-t border-gray-100">
+                <td className="px-4 py-2">{row.key}</td>
+                <td className="px-4 py-2 text-right font-mono">{row.sessions}</td>
+                <td className="px-4 py-2 text-right font-mono">{row.audio_tokens.toLocaleString()}</td>
+                <td className="px-4 py-2 text-right font-mono">{row.text_tokens.toLocaleString()}</td>
+                <td className="px-4 py-2 text-right font-mono">{row.evaluation_tokens.toLocaleString()}</td>
+                <td className="px-4 py-2 text-right font-mono">
+                  {formatCost(row.cost, currency)}
+                  {row.unpriced > 0 && (
+                    <span className="text-xs text-amber-600" title="Sessions using a model missing from the price table">
+                      {" "}+{row.unpriced} unpriced
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Admin view of token use and estimated cost, by user, language and day
+ */
+export default function UsageReport() {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+
+    setError(null);
+    fetch(`/admin/usage?${params}`)
+      .then(async (res) => {
+        if (!res.ok) throw await responseError(res, "Failed to load usage");
+        return res.json();
+      })
+      .then(setReport)
+      .catch((err) => setError(err.message));
+  }, [from, to]);
+
+  return (
+    <div className="w-full h-full flex flex-col">
+      <div className="flex-0 h-16 border-b border-gray-200 p-4 flex items-center justify-between">
+        <h1 className="text-xl">Usage & Cost</h1>
+        <div className="flex items-center gap-4">
+          <AccountMenu />
+          <Link to="/history" className="text-sm text-blue-600 hover:underline">
+            History
+          </Link>
+          <Link to="/" className="text-sm text-blue-600 hover:underline">
+            New Evaluation
+          </Link>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 bg-gray-50">
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          <span className="text-gray-500">From</span>
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="rounded border border-gray-300 px-2 py-1"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="rounded border border-gray-300 px-2 py-1"
+          />
+        </div>
+
+        {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+        {!report ? (
+          !error && <div className="text-gray-500">Loading usage...</div>
+        ) : (
+          <>
+            <div className="bg-white rounded-lg shadow p-4 mb-4 flex gap-8 text-sm">
+              <div>
+                <div className="text-2xl font-bold text-gray-700">{report.total.sessions}</div>
+                <div className="text-gray-500">sessions</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-gray-700">
+                  {formatCost(report.total.cost, report.currency)}
+                </div>
+                <div className="text-gray-500">estimated cost</div>
+              </div>
+            </div>
+            <UsageTable title="By user" keyLabel="User" rows={report.byUser} currency={report.currency} />
+            <UsageTable title="By language" keyLabel="Language" rows={report.byLanguage} currency={report.currency} />
+            <UsageTable title="By day (UTC)" keyLabel="Day" rows={report.byDay} currency={report.currency} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+// UsageSummary.jsx
+
+import { useTranslation } from "../i18n";
+
+export function formatCost(cost, currency, unpricedLabel = "not priced") {
+  if (cost === null || cost === undefined) return unpricedLabel;
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: cost < 1 ? 4 : 2,
+  }).format(cost);
+}
+
+const formatTokens = (count) => count.toLocaleString();
+
+function Row({ label, tokens, cost }) {
+  return (
+    <div className="flex justify-between text-sm">
+      <span className="text-gray-600">{label}</span>
+      <span className="font-mono text-gray-800">
+        {tokens}
+        {cost && <span className="text-gray-500"> · {cost}</span>}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Tokens a session used and what they are estimated to cost, from the server's price table
+ */
+export default function UsageSummary({ usage }) {
+  const { realtime, evaluation, totals, cost } = usage;
+  const { t } = useTranslation();
+  const format = (amount) => formatCost(amount, cost.currency, t("usage.notPriced"));
+
+  return (
+    <div className="space-y-1">
+      <Row label={t("usage.audioTokens")} tokens={formatTokens(totals.audio_tokens)} />
+      <Row label={t("usage.textTokens")} tokens={formatTokens(totals.text_tokens)} />
+      <Row
+        label={t("usage.interview", { responses: realtime.responses })}
+        tokens={formatTokens(totals.audio_tokens + totals.text_tokens)}
+        cost={format(cost.realtime)}
+      />
+      <Row
+        label={t(evaluation.runs === 1 ? "usage.evaluationRun" : "usage.evaluationRuns", { runs: evaluation.runs })}
+        tokens={formatTokens(totals.evaluation_tokens)}
+        cost={format(cost.evaluation)}
+      />
+      <div className="flex justify-between text-sm font-semibold border-t border-gray-100 pt-2 mt-2">
+        <span>{t("usage.estimatedCost")}</span>
+        <span className="font-mono">{format(cost.total)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+// en.js
+
+/**
+ * English interface strings; the fallback for every other catalog.
+ */
+export default {
+  // Main screen
+  "app.title": "Language Evaluation",
+  "app.history": "History",
+  "app.progress": "Progress",
+  "app.interfaceLanguage": "Interface language",
+  "app.sessionMode": "Session mode",
+  "app.modeExam": "Exam",
+  "app.modeTutor": "Practice with a tutor",
+  "app.scenario": "Role-play scenario",
+  "app.freeConversation": "Free conversation",
+  "app.standardInterview": "Standard interview",
+  "app.rubric": "Grading rubric",
+  "app.feedbackLanguage": "Feedback language",
+  "app.feedbackIn": "Feedback in {language}",
+  "app.reconnecting": "Connection lost. Reconnecting and resuming where you left off...",
+  "app.connectionFailed":
+    "The connection was lost and could not be restored. End the session to grade what was said so far.",
+  "app.practiceSummaryFailed": "Could not write the practice summary: {error}",
+  "app.signIn": "Sign in",
+  "app.annotatedTranscript": "Annotated Transcript",
+
+  // Session controls
+  "controls.recordingConsent": "I consent to recording this session's audio for review",
+  "controls.ensemble": "Placement grading (3 raters)",
+  "controls.ensembleHint": "Grade with three independent raters and report how far they agree",
+  "controls.startPractice": "Start Practice",
+  "controls.startEvaluation": "Start Evaluation",
+  "controls.recording": "Audio is being recorded",
+  "controls.rec": "REC",
+  "controls.messagePlaceholder": "Type your message...",
+  "controls.send": "Send",
+  "controls.end": "End",
+
+  // Microphone check and turn-taking
+  "mic.title": "Microphone",
+  "mic.test": "Test microphone",
+  "mic.stopTest": "Stop test",
+  "mic.device": "Input device",
+  "mic.defaultDevice": "System default",
+  "mic.deviceNumber": "Microphone {number}",
+  "mic.level": "Input level",
+  "mic.blocked": "The microphone could not be opened: {error}",
+  "mic.pushToTalk": "Push to talk",
+  "mic.pushToTalkHint": "Hold the talk button while you speak instead of letting the interviewer detect when you have finished",
+  "mic.threshold": "Speech detection threshold",
+  "mic.thresholdHint": "Raise it in a noisy room so background sound isn't taken for speech",
+  "mic.silence": "Pause before your turn ends",
+  "mic.milliseconds": "{ms} ms",
+  "mic.mute": "Mute",
+  "mic.unmute": "Unmute",
+  "mic.muted": "Your microphone is muted",
+  "mic.holdToTalk": "Hold to talk",
+  "mic.talking": "Listening... release to send",
+
+  // Event log
+  "log.debugMode": "Debug Mode",
+  "log.noEvents": "No events yet...",
+  "log.timerHint": "We recommend conversations over 2 minutes to properly evaluate your language skills",
+
+  // Evaluation panel
+  "eval.title": "Language Evaluation",
+  "eval.noSession": "No Active Session",
+  "eval.noSessionHint": "Start a session to begin the evaluation",
+  "eval.failed": "Evaluation Failed",
+  "eval.tryAgain": "Try again",
+  "eval.measured": "measured",
+  "eval.estimated": "estimated",
+  "eval.confidence.high": "high confidence",
+  "eval.confidence.medium": "medium confidence",
+  "eval.confidence.low": "low confidence",
+  "eval.confidenceHint": "{agreeing} of {passes} raters agree on the level; 95% interval {low}–{high}",
+  "eval.needsReview": "Flagged for human review",
+  "eval.scenario": "Scenario: {title}",
+  "eval.skillAssessment": "Skill Assessment",
+  "eval.taskCompletion": "Task Completion",
+  "eval.criteriaMet": "Success criteria met",
+  "eval.targetVocabulary": "Target vocabulary used:",
+  "eval.conversationAnalysis": "Conversation Analysis",
+  "eval.complexity": "Complexity Level",
+  "eval.topics": "Topics Covered:",
+  "eval.performanceMetrics": "Performance Metrics",
+  "eval.responseRate": "Response Rate",
+  "eval.grammarAccuracy": "Grammar Accuracy",
+  "eval.averageLength": "Avg Response Length",
+  "eval.medianLength": "Median Response Length",
+  "eval.vocabularyRange": "Vocabulary Range",
+  "eval.lexicalDiversity": "Lexical Diversity (MATTR)",
+  "eval.distinctLemmas": "Distinct Lemmas",
+  "eval.typeTokenRatio": "Type-Token Ratio",
+  "eval.unit.words": "words",
+  "eval.unit.characters": "characters",
+  "eval.criticalFeedback": "Critical Feedback",
+  "eval.majorWeaknesses": "Major Weaknesses",
+  "eval.requiredImprovements": "Required Improvements",
+  "eval.studyRecommendations": "Study Recommendations",
+  "eval.raterAgreement": "Rater Agreement",
+  "eval.raterSummary":
+    "{passes} independent passes, combined by {aggregate}. Overall {min}–{max} (95% interval {low}–{high}).",
+  "eval.rater": "Rater {pass} ({rater}, {model})",
+  "eval.fluencyTimeline": "Fluency timeline",
+  "eval.interviewCoverage": "Interview Coverage",
+  "eval.coverageIncomplete": "Some stages were not completed; skills they test could not be fully assessed.",
+  "eval.usage": "Usage & Cost",
+  "eval.recommendedLevel": "Recommended Level: {level}",
+
+  // Skills, by rubric skill key; rubrics with other skills fall back to their own labels
+  "skill.pronunciation": "Pronunciation",
+  "skill.grammar": "Grammar",
+  "skill.vocabulary": "Vocabulary",
+  "skill.fluency": "Fluency",
+  "skill.listening_comprehension": "Listening",
+
+  // Evaluation progress
+  "progress.validating": "Checking the transcript",
+  "progress.metrics": "Measuring responses and vocabulary",
+  "progress.grading": "Grading with the model",
+  "progress.calibrating": "Calibrating scores",
+  "progress.passes": "({done} of {total} passes)",
+  "progress.queued": "Queued for evaluation...",
+  "progress.generating": "Generating comprehensive evaluation...",
+  "progress.retrying": "Attempt {attempt} failed; retrying shortly...",
+  "progress.attempt": "Attempt {attempt} of {max}...",
+  "progress.summary": "{turns} candidate turns · mean response {length} {unit} · {lemmas} distinct words",
+
+  // Live assessment panel
+  "live.title": "Live Assessment",
+  "live.estimating": "Estimating level...",
+  "live.pitchedAt": "Questions pitched at {level}",
+  "live.recordedErrors": "Recorded Errors",
+  "live.noErrors": "No errors recorded yet.",
+
+  // Fluency timeline
+  "fluency.candidateTime": "Candidate speaking time",
+  "fluency.interviewerTime": "Interviewer speaking time",
+  "fluency.talkRatio": "Talk-time ratio (candidate : interviewer)",
+  "fluency.latency": "Response latency (median / max)",
+  "fluency.pauses": "Pauses (longest)",
+  "fluency.speechRate": "Speech rate ({unit}/min)",
+  "fluency.interruptions": "Interruptions",
+  "fluency.connectionDrops": "Connection drops (time offline)",
+  "fluency.gapHint": "Connection lost for {duration}; not counted against fluency",
+  "fluency.candidateTurn": "Candidate: {duration}",
+  "fluency.answeredAfter": ", answered after {duration}",
+  "fluency.turnRate": ", {rate} {unit}/min",
+  "fluency.interviewerTurn": "Interviewer: {duration}",
+  "fluency.candidate": "Candidate",
+  "fluency.interviewer": "Interviewer",
+  "fluency.offline": "Offline",
+  "fluency.approximate": "Interviewer timing is approximate: playback events were not available.",
+
+  // Practice panel
+  "practice.title": "Practice Session",
+  "practice.vocabulary": "Vocabulary",
+  "practice.vocabularyHint": "Ask \"how do I say...\" to add words here.",
+  "practice.corrections": "Corrections",
+  "practice.noCorrections": "No corrections yet.",
+  "practice.summarizing": "Writing your practice summary...",
+  "practice.noSessionHint": "Start a practice session to chat with your tutor",
+  "practice.summaryTitle": "Practice Summary",
+  "practice.newWords": "New Words",
+  "practice.noNewWords": "No new words this time.",
+  "practice.recurringMistakes": "Recurring Mistakes",
+  "practice.noRecurringMistakes": "No recurring mistakes. Nice work!",
+  "practice.nextTime": "Next Time",
+
+  // Usage and cost
+  "usage.audioTokens": "Audio tokens",
+  "usage.textTokens": "Text tokens",
+  "usage.interview": "Interview ({responses} responses)",
+  "usage.evaluationRun": "Evaluation ({runs} run)",
+  "usage.evaluationRuns": "Evaluation ({runs} runs)",
+  "usage.estimatedCost": "Estimated cost",
+  "usage.notPriced": "not priced",
+
+  // Annotated transcript
+  "transcript.show": "Show:",
+  "transcript.all": "All",
+  "transcript.interviewer": "Interviewer:",
+  "transcript.candidate": "Candidate:",
+  "transcript.notedLive": "(noted live)",
+
+  // Account menu
+  "account.usage": "Usage",
+  "account.signOut": "Sign out",
+  "account.today": "Today: {sessions}/{sessionLimit} sessions, {minutes}/{minuteLimit} evaluation minutes",
+};
@@ -0,0 +1,194 @@
+// es.js
+
+/**
+ * Spanish interface strings.
+ */
+export default {
+  // Main screen
+  "app.title": "Evaluación de idiomas",
+  "app.history": "Historial",
+  "app.progress": "Progreso",
+  "app.interfaceLanguage": "Idioma de la interfaz",
+  "app.sessionMode": "Modo de sesión",
+  "app.modeExam": "Examen",
+  "app.modeTutor": "Practicar con un tutor",
+  "app.scenario": "Escenario de juego de rol",
+  "app.freeConversation": "Conversación libre",
+  "app.standardInterview": "Entrevista estándar",
+  "app.rubric": "Rúbrica de calificación",
+  "app.feedbackLanguage": "Idioma de los comentarios",
+  "app.feedbackIn": "Comentarios en {language}",
+  "app.reconnecting": "Se perdió la conexión. Reconectando para continuar donde lo dejaste...",
+  "app.connectionFailed":
+    "Se perdió la conexión y no se pudo restablecer. Termina la sesión para calificar lo que se dijo hasta ahora.",
+  "app.practiceSummaryFailed": "No se pudo escribir el resumen de práctica: {error}",
+  "app.signIn": "Iniciar sesión",
+  "app.annotatedTranscript": "Transcripción anotada",
+
+  // Session controls
+  "controls.recordingConsent": "Acepto que se grabe el audio de esta sesión para revisarlo",
+  "controls.ensemble": "Calificación de nivel (3 evaluadores)",
+  "controls.ensembleHint": "Calificar con tres evaluadores independientes e indicar cuánto coinciden",
+  "controls.startPractice": "Empezar práctica",
+  "controls.startEvaluation": "Empezar evaluación",
+  "controls.recording": "Se está grabando el audio",
+  "controls.rec": "GRAB",
+  "controls.messagePlaceholder": "Escribe tu mensaje...",
+  "controls.send": "Enviar",
+  "controls.end": "Terminar",
+
+  // Microphone check and turn-taking
+  "mic.title": "Micrófono",
+  "mic.test": "Probar micrófono",
+  "mic.stopTest": "Detener prueba",
+  "mic.device": "Dispositivo de entrada",
+  "mic.defaultDevice": "Predeterminado del sistema",
+  "mic.deviceNumber": "Micrófono {number}",
+  "mic.level": "Nivel de entrada",
+  "mic.blocked": "No se pudo abrir el micrófono: {error}",
+  "mic.pushToTalk": "Pulsar para hablar",
+  "mic.pushToTalkHint": "Mantén pulsado el botón mientras hablas en lugar de dejar que el entrevistador detecte cuándo has terminado",
+  "mic.threshold": "Umbral de detección de voz",
+  "mic.thresholdHint": "Súbelo en una sala ruidosa para que el ruido de fondo no se tome por voz",
+  "mic.silence": "Pausa antes de que termine tu turno",
+  "mic.milliseconds": "{ms} ms",
+  "mic.mute": "Silenciar",
+  "mic.unmute": "Activar micrófono",
+  "mic.muted": "Tu micrófono está silenciado",
+  "mic.holdToTalk": "Mantén pulsado para hablar",
+  "mic.talking": "Escuchando... suelta para enviar",
+
+  // Event log
+  "log.debugMode": "Modo de depuración",
+  "log.noEvents": "Todavía no hay eventos...",
+  "log.timerHint": "Recomendamos conversaciones de más de 2 minutos para evaluar bien tu nivel",
+
+  // Evaluation panel
+  "eval.title": "Evaluación de idiomas",
+  "eval.noSession": "No hay ninguna sesión activa",
+  "eval.noSessionHint": "Empieza una sesión para comenzar la evaluación",
+  "eval.failed": "La evaluación falló",
+  "eval.tryAgain": "Intentar de nuevo",
+  "eval.measured": "medido",
+  "eval.estimated": "estimado",
+  "eval.confidence.high": "confianza alta",
+  "eval.confidence.medium": "confianza media",
+  "eval.confidence.low": "confianza baja",
+  "eval.confidenceHint": "{agreeing} de {passes} evaluadores coinciden en el nivel; intervalo del 95 % {low}–{high}",
+  "eval.needsReview": "Marcado para revisión humana",
+  "eval.scenario": "Escenario: {title}",
+  "eval.skillAssessment": "Evaluación de destrezas",
+  "eval.taskCompletion": "Cumplimiento de la tarea",
+  "eval.criteriaMet": "Criterios de éxito cumplidos",
+  "eval.targetVocabulary": "Vocabulario objetivo usado:",
+  "eval.conversationAnalysis": "Análisis de la conversación",
+  "eval.complexity": "Nivel de complejidad",
+  "eval.topics": "Temas tratados:",
+  "eval.performanceMetrics": "Métricas de desempeño",
+  "eval.responseRate": "Tasa de respuesta",
+  "eval.grammarAccuracy": "Precisión gramatical",
+  "eval.averageLength": "Longitud media de respuesta",
+  "eval.medianLength": "Longitud mediana de respuesta",
+  "eval.vocabularyRange": "Amplitud de vocabulario",
+  "eval.lexicalDiversity": "Diversidad léxica (MATTR)",
+  "eval.distinctLemmas": "Lemas distintos",
+  "eval.typeTokenRatio": "Relación tipo-token",
+  "eval.unit.words": "palabras",
+  "eval.unit.characters": "caracteres",
+  "eval.criticalFeedback": "Comentarios críticos",
+  "eval.majorWeaknesses": "Debilidades principales",
+  "eval.requiredImprovements": "Mejoras necesarias",
+  "eval.studyRecommendations": "Recomendaciones de estudio",
+  "eval.raterAgreement": "Acuerdo entre evaluadores",
+  "eval.raterSummary":
+    "{passes} pasadas independientes, combinadas por {aggregate}. Global {min}–{max} (intervalo del 95 % {low}–{high}).",
+  "eval.rater": "Evaluador {pass} ({rater}, {model})",
+  "eval.fluencyTimeline": "Cronología de fluidez",
+  "eval.interviewCoverage": "Cobertura de la entrevista",
+  "eval.coverageIncomplete":
+    "Algunas etapas no se completaron; las destrezas que evalúan no se pudieron valorar del todo.",
+  "eval.usage": "Uso y coste",
+  "eval.recommendedLevel": "Nivel recomendado: {level}",
+
+  // Skills
+  "skill.pronunciation": "Pronunciación",
+  "skill.grammar": "Gramática",
+  "skill.vocabulary": "Vocabulario",
+  "skill.fluency": "Fluidez",
+  "skill.listening_comprehension": "Comprensión auditiva",
+
+  // Evaluation progress
+  "progress.validating": "Revisando la transcripción",
+  "progress.metrics": "Midiendo respuestas y vocabulario",
+  "progress.grading": "Calificando con el modelo",
+  "progress.calibrating": "Calibrando las puntuaciones",
+  "progress.passes": "({done} de {total} pasadas)",
+  "progress.queued": "En cola para la evaluación...",
+  "progress.generating": "Generando la evaluación completa...",
+  "progress.retrying": "El intento {attempt} falló; reintentando en breve...",
+  "progress.attempt": "Intento {attempt} de {max}...",
+  "progress.summary": "{turns} turnos del candidato · respuesta media de {length} {unit} · {lemmas} palabras distintas",
+
+  // Live assessment panel
+  "live.title": "Evaluación en directo",
+  "live.estimating": "Estimando el nivel...",
+  "live.pitchedAt": "Preguntas de nivel {level}",
+  "live.recordedErrors": "Errores registrados",
+  "live.noErrors": "Todavía no se ha registrado ningún error.",
+
+  // Fluency timeline
+  "fluency.candidateTime": "Tiempo de habla del candidato",
+  "fluency.interviewerTime": "Tiempo de habla del entrevistador",
+  "fluency.talkRatio": "Proporción de habla (candidato : entrevistador)",
+  "fluency.latency": "Tiempo de respuesta (mediana / máximo)",
+  "fluency.pauses": "Pausas (la más larga)",
+  "fluency.speechRate": "Velocidad de habla ({unit}/min)",
+  "fluency.interruptions": "Interrupciones",
+  "fluency.connectionDrops": "Cortes de conexión (tiempo sin conexión)",
+  "fluency.gapHint": "Conexión perdida durante {duration}; no cuenta en contra de la fluidez",
+  "fluency.candidateTurn": "Candidato: {duration}",
+  "fluency.answeredAfter": ", respondió tras {duration}",
+  "fluency.turnRate": ", {rate} {unit}/min",
+  "fluency.interviewerTurn": "Entrevistador: {duration}",
+  "fluency.candidate": "Candidato",
+  "fluency.interviewer": "Entrevistador",
+  "fluency.offline": "Sin conexión",
+  "fluency.approximate":
+    "Los tiempos del entrevistador son aproximados: no había eventos de reproducción disponibles.",
+
+  // Practice panel
+  "practice.title": "Sesión de práctica",
+  "practice.vocabulary": "Vocabulario",
+  "practice.vocabularyHint": "Pregunta «¿cómo se dice...?» para añadir palabras aquí.",
+  "practice.corrections": "Correcciones",
+  "practice.noCorrections": "Todavía no hay correcciones.",
+  "practice.summarizing": "Escribiendo el resumen de tu práctica...",
+  "practice.noSessionHint": "Empieza una sesión de práctica para conversar con tu tutor",
+  "practice.summaryTitle": "Resumen de la práctica",
+  "practice.newWords": "Palabras nuevas",
+  "practice.noNewWords": "Esta vez no hay palabras nuevas.",
+  "practice.recurringMistakes": "Errores recurrentes",
+  "practice.noRecurringMistakes": "No hay errores recurrentes. ¡Buen trabajo!",
+  "practice.nextTime": "Para la próxima vez",
+
+  // Usage and cost
+  "usage.audioTokens": "Tokens de audio",
+  "usage.textTokens": "Tokens de texto",
+  "usage.interview": "Entrevista ({responses} respuestas)",
+  "usage.evaluationRun": "Evaluación ({runs} ejecución)",
+  "usage.evaluationRuns": "Evaluación ({runs} ejecuciones)",
+  "usage.estimatedCost": "Coste estimado",
+  "usage.notPriced": "sin precio",
+
+  // Annotated transcript
+  "transcript.show": "Mostrar:",
+  "transcript.all": "Todo",
+  "transcript.interviewer": "Entrevistador:",
+  "transcript.candidate": "Candidato:",
+  "transcript.notedLive": "(anotado en directo)",
+
+  // Account menu
+  "account.usage": "Uso",
+  "account.signOut": "Cerrar sesión",
+  "account.today": "Hoy: {sessions}/{sessionLimit} sesiones, {minutes}/{minuteLimit} minutos de evaluación",
+};
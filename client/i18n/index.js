@@ -0,0 +1,73 @@
+// index.js
+
+import { useSyncExternalStore } from "react";
+import en from "./en";
+import es from "./es";
+import zh from "./zh";
+
+/**
+ * Interface translations.
+ * Each catalog maps a message key to its text, with {name} placeholders.
+ * Keys missing from a catalog fall back to English. The chosen interface
+ * language is kept in localStorage and shared by every component that calls
+ * useTranslation(), so changing it re-renders the whole screen.
+ */
+export const INTERFACE_LANGUAGES = [
+  // feedbackLanguage is the default language for the evaluator's feedback
+  { code: "en", nativeName: "English", feedbackLanguage: "English", catalog: en },
+  { code: "es", nativeName: "Español", feedbackLanguage: "Spanish", catalog: es },
+  { code: "zh", nativeName: "中文", feedbackLanguage: "Chinese", catalog: zh },
+];
+
+const DEFAULT_CODE = "en";
+const STORAGE_KEY = "interfaceLanguage";
+
+const listeners = new Set();
+
+function findLanguage(code) {
+  return INTERFACE_LANGUAGES.find((language) => language.code === code) || null;
+}
+
+// A stored choice, else the browser's language if there's a catalog for it
+function currentCode() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (findLanguage(stored)) return stored;
+  const browser = navigator.language?.split("-")[0];
+  return findLanguage(browser) ? browser : DEFAULT_CODE;
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  // Another tab changed the language
+  window.addEventListener("storage", listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("storage", listener);
+  };
+}
+
+export function setInterfaceLanguage(code) {
+  localStorage.setItem(STORAGE_KEY, code);
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Look up a message and fill in its placeholders.
+ * vars.fallback is used when no catalog has the key (e.g. a skill a rubric adds).
+ */
+export function translate(code, key, vars = {}) {
+  const text = findLanguage(code)?.catalog[key] ?? en[key] ?? vars.fallback ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/**
+ * The interface language and a t(key, vars) bound to it.
+ * Server rendering and hydration use English; the stored choice applies right after.
+ */
+export function useTranslation() {
+  const code = useSyncExternalStore(subscribe, currentCode, () => DEFAULT_CODE);
+  return {
+    language: findLanguage(code),
+    t: (key, vars) => translate(code, key, vars),
+  };
+}
@@ -0,0 +1,191 @@
+// zh.js
+
+/**
+ * Simplified Chinese interface strings.
+ */
+export default {
+  // Main screen
+  "app.title": "语言能力评估",
+  "app.history": "历史记录",
+  "app.progress": "学习进度",
+  "app.interfaceLanguage": "界面语言",
+  "app.sessionMode": "会话模式",
+  "app.modeExam": "考试",
+  "app.modeTutor": "与辅导老师练习",
+  "app.scenario": "角色扮演场景",
+  "app.freeConversation": "自由对话",
+  "app.standardInterview": "标准面试",
+  "app.rubric": "评分标准",
+  "app.feedbackLanguage": "反馈语言",
+  "app.feedbackIn": "用{language}反馈",
+  "app.reconnecting": "连接已断开，正在重新连接并从中断处继续……",
+  "app.connectionFailed": "连接已断开且无法恢复。请结束会话，对目前为止的对话进行评分。",
+  "app.practiceSummaryFailed": "无法生成练习总结：{error}",
+  "app.signIn": "登录",
+  "app.annotatedTranscript": "批注文本",
+
+  // Session controls
+  "controls.recordingConsent": "我同意录制本次会话的音频以供回顾",
+  "controls.ensemble": "定级评分（3 位评分员）",
+  "controls.ensembleHint": "由三位独立评分员评分，并报告他们的一致程度",
+  "controls.startPractice": "开始练习",
+  "controls.startEvaluation": "开始评估",
+  "controls.recording": "正在录音",
+  "controls.rec": "录音",
+  "controls.messagePlaceholder": "输入你的消息……",
+  "controls.send": "发送",
+  "controls.end": "结束",
+
+  // Microphone check and turn-taking
+  "mic.title": "麦克风",
+  "mic.test": "测试麦克风",
+  "mic.stopTest": "停止测试",
+  "mic.device": "输入设备",
+  "mic.defaultDevice": "系统默认",
+  "mic.deviceNumber": "麦克风 {number}",
+  "mic.level": "输入音量",
+  "mic.blocked": "无法打开麦克风：{error}",
+  "mic.pushToTalk": "按住说话",
+  "mic.pushToTalkHint": "说话时按住通话按钮，而不是让面试官自动判断你是否说完",
+  "mic.threshold": "语音检测阈值",
+  "mic.thresholdHint": "在嘈杂的环境中调高，以免背景声音被当作说话",
+  "mic.silence": "回合结束前的停顿",
+  "mic.milliseconds": "{ms} 毫秒",
+  "mic.mute": "静音",
+  "mic.unmute": "取消静音",
+  "mic.muted": "你的麦克风已静音",
+  "mic.holdToTalk": "按住说话",
+  "mic.talking": "正在聆听……松开即发送",
+
+  // Event log
+  "log.debugMode": "调试模式",
+  "log.noEvents": "暂无事件……",
+  "log.timerHint": "建议对话超过 2 分钟，以便准确评估你的语言能力",
+
+  // Evaluation panel
+  "eval.title": "语言能力评估",
+  "eval.noSession": "没有进行中的会话",
+  "eval.noSessionHint": "开始一个会话以进行评估",
+  "eval.failed": "评估失败",
+  "eval.tryAgain": "重试",
+  "eval.measured": "实测",
+  "eval.estimated": "估计",
+  "eval.confidence.high": "高可信度",
+  "eval.confidence.medium": "中等可信度",
+  "eval.confidence.low": "低可信度",
+  "eval.confidenceHint": "{passes} 位评分员中有 {agreeing} 位对等级意见一致；95% 区间 {low}–{high}",
+  "eval.needsReview": "已标记为需要人工复核",
+  "eval.scenario": "场景：{title}",
+  "eval.skillAssessment": "技能评估",
+  "eval.taskCompletion": "任务完成情况",
+  "eval.criteriaMet": "达成的成功标准",
+  "eval.targetVocabulary": "使用的目标词汇：",
+  "eval.conversationAnalysis": "对话分析",
+  "eval.complexity": "复杂程度",
+  "eval.topics": "涉及话题：",
+  "eval.performanceMetrics": "表现指标",
+  "eval.responseRate": "回应率",
+  "eval.grammarAccuracy": "语法准确率",
+  "eval.averageLength": "平均回答长度",
+  "eval.medianLength": "回答长度中位数",
+  "eval.vocabularyRange": "词汇广度",
+  "eval.lexicalDiversity": "词汇多样性 (MATTR)",
+  "eval.distinctLemmas": "不同词元数",
+  "eval.typeTokenRatio": "类符/形符比",
+  "eval.unit.words": "词",
+  "eval.unit.characters": "字",
+  "eval.criticalFeedback": "重点反馈",
+  "eval.majorWeaknesses": "主要弱点",
+  "eval.requiredImprovements": "需要改进",
+  "eval.studyRecommendations": "学习建议",
+  "eval.raterAgreement": "评分员一致性",
+  "eval.raterSummary": "{passes} 次独立评分，按 {aggregate} 合并。总分 {min}–{max}（95% 区间 {low}–{high}）。",
+  "eval.rater": "评分员 {pass}（{rater}，{model}）",
+  "eval.fluencyTimeline": "流利度时间线",
+  "eval.interviewCoverage": "面试覆盖情况",
+  "eval.coverageIncomplete": "部分阶段未完成，这些阶段考查的技能无法完整评估。",
+  "eval.usage": "用量与费用",
+  "eval.recommendedLevel": "建议等级：{level}",
+
+  // Skills
+  "skill.pronunciation": "发音",
+  "skill.grammar": "语法",
+  "skill.vocabulary": "词汇",
+  "skill.fluency": "流利度",
+  "skill.listening_comprehension": "听力",
+  "skill.tones": "声调",
+
+  // Evaluation progress
+  "progress.validating": "检查对话文本",
+  "progress.metrics": "统计回答和词汇",
+  "progress.grading": "模型评分中",
+  "progress.calibrating": "校准分数",
+  "progress.passes": "（已完成 {done}/{total} 次）",
+  "progress.queued": "正在排队等待评估……",
+  "progress.generating": "正在生成完整评估……",
+  "progress.retrying": "第 {attempt} 次尝试失败，即将重试……",
+  "progress.attempt": "第 {attempt} 次尝试，共 {max} 次……",
+  "progress.summary": "考生发言 {turns} 次 · 平均回答 {length} {unit} · {lemmas} 个不同的词",
+
+  // Live assessment panel
+  "live.title": "实时评估",
+  "live.estimating": "正在估计水平……",
+  "live.pitchedAt": "当前问题难度：{level}",
+  "live.recordedErrors": "已记录的错误",
+  "live.noErrors": "还没有记录到错误。",
+
+  // Fluency timeline
+  "fluency.candidateTime": "考生说话时长",
+  "fluency.interviewerTime": "考官说话时长",
+  "fluency.talkRatio": "说话时长比（考生 : 考官）",
+  "fluency.latency": "回应延迟（中位数 / 最长）",
+  "fluency.pauses": "停顿（最长）",
+  "fluency.speechRate": "语速（{unit}/分钟）",
+  "fluency.interruptions": "打断次数",
+  "fluency.connectionDrops": "连接中断（离线时长）",
+  "fluency.gapHint": "连接中断 {duration}，不计入流利度",
+  "fluency.candidateTurn": "考生：{duration}",
+  "fluency.answeredAfter": "，{duration} 后作答",
+  "fluency.turnRate": "，{rate} {unit}/分钟",
+  "fluency.interviewerTurn": "考官：{duration}",
+  "fluency.candidate": "考生",
+  "fluency.interviewer": "考官",
+  "fluency.offline": "离线",
+  "fluency.approximate": "考官的时间为估计值：没有可用的播放事件。",
+
+  // Practice panel
+  "practice.title": "练习会话",
+  "practice.vocabulary": "词汇",
+  "practice.vocabularyHint": "问“……怎么说？”就能把词语加到这里。",
+  "practice.corrections": "纠正",
+  "practice.noCorrections": "还没有纠正。",
+  "practice.summarizing": "正在撰写练习总结……",
+  "practice.noSessionHint": "开始练习会话，和你的辅导老师聊天",
+  "practice.summaryTitle": "练习总结",
+  "practice.newWords": "新词",
+  "practice.noNewWords": "这次没有新词。",
+  "practice.recurringMistakes": "反复出现的错误",
+  "practice.noRecurringMistakes": "没有反复出现的错误，做得好！",
+  "practice.nextTime": "下次练习",
+
+  // Usage and cost
+  "usage.audioTokens": "音频令牌",
+  "usage.textTokens": "文本令牌",
+  "usage.interview": "面试（{responses} 次回复）",
+  "usage.evaluationRun": "评估（{runs} 次）",
+  "usage.evaluationRuns": "评估（{runs} 次）",
+  "usage.estimatedCost": "预计费用",
+  "usage.notPriced": "未定价",
+
+  // Annotated transcript
+  "transcript.show": "显示：",
+  "transcript.all": "全部",
+  "transcript.interviewer": "考官：",
+  "transcript.candidate": "考生：",
+  "transcript.notedLive": "（实时记录）",
+
+  // Account menu
+  "account.usage": "用量",
+  "account.signOut": "退出登录",
+  "account.today": "今天：{sessions}/{sessionLimit} 次会话，{minutes}/{minuteLimit} 分钟评估",
+};
@@ -0,0 +1,48 @@
+// adaptiveDifficulty.js
+
+/**
+ * Client state for adaptive difficulty.
+ * Every few candidate turns the conversation so far goes to /levelEstimate;
+ * when the estimated level changes, the interviewer is re-targeted with the
+ * guidance that came back. Pure functions so App can mirror it in state.
+ */
+
+// Candidate turns between level estimates
+export const ESTIMATE_EVERY_TURNS = 2;
+
+export function createAdaptiveDifficulty() {
+  return {
+    level: null,
+    // Guidance currently in the interviewer's instructions
+    instructions: null,
+    estimates: [],
+  };
+}
+
+export function isEstimateDue(userTurns) {
+  return userTurns > 0 && userTurns % ESTIMATE_EVERY_TURNS === 0;
+}
+
+/**
+ * Record an estimate. `changed` says whether the interviewer needs new instructions.
+ */
+export function applyEstimate(state, estimate, { userTurns, now = Date.now() }) {
+  const changed = estimate.level !== state.level;
+  const entry = {
+    at: now,
+    userTurns,
+    level: estimate.level,
+    direction: estimate.direction,
+    rationale: estimate.rationale,
+    usage: estimate.usage,
+  };
+
+  return {
+    changed,
+    state: {
+      level: estimate.level,
+      instructions: changed ? estimate.instructions : state.instructions,
+      estimates: [...state.estimates, entry],
+    },
+  };
+}
@@ -0,0 +1,17 @@
+// api.js
+
+/**
+ * Turn a failed response into an Error carrying the server's message.
+ * Routes answer with { error }, including 401 (signed out) and 429 (rate limit or quota).
+ */
+export async function responseError(res, fallback) {
+  let message = null;
+  try {
+    message = (await res.json()).error;
+  } catch {
+    // Not JSON (e.g. a proxy error page); use the fallback
+  }
+  const error = new Error(message || `${fallback} (${res.status})`);
+  error.status = res.status;
+  return error;
+}
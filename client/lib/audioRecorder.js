@@ -0,0 +1,65 @@
+// audioRecorder.js
+
+/**
+ * Session audio recording for later review.
+ * Each stream (candidate mic, interviewer voice) gets its own MediaRecorder;
+ * startedAt uses the same clock as the events' received_at so the review
+ * player can line audio up with transcript turns.
+ */
+
+const PREFERRED_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+
+export function isRecordingSupported() {
+  return typeof window !== "undefined" && typeof window.MediaRecorder !== "undefined";
+}
+
+function pickMimeType() {
+  return PREFERRED_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Start recording a stream. stop() resolves with the audio and its start time.
+ */
+export function createTrackRecorder(stream) {
+  const mimeType = pickMimeType();
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const startedAt = Date.now();
+
+  recorder.addEventListener("dataavailable", (e) => {
+    if (e.data.size) chunks.push(e.data);
+  });
+  // Flush a chunk every second so little is lost if the tab dies
+  recorder.start(1000);
+
+  return {
+    startedAt,
+    stop() {
+      return new Promise((resolve) => {
+        const finish = () =>
+          resolve({ blob: new Blob(chunks, { type: recorder.mimeType }), startedAt });
+        if (recorder.state === "inactive") {
+          finish();
+          return;
+        }
+        recorder.addEventListener("stop", finish, { once: true });
+        recorder.stop();
+      });
+    },
+  };
+}
+
+/**
+ * Upload one finished track to the session it belongs to
+ */
+export async function uploadRecording(sessionId, track, { blob, startedAt }) {
+  if (!blob.size) return;
+  const res = await fetch(`/sessions/${sessionId}/recordings/${track}?startedAt=${startedAt}`, {
+    method: "PUT",
+    headers: { "Content-Type": blob.type || "audio/webm" },
+    body: blob,
+  });
+  if (!res.ok) {
+    throw new Error(`Uploading ${track} recording failed (${res.status})`);
+  }
+}
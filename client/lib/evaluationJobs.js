@@ -0,0 +1,120 @@
+// evaluationJobs.js
+
+import { responseError } from "./api";
+
+/**
+ * Client side of the evaluation job queue.
+ * A finished interview is submitted to POST /evaluations under an idempotency
+ * key, then followed over Server-Sent Events (or polled, if the stream fails)
+ * until the job succeeds or fails. The job being followed is remembered in
+ * localStorage so a reload picks its progress back up.
+ */
+const PENDING_KEY = "pendingEvaluation";
+const POLL_INTERVAL_MS = 2000;
+// Network failures while submitting are retried under the same key, so they can't grade twice
+const SUBMIT_ATTEMPTS = 3;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Queue an evaluation; resolves with the job.
+ */
+export async function submitEvaluation(body, idempotencyKey) {
+  for (let attempt = 1; ; attempt++) {
+    let res;
+    try {
+      res = await fetch("/evaluations", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": idempotencyKey,
+        },
+        body: JSON.stringify(body),
+      });
+    } catch (error) {
+      if (attempt >= SUBMIT_ATTEMPTS) throw error;
+      await wait(POLL_INTERVAL_MS * attempt);
+      continue;
+    }
+    if (!res.ok) throw await responseError(res, "Evaluation failed");
+    return res.json();
+  }
+}
+
+/**
+ * Poll a job until it finishes, passing each status to onUpdate; resolves with the finished job,
+ * or null once isCancelled() says nobody is waiting any more.
+ */
+export async function waitForEvaluation(jobId, { onUpdate, isCancelled = () => false }) {
+  for (;;) {
+    let res = null;
+    try {
+      res = await fetch(`/evaluations/${encodeURIComponent(jobId)}`);
+    } catch (error) {
+      // Server restarting or offline for a moment; the job is still on disk
+      console.error("Polling the evaluation failed:", error.message);
+    }
+    if (isCancelled()) return null;
+
+    if (res) {
+      if (!res.ok) throw await responseError(res, "Could not check the evaluation");
+      const job = await res.json();
+      onUpdate?.(job);
+      if (job.status === "succeeded" || job.status === "failed") return job;
+    }
+    await wait(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Follow a job over Server-Sent Events, passing each status to onUpdate and the
+ * grading progress to onProgress; resolves like waitForEvaluation. Falls back to
+ * polling if the stream can't be opened or drops.
+ */
+export function watchEvaluation(jobId, { onUpdate, onProgress, isCancelled = () => false }) {
+  if (typeof EventSource === "undefined") {
+    return waitForEvaluation(jobId, { onUpdate, isCancelled });
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/evaluations/${encodeURIComponent(jobId)}/events`);
+    const stop = (result) => {
+      source.close();
+      resolve(result);
+    };
+
+    source.addEventListener("status", (e) => {
+      if (isCancelled()) return stop(null);
+      const job = JSON.parse(e.data);
+      onUpdate?.(job);
+      if (job.status === "succeeded" || job.status === "failed") stop(job);
+    });
+    source.addEventListener("progress", (e) => {
+      if (isCancelled()) return stop(null);
+      onProgress?.(JSON.parse(e.data));
+    });
+    source.addEventListener("error", () => {
+      source.close();
+      waitForEvaluation(jobId, { onUpdate, isCancelled }).then(resolve, reject);
+    });
+  });
+}
+
+export function rememberPendingEvaluation(pending) {
+  localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+}
+
+/**
+ * The job a previous page load was waiting for ({ jobId, conversation }), or null.
+ */
+export function loadPendingEvaluation() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function clearPendingEvaluation() {
+  localStorage.removeItem(PENDING_KEY);
+}
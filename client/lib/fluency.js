@@ -0,0 +1,214 @@
+// fluency.js
+
+/**
+ * Timing-based fluency analysis from the Realtime event log.
+ * Works on the chronological events App keeps, using the received_at stamp
+ * added to each inbound event plus the audio_start_ms/audio_end_ms the
+ * server VAD reports for the candidate's speech. With push-to-talk there is no
+ * server VAD; App logs the button press and release as speech_started/stopped
+ * instead, without audio offsets, so speaking time is the time the button was held.
+ *
+ * Turns come out in the same order as buildTextConversation, so
+ * timeline[i] describes conversation[i].
+ *
+ * The interviewer's talk time comes from output_audio_buffer.started/stopped
+ * when the transport sends them (WebRTC playback); otherwise from
+ * response.created -> response.done, which is only approximate because audio
+ * is streamed faster than it is played.
+ *
+ * App logs a client.connection_resumed event (with lost_at) after reconnecting
+ * from a dropped connection. The time offline is reported as a gap and is never
+ * counted as response latency or a pause.
+ */
+
+// Silences shorter than this between two candidate speech segments are not counted as pauses
+const MIN_PAUSE_MS = 250;
+
+/**
+ * Length of an utterance in the language's unit (mirrors the server's countLengthUnits)
+ */
+function countLengthUnits(text, unit) {
+  if (!text) return 0;
+  if (unit === "characters") {
+    return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+  }
+  return text.split(/\s+/).filter((token) => /[\p{L}\p{N}]/u.test(token)).length;
+}
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const seconds = (ms) => Math.round(ms / 100) / 10;
+
+/**
+ * Build the per-turn timeline and summary metrics.
+ * Times in the timeline are ms since the first event.
+ */
+export function analyzeFluency(events, { lengthUnit = "words" } = {}) {
+  const stamped = events.filter((ev) => typeof ev.received_at === "number");
+  if (!stamped.length) return null;
+
+  const origin = stamped[0].received_at;
+  const rel = (at) => (at == null ? null : at - origin);
+
+  const hasPlaybackEvents = stamped.some((ev) => ev.type.startsWith("output_audio_buffer."));
+  const segments = new Map(); // item_id -> candidate speech segment
+  const playback = new Map(); // response_id -> { startedAt, stoppedAt }
+  const timeline = [];
+  const gaps = [];
+
+  let assistantSpeaking = false;
+  let lastAssistantEnd = null;
+  let lastUserStop = null;
+  let interruptions = 0;
+
+  const playbackFor = (responseId) => {
+    if (!playback.has(responseId)) playback.set(responseId, { startedAt: null, stoppedAt: null });
+    return playback.get(responseId);
+  };
+
+  const assistantStarted = (responseId, at) => {
+    const span = playbackFor(responseId);
+    span.startedAt = span.startedAt ?? at;
+    assistantSpeaking = true;
+  };
+
+  const assistantStopped = (responseId, at) => {
+    playbackFor(responseId).stoppedAt = at;
+    assistantSpeaking = false;
+    lastAssistantEnd = at;
+    lastUserStop = null; // a pause only spans silence between the candidate's own segments
+  };
+
+  for (const ev of stamped) {
+    const at = ev.received_at;
+
+    switch (ev.type) {
+      case "output_audio_buffer.started":
+        assistantStarted(ev.response_id, at);
+        break;
+      case "output_audio_buffer.stopped":
+        assistantStopped(ev.response_id, at);
+        break;
+      case "response.created":
+        if (!hasPlaybackEvents) assistantStarted(ev.response.id, at);
+        break;
+      case "response.done":
+        if (!hasPlaybackEvents) assistantStopped(ev.response.id, at);
+        break;
+
+      case "input_audio_buffer.speech_started": {
+        const segment = {
+          startedAt: at,
+          stoppedAt: null,
+          audioStartMs: ev.audio_start_ms,
+          audioEndMs: null,
+          latencyMs: null,
+          pauseMs: null,
+        };
+        if (assistantSpeaking) {
+          interruptions++;
+        } else if (lastUserStop !== null) {
+          segment.pauseMs = at - lastUserStop;
+        } else if (lastAssistantEnd !== null) {
+          segment.latencyMs = at - lastAssistantEnd;
+        }
+        segments.set(ev.item_id, segment);
+        break;
+      }
+      case "input_audio_buffer.speech_stopped": {
+        const segment = segments.get(ev.item_id);
+        if (segment) {
+          segment.stoppedAt = at;
+          segment.audioEndMs = ev.audio_end_ms;
+        }
+        lastUserStop = at;
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.completed": {
+        const segment = segments.get(ev.item_id);
+        const speakingMs = segment
+          ? segment.audioEndMs != null && segment.audioStartMs != null
+            ? segment.audioEndMs - segment.audioStartMs
+            : (segment.stoppedAt ?? at) - segment.startedAt
+          : 0;
+        const units = countLengthUnits(ev.transcript, lengthUnit);
+
+        timeline.push({
+          role: "user",
+          start: rel(segment?.startedAt ?? at),
+          end: rel(segment?.stoppedAt ?? at),
+          speakingMs,
+          latencyMs: segment?.latencyMs ?? null,
+          pauseMs: segment?.pauseMs != null && segment.pauseMs >= MIN_PAUSE_MS ? segment.pauseMs : null,
+          units,
+          rate: speakingMs > 0 ? Math.round(units / (speakingMs / 60000)) : null,
+        });
+        break;
+      }
+      case "client.connection_resumed":
+        gaps.push({ start: rel(ev.lost_at), end: rel(at), ms: at - ev.lost_at });
+        // Nothing before the drop carries over: the next answer has no latency or pause to measure
+        assistantSpeaking = false;
+        lastAssistantEnd = null;
+        lastUserStop = null;
+        break;
+
+      case "response.audio_transcript.done":
+        // Playback usually ends after the transcript is done; the span is read when summarizing
+        timeline.push({ role: "assistant", responseId: ev.response_id, start: null, end: null, speakingMs: 0 });
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Fill in the interviewer's playback spans now that every stop event has been seen
+  for (const turn of timeline) {
+    if (turn.role !== "assistant") continue;
+    const span = playback.get(turn.responseId);
+    turn.start = rel(span?.startedAt);
+    turn.end = rel(span?.stoppedAt);
+    turn.speakingMs = span?.startedAt != null && span?.stoppedAt != null ? span.stoppedAt - span.startedAt : 0;
+    delete turn.responseId;
+  }
+
+  const userTurns = timeline.filter((t) => t.role === "user");
+  const candidateMs = userTurns.reduce((sum, t) => sum + t.speakingMs, 0);
+  const interviewerMs = timeline
+    .filter((t) => t.role === "assistant")
+    .reduce((sum, t) => sum + t.speakingMs, 0);
+  const latencies = userTurns.map((t) => t.latencyMs).filter((v) => v !== null);
+  const pauses = userTurns.map((t) => t.pauseMs).filter((v) => v !== null);
+  const units = userTurns.reduce((sum, t) => sum + t.units, 0);
+
+  return {
+    timeline,
+    gaps,
+    summary: {
+      candidate_speaking_seconds: seconds(candidateMs),
+      interviewer_speaking_seconds: seconds(interviewerMs),
+      // Candidate talk time per second of interviewer talk time
+      talk_time_ratio: interviewerMs ? Math.round((candidateMs / interviewerMs) * 100) / 100 : null,
+      mean_latency_ms: Math.round(mean(latencies)),
+      median_latency_ms: Math.round(median(latencies)),
+      max_latency_ms: latencies.length ? Math.max(...latencies) : 0,
+      pause_count: pauses.length,
+      mean_pause_ms: Math.round(mean(pauses)),
+      longest_pause_ms: pauses.length ? Math.max(...pauses) : 0,
+      interruptions,
+      speech_rate: candidateMs ? Math.round(units / (candidateMs / 60000)) : 0,
+      speech_rate_unit: lengthUnit,
+      interviewer_timing: hasPlaybackEvents ? "playback" : "approximate",
+      connection_gaps: gaps.length,
+      offline_seconds: seconds(gaps.reduce((sum, gap) => sum + gap.ms, 0)),
+    },
+  };
+}
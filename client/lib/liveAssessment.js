@@ -0,0 +1,78 @@
+// liveAssessment.js
+
+/**
+ * Client-side handling of the interviewer's function calls.
+ * Each tool call updates the live assessment state and produces the output
+ * that is sent back to the model as a function_call_output item.
+ */
+
+export function createLiveAssessment() {
+  return {
+    errors: [],
+    stage: null,
+    stageHistory: [],
+    levelEstimate: null,
+    levelHistory: [],
+  };
+}
+
+const handlers = {
+  record_error(state, { category, utterance, correction }) {
+    const error = { category, utterance, correction, at: Date.now() };
+    return {
+      state: { ...state, errors: [...state.errors, error] },
+      output: { recorded: true, total_errors: state.errors.length + 1 },
+    };
+  },
+
+  advance_stage(state, { stage }) {
+    return {
+      state: {
+        ...state,
+        stage,
+        stageHistory: [...state.stageHistory, { stage, at: Date.now() }],
+      },
+      output: { current_stage: stage },
+    };
+  },
+
+  update_level_estimate(state, { cefr }) {
+    return {
+      state: {
+        ...state,
+        levelEstimate: cefr,
+        levelHistory: [...state.levelHistory, { cefr, at: Date.now() }],
+      },
+      output: { level_estimate: cefr },
+    };
+  },
+};
+
+/**
+ * Apply a completed function call to the live assessment.
+ * Returns the next state and the JSON output for the model.
+ */
+export function applyToolCall(state, name, rawArguments) {
+  const handler = handlers[name];
+  if (!handler) {
+    return { state, output: { error: `Unknown tool: ${name}` } };
+  }
+
+  let args;
+  try {
+    args = JSON.parse(rawArguments || "{}");
+  } catch (err) {
+    return { state, output: { error: `Invalid arguments: ${err.message}` } };
+  }
+
+  return handler(state, args);
+}
+
+/**
+ * A response that only contained function calls needs a follow-up
+ * response.create so the interviewer keeps talking.
+ */
+export function needsFollowUpResponse(responseDoneEvent) {
+  const output = responseDoneEvent.response?.output || [];
+  return output.length > 0 && output.every((item) => item.type === "function_call");
+}
@@ -0,0 +1,130 @@
+// microphone.js
+
+/**
+ * Microphone selection, level metering and turn-taking settings.
+ * The chosen device and the turn-taking settings are kept in localStorage so
+ * a candidate only sets them up once. Turn-taking is either the server's voice
+ * activity detection (with a tunable threshold and silence duration) or
+ * push-to-talk, where the server VAD is turned off and App commits the input
+ * audio buffer itself when the talk button is released.
+ */
+const SETTINGS_KEY = "microphoneSettings";
+
+// The Realtime API's own server VAD defaults
+export const DEFAULT_MIC_SETTINGS = {
+  deviceId: "",
+  pushToTalk: false,
+  vadThreshold: 0.5,
+  silenceDurationMs: 500,
+};
+
+export const VAD_THRESHOLD_RANGE = { min: 0.1, max: 0.9, step: 0.05 };
+export const SILENCE_DURATION_RANGE = { min: 200, max: 2000, step: 100 };
+
+const PREFIX_PADDING_MS = 300;
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * The stored settings, with defaults for anything missing or out of range.
+ */
+export function loadMicSettings() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+  } catch {
+    // Fall through to the defaults
+  }
+  const settings = { ...DEFAULT_MIC_SETTINGS, ...stored };
+  return {
+    deviceId: typeof settings.deviceId === "string" ? settings.deviceId : "",
+    pushToTalk: Boolean(settings.pushToTalk),
+    vadThreshold: clamp(Number(settings.vadThreshold) || DEFAULT_MIC_SETTINGS.vadThreshold, VAD_THRESHOLD_RANGE),
+    silenceDurationMs: clamp(
+      Number(settings.silenceDurationMs) || DEFAULT_MIC_SETTINGS.silenceDurationMs,
+      SILENCE_DURATION_RANGE,
+    ),
+  };
+}
+
+export function saveMicSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * The audio inputs. Labels are empty until the page has been allowed to use a microphone.
+ */
+export async function listMicrophones() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === "audioinput")
+    .map((device) => ({ deviceId: device.deviceId, label: device.label }));
+}
+
+/**
+ * Open a microphone; the system default when deviceId is empty.
+ * A remembered device that has since been unplugged falls back to the default.
+ */
+export async function openMicrophone(deviceId) {
+  if (!deviceId) {
+    return navigator.mediaDevices.getUserMedia({ audio: true });
+  }
+  try {
+    return await navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: deviceId } } });
+  } catch (error) {
+    if (error.name !== "OverconstrainedError" && error.name !== "NotFoundError") throw error;
+    return navigator.mediaDevices.getUserMedia({ audio: true });
+  }
+}
+
+/**
+ * Switch the microphone's tracks on or off; a disabled track sends silence.
+ */
+export function setMicEnabled(stream, enabled) {
+  stream?.getAudioTracks().forEach((track) => {
+    track.enabled = enabled;
+  });
+}
+
+/**
+ * Report the stream's input level (0-1) to onLevel once per animation frame.
+ * Returns a function that stops metering; the stream itself is left open.
+ */
+export function createLevelMeter(stream, onLevel) {
+  const audioContext = new AudioContext();
+  const source = audioContext.createMediaStreamSource(stream);
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let frame = null;
+  const tick = () => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (const sample of samples) sum += sample * sample;
+    // RMS of speech rarely passes 0.3, so scale it up to fill the meter
+    onLevel(Math.min(1, Math.sqrt(sum / samples.length) * 4));
+    frame = requestAnimationFrame(tick);
+  };
+  tick();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    source.disconnect();
+    audioContext.close();
+  };
+}
+
+/**
+ * The session's turn_detection setting: null turns the server VAD off for push-to-talk.
+ */
+export function turnDetectionFor(settings) {
+  if (settings.pushToTalk) return null;
+  return {
+    type: "server_vad",
+    threshold: settings.vadThreshold,
+    prefix_padding_ms: PREFIX_PADDING_MS,
+    silence_duration_ms: settings.silenceDurationMs,
+  };
+}
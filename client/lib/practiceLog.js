@@ -0,0 +1,58 @@
+// practiceLog.js
+
+/**
+ * Client-side handling of the tutor's function calls in practice mode.
+ * The tutor saves vocabulary and notes its corrections; both are shown live
+ * and sent with the session so the practice summary can build on them.
+ */
+
+export function createPracticeLog() {
+  return {
+    vocabulary: [],
+    corrections: [],
+  };
+}
+
+const handlers = {
+  save_vocabulary(state, { term, meaning, example }) {
+    // Asking about the same word twice shouldn't list it twice
+    const known = state.vocabulary.some((v) => v.term.toLowerCase() === term?.toLowerCase());
+    if (!term || known) {
+      return { state, output: { saved: false, total_words: state.vocabulary.length } };
+    }
+    return {
+      state: { ...state, vocabulary: [...state.vocabulary, { term, meaning, example, at: Date.now() }] },
+      output: { saved: true, total_words: state.vocabulary.length + 1 },
+    };
+  },
+
+  note_correction(state, { utterance, correction, explanation }) {
+    return {
+      state: {
+        ...state,
+        corrections: [...state.corrections, { utterance, correction, explanation, at: Date.now() }],
+      },
+      output: { noted: true, total_corrections: state.corrections.length + 1 },
+    };
+  },
+};
+
+/**
+ * Apply a completed tutor function call to the practice log.
+ * Returns the next state and the JSON output for the model.
+ */
+export function applyPracticeToolCall(state, name, rawArguments) {
+  const handler = handlers[name];
+  if (!handler) {
+    return { state, output: { error: `Unknown tool: ${name}` } };
+  }
+
+  let args;
+  try {
+    args = JSON.parse(rawArguments || "{}");
+  } catch (err) {
+    return { state, output: { error: `Invalid arguments: ${err.message}` } };
+  }
+
+  return handler(state, args);
+}
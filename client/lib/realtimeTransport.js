@@ -0,0 +1,199 @@
+// realtimeTransport.js
+
+/**
+ * Connection to the Realtime interviewer.
+ * Returns a data channel App can attach listeners to before connecting:
+ * - "openai": WebRTC peer connection with mic audio and a real DataChannel
+ * - "mock": an in-page channel that plays the scripted events from /token
+ *
+ * Audio streams are exposed for recording: micStream after connect(), and the
+ * interviewer's stream through the onRemoteStream option. The mock has neither.
+ * The deviceId option picks the microphone (the system default when empty).
+ *
+ * onConnectionLost is called once if the connection drops without close()
+ * being called. A reconnecting caller can pass the previous micStream so the
+ * same microphone stream (and its recorder) carries on, and close it with
+ * keepMic so the stream survives the old connection.
+ */
+
+import { openMicrophone } from "./microphone";
+
+const REALTIME_URL = "https://api.openai.com/v1/realtime";
+const REALTIME_MODEL = "gpt-4o-mini-realtime-preview";
+
+// A "disconnected" peer connection often recovers by itself; only give up on it after this long
+const DISCONNECT_GRACE_MS = 5000;
+
+/**
+ * DataChannel stand-in that dispatches the mock provider's scripted events.
+ */
+class MockDataChannel extends EventTarget {
+  constructor(script) {
+    super();
+    this.script = script;
+    this.readyState = "connecting";
+    this.timer = null;
+  }
+
+  open() {
+    this.readyState = "open";
+    this.dispatchEvent(new Event("open"));
+    this.playFrom(0);
+  }
+
+  playFrom(index) {
+    if (this.readyState !== "open" || index >= this.script.length) return;
+    const { delayMs, event } = this.script[index];
+    this.timer = setTimeout(() => {
+      if (event.type === "mock.connection_lost") {
+        this.close();
+        return;
+      }
+      this.emit(event);
+      this.playFrom(index + 1);
+    }, delayMs);
+  }
+
+  emit(event) {
+    if (this.readyState !== "open") return;
+    this.dispatchEvent(new MessageEvent("message", { data: JSON.stringify(event) }));
+  }
+
+  send(raw) {
+    if (this.readyState !== "open") {
+      throw new Error("Mock data channel is not open");
+    }
+    // Acknowledge instruction updates the way the real API does
+    const event = JSON.parse(raw);
+    if (event.type === "session.update") {
+      setTimeout(() => {
+        this.emit({
+          type: "session.updated",
+          event_id: `event_mock_${Date.now()}`,
+          session: event.session,
+        });
+      }, 50);
+    }
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.readyState = "closed";
+    this.dispatchEvent(new Event("close"));
+  }
+}
+
+/**
+ * Call onLost once, the first time `lost` is reported before close()
+ */
+function watchConnection(onLost) {
+  let closing = false;
+  let reported = false;
+  return {
+    lost() {
+      if (closing || reported) return;
+      reported = true;
+      onLost?.();
+    },
+    closing() {
+      closing = true;
+    },
+  };
+}
+
+function createMockTransport(tokenJSON, { onConnectionLost }) {
+  const dataChannel = new MockDataChannel(tokenJSON.mock_script || []);
+  const watch = watchConnection(onConnectionLost);
+  dataChannel.addEventListener("close", () => watch.lost());
+
+  return {
+    dataChannel,
+    async connect() {
+      setTimeout(() => dataChannel.open(), 0);
+    },
+    close() {
+      watch.closing();
+      dataChannel.close();
+    },
+  };
+}
+
+function createWebRTCTransport(
+  tokenJSON,
+  { audioElement, onRemoteStream, onConnectionLost, deviceId, micStream: reusedMic },
+) {
+  const ephemeralKey = tokenJSON.client_secret.value;
+  const pc = new RTCPeerConnection();
+
+  pc.ontrack = (ev) => {
+    if (ev.streams && ev.streams[0]) {
+      audioElement.srcObject = ev.streams[0];
+      console.log("Audio track received:", ev.streams[0].getAudioTracks());
+      audioElement.play().catch(e => console.error("Audio play failed:", e));
+      onRemoteStream?.(ev.streams[0]);
+    }
+  };
+
+  // Data channel for JSON events
+  const dataChannel = pc.createDataChannel("evaluation-events");
+  let micStream = reusedMic || null;
+
+  const watch = watchConnection(onConnectionLost);
+  let graceTimer = null;
+  pc.addEventListener("connectionstatechange", () => {
+    clearTimeout(graceTimer);
+    if (pc.connectionState === "failed" || pc.connectionState === "closed") {
+      watch.lost();
+    } else if (pc.connectionState === "disconnected") {
+      graceTimer = setTimeout(() => watch.lost(), DISCONNECT_GRACE_MS);
+    }
+  });
+  dataChannel.addEventListener("close", () => watch.lost());
+
+  return {
+    dataChannel,
+    peerConnection: pc,
+    get micStream() {
+      return micStream;
+    },
+    async connect() {
+      // Capture user mic, unless a reconnect handed over the one already in use
+      micStream = micStream || (await openMicrophone(deviceId));
+      pc.addTrack(micStream.getTracks()[0]);
+
+      // WebRTC handshake
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+
+      const postOffer = await fetch(
+        `${REALTIME_URL}?model=${REALTIME_MODEL}`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${ephemeralKey}`,
+            "Content-Type": "application/sdp",
+          },
+          body: offer.sdp,
+        }
+      );
+      const answerSDP = await postOffer.text();
+      await pc.setRemoteDescription({ type: "answer", sdp: answerSDP });
+    },
+    close({ keepMic = false } = {}) {
+      watch.closing();
+      clearTimeout(graceTimer);
+      dataChannel.close();
+      pc.close();
+      if (!keepMic) micStream?.getTracks().forEach((track) => track.stop());
+    },
+  };
+}
+
+/**
+ * Pick the transport for the provider that issued the token.
+ */
+export function createRealtimeTransport(tokenJSON, options) {
+  return tokenJSON.provider === "mock"
+    ? createMockTransport(tokenJSON, options)
+    : createWebRTCTransport(tokenJSON, options);
+}
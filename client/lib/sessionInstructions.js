@@ -0,0 +1,29 @@
+// sessionInstructions.js
+
+/**
+ * Builds the full instructions pushed through session.update.
+ * session.update replaces the instructions wholesale, so every update
+ * re-sends the base prompt from /token plus the current context.
+ */
+export function composeInstructions(
+  baseInstructions,
+  { stage, stageIndex, stageCount, difficulty } = {},
+) {
+  const sections = [baseInstructions];
+
+  if (stage) {
+    sections.push(`CURRENT STAGE (${stageIndex + 1} of ${stageCount}): ${stage.name}
+        Goals: ${stage.goals.join(", ")}
+        ${stage.instructions}
+        Stay in this stage for at least ${stage.minTurns} candidate turns (about ${stage.timeBudgetSeconds} seconds).
+        Call advance_stage when you move on to the next stage.`);
+  }
+
+  // Guidance from the running level estimate; it sets how hard the questions are within the stage
+  if (difficulty) {
+    sections.push(`DIFFICULTY:
+        ${difficulty}`);
+  }
+
+  return sections.join("\n\n");
+}
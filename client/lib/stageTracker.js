@@ -0,0 +1,85 @@
+// stageTracker.js
+
+/**
+ * Tracks where the interview is in the stage plan returned by /token.
+ * Pure functions over a plain progress object so App can mirror it in state.
+ */
+
+export function createStageProgress(stages, now = Date.now()) {
+  return {
+    stages,
+    currentIndex: stages.length ? 0 : -1,
+    entries: stages.map((stage, i) => ({
+      id: stage.id,
+      entered: i === 0,
+      enteredAt: i === 0 ? now : null,
+      leftAt: null,
+      userTurns: 0,
+    })),
+  };
+}
+
+export function currentStage(progress) {
+  return progress.stages[progress.currentIndex] || null;
+}
+
+/**
+ * Move to the given stage. Returns the same object if nothing changed.
+ */
+export function enterStage(progress, stageId, now = Date.now()) {
+  const index = progress.stages.findIndex((s) => s.id === stageId);
+  if (index === -1 || index === progress.currentIndex) return progress;
+
+  const entries = progress.entries.map((entry, i) => {
+    if (i === progress.currentIndex) return { ...entry, leftAt: now };
+    if (i === index) {
+      return { ...entry, entered: true, enteredAt: entry.enteredAt ?? now, leftAt: null };
+    }
+    return entry;
+  });
+
+  return { ...progress, currentIndex: index, entries };
+}
+
+/**
+ * Count a completed candidate turn against the current stage.
+ */
+export function recordUserTurn(progress) {
+  if (progress.currentIndex === -1) return progress;
+
+  const entries = progress.entries.map((entry, i) =>
+    i === progress.currentIndex ? { ...entry, userTurns: entry.userTurns + 1 } : entry,
+  );
+  return { ...progress, entries };
+}
+
+/**
+ * The next stage once the current one has used its time budget and
+ * reached its minimum turns, or null if the interviewer should stay.
+ */
+export function stageToAdvanceTo(progress, now = Date.now()) {
+  const stage = currentStage(progress);
+  const next = progress.stages[progress.currentIndex + 1];
+  if (!stage || !next) return null;
+
+  const entry = progress.entries[progress.currentIndex];
+  const elapsedSeconds = (now - entry.enteredAt) / 1000;
+  if (elapsedSeconds < stage.timeBudgetSeconds || entry.userTurns < stage.minTurns) {
+    return null;
+  }
+  return next;
+}
+
+/**
+ * Compact per-stage summary sent to /finalEvaluation.
+ */
+export function summarizeStageProgress(progress, now = Date.now()) {
+  return progress.entries.map((entry) => ({
+    id: entry.id,
+    entered: entry.entered,
+    userTurns: entry.userTurns,
+    durationSeconds: entry.enteredAt
+      ? ((entry.leftAt ?? now) - entry.enteredAt) / 1000
+      : 0,
+  }));
+}
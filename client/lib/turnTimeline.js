@@ -0,0 +1,65 @@
+// turnTimeline.js
+
+/**
+ * Wall-clock timing for each transcript turn, taken from the stored event log.
+ * Turns come out in the same order as buildTextConversation, so index i here
+ * matches conversation[i].
+ *
+ * - Candidate turns span input_audio_buffer.speech_started -> speech_stopped
+ *   for the item that was later transcribed.
+ * - Interviewer turns span the first transcript delta -> transcript done.
+ *
+ * Times are the client's received_at stamps (ms since epoch); events from
+ * logs recorded before those stamps existed give null times.
+ */
+export function buildTurnTimeline(events) {
+  const speech = new Map(); // item_id -> { startedAt, endedAt }
+  const responses = new Map(); // response_id -> first delta time
+  const turns = [];
+
+  for (const ev of events) {
+    const at = ev.received_at ?? null;
+
+    switch (ev.type) {
+      case "input_audio_buffer.speech_started":
+        speech.set(ev.item_id, { startedAt: at, endedAt: null });
+        break;
+      case "input_audio_buffer.speech_stopped":
+        if (speech.has(ev.item_id)) speech.get(ev.item_id).endedAt = at;
+        break;
+      case "conversation.item.input_audio_transcription.completed": {
+        const span = speech.get(ev.item_id);
+        turns.push({
+          role: "user",
+          text: ev.transcript.trim(),
+          startedAt: span?.startedAt ?? at,
+          endedAt: span?.endedAt ?? at,
+        });
+        break;
+      }
+      case "response.audio_transcript.delta":
+        if (!responses.has(ev.response_id)) responses.set(ev.response_id, at);
+        break;
+      case "response.audio_transcript.done":
+        turns.push({
+          role: "assistant",
+          text: ev.transcript.trim(),
+          startedAt: responses.get(ev.response_id) ?? at,
+          endedAt: at,
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Offset (seconds) of a turn inside a recording that started at recordingStartedAt
+ */
+export function offsetInRecording(turn, recordingStartedAt) {
+  if (turn.startedAt == null || !recordingStartedAt) return null;
+  return Math.max(0, (turn.startedAt - recordingStartedAt) / 1000);
+}
@@ -0,0 +1,7 @@
+import { useParams } from "react-router-dom";
+import CertificateView from "../../components/CertificateView";
+
+export default function Certificate() {
+  const { id } = useParams();
+  return <CertificateView verificationId={id} />;
+}
@@ -0,0 +1,5 @@
+import SessionHistory from "../components/SessionHistory";
+
+export default function History() {
+  return <SessionHistory />;
+}
@@ -0,0 +1,5 @@
+import ProgressDashboard from "../components/ProgressDashboard";
+
+export default function Progress() {
+  return <ProgressDashboard />;
+}
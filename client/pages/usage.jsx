@@ -0,0 +1,5 @@
+import UsageReport from "../components/UsageReport";
+
+export default function Usage() {
+  return <UsageReport />;
+}
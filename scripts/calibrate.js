@@ -0,0 +1,130 @@
+// calibrate.js
+
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { join, resolve } from "path";
+import { parseArgs } from "util";
+import {
+  CalibrationError,
+  compareRuns,
+  formatReport,
+  loadGoldenSet,
+  scoreCase,
+  summarizeRun,
+} from "../server/calibration.js";
+import { evaluateConversation, parseEnsembleOptions } from "../server/evaluation.js";
+import { getLanguage } from "../server/languages.js";
+import { getRubric } from "../server/rubrics/index.js";
+import { getProvider } from "../server/providers/index.js";
+
+/**
+ * Run the evaluator over the golden transcripts and report its accuracy.
+ *
+ *   npm run calibrate                      # real model (needs OPENAI_API_KEY)
+ *   npm run calibrate -- --provider mock   # offline stand-in
+ *
+ * Options:
+ *   --dir <path>        golden transcripts (default calibration/golden)
+ *   --results <path>    where runs are saved (default calibration/results)
+ *   --baseline <file>   run to compare with (default: the last saved run with the same provider)
+ *   --provider <name>   LLM_PROVIDER to use for this run
+ *   --ensemble <n>      grade with n passes instead of one
+ *   --only <ids>        comma-separated golden ids to run
+ *   --min-exact <0-1>   exit with status 1 if exact agreement falls below this
+ *   --json              print the run as JSON instead of the text report
+ */
+const { values: args } = parseArgs({
+  options: {
+    dir: { type: "string", default: "calibration/golden" },
+    results: { type: "string", default: "calibration/results" },
+    baseline: { type: "string" },
+    provider: { type: "string" },
+    ensemble: { type: "string" },
+    only: { type: "string" },
+    "min-exact": { type: "string" },
+    json: { type: "boolean", default: false },
+  },
+});
+
+async function readRun(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function main() {
+  if (args.provider) {
+    process.env.LLM_PROVIDER = args.provider;
+  }
+  const minExact = args["min-exact"] !== undefined ? Number(args["min-exact"]) : undefined;
+  if (minExact !== undefined && !(minExact >= 0 && minExact <= 1)) {
+    throw new CalibrationError(`--min-exact must be between 0 and 1, got ${args["min-exact"]}`);
+  }
+  const provider = getProvider().name;
+  // Single pass unless asked, whatever EVALUATION_ENSEMBLE_PASSES says, so runs stay comparable
+  const ensemble = args.ensemble ? parseEnsembleOptions({ passes: Number(args.ensemble) }) : null;
+
+  let goldens = await loadGoldenSet(resolve(args.dir));
+  if (args.only) {
+    const ids = args.only.split(",").map((id) => id.trim());
+    goldens = goldens.filter((g) => ids.includes(g.id));
+  }
+
+  const startedAt = new Date().toISOString();
+  const cases = [];
+  // One at a time: a calibration run shouldn't trip the API's rate limits
+  for (const golden of goldens) {
+    if (!args.json) process.stderr.write(`Grading ${golden.id}...\n`);
+    const evaluation = await evaluateConversation(
+      {
+        conversation: golden.conversation,
+        duration: golden.duration,
+        language: getLanguage(golden.language),
+        rubric: getRubric(golden.rubric),
+        liveAssessment: golden.liveAssessment,
+        stageProgress: golden.stageProgress,
+        fluency: golden.fluency,
+      },
+      { ensemble },
+    );
+    cases.push(scoreCase(golden, evaluation));
+  }
+
+  const run = {
+    startedAt,
+    provider,
+    ensemble,
+    summary: summarizeRun(cases),
+    cases,
+  };
+
+  // Each provider keeps its own latest run, so an offline mock run never becomes a real model's baseline
+  const resultsDir = resolve(args.results);
+  const latestFile = join(resultsDir, `latest-${provider}.json`);
+  const baseline = await readRun(args.baseline ? resolve(args.baseline) : latestFile);
+  if (baseline && baseline.provider !== provider) {
+    process.stderr.write(
+      `Not comparing with the baseline: it was graded by "${baseline.provider}", this run by "${provider}".\n`,
+    );
+  }
+  const comparison = baseline && baseline.provider === provider ? compareRuns(run, baseline) : null;
+
+  await mkdir(resultsDir, { recursive: true });
+  const saved = JSON.stringify({ ...run, comparison }, null, 2);
+  await writeFile(join(resultsDir, `${startedAt.replace(/[:.]/g, "-")}.json`), saved);
+  await writeFile(latestFile, saved);
+
+  console.log(args.json ? saved : formatReport(run, comparison));
+
+  if (minExact !== undefined && run.summary.exact_agreement < minExact) {
+    console.error(`Exact agreement ${run.summary.exact_agreement} is below ${minExact}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err instanceof CalibrationError ? `Calibration: ${err.message}` : err);
+  process.exitCode = 1;
+});
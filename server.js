@@ -1,8 +1,81 @@
 import Fastify from "fastify";
 import FastifyVite from "@fastify/vite";
-import OpenAI from "openai";
-import { zodResponseFormat } from "openai/helpers/zod";
-import { z } from "zod";
+import FastifyCookie from "@fastify/cookie";
+import FastifyRateLimit from "@fastify/rate-limit";
+import {
+  createCertificate,
+  createSession,
+  getCertificate,
+  getRecording,
+  getSession,
+  listSessionRecords,
+  listSessions,
+  RECORDING_TRACKS,
+  saveRecording,
+  updateSession,
+} from "./server/sessionStore.js";
+import { buildProgress } from "./server/progress.js";
+import { INTERVIEWER_TOOLS, TOOL_INSTRUCTIONS } from "./server/tools.js";
+import { INTERVIEW_STAGES, describeStages } from "./server/stages.js";
+import { SESSION_MODES, TUTOR_TOOLS, summarizePractice, tutorInstructions } from "./server/tutor.js";
+import { describeScenario, getScenario, listScenarios, scenarioInstructions } from "./server/scenarios.js";
+import {
+  consumeEstimateLog,
+  estimateLevel,
+  getEstimateLog,
+  logEstimate,
+  openEstimateLog,
+} from "./server/levelEstimator.js";
+import {
+  describeJob,
+  findEvaluationJob,
+  getEvaluationJob,
+  startEvaluationWorker,
+  submitEvaluationJob,
+  subscribeToJob,
+} from "./server/evaluationJobs.js";
+import {
+  EvaluationOptionsError,
+  evaluateConversation,
+  parseEnsembleOptions,
+  parseEvaluationRequest,
+} from "./server/evaluation.js";
+import { DEFAULT_RUBRIC_ID, getRubric, listRubrics, rubricProblem } from "./server/rubrics/index.js";
+import { DEFAULT_LANGUAGE, FEEDBACK_LANGUAGES, getLanguage, listLanguages } from "./server/languages.js";
+import { getProvider } from "./server/providers/index.js";
+import { buildUsageReport, sessionUsage } from "./server/usage.js";
+import {
+  buildReport,
+  renderReportHTML,
+  renderReportMarkdown,
+  renderReportPDF,
+} from "./server/report.js";
+import {
+  AUTH_ENABLED,
+  AuthError,
+  RATE_LIMITS,
+  SESSION_COOKIE,
+  canResume,
+  issueResumeGrant,
+  redeemResumeGrant,
+  createLogin,
+  deleteLogin,
+  describeUser,
+  isAdmin,
+  quotaExceeded,
+  recordUsage,
+  releaseUsage,
+  reserveUsage,
+  registerUser,
+  userForLogin,
+  verifyUser,
+} from "./server/auth.js";
+import {
+  ImportError,
+  exportSessionJSON,
+  exportSessionJSONL,
+  parseImport,
+} from "./server/transcriptImport.js";
 
 // 1) Initialize Fastify
 const server = Fastify({
@@ -21,22 +94,150 @@ await server.register(FastifyVite, {
 
 await server.vite.ready();
 
+// Fail fast on a misconfigured LLM_PROVIDER
+server.log.info(`Model provider: ${getProvider().name}`);
+
+// Accounts: login cookie, rate limits, and guards for routes that need a user
+await server.register(FastifyCookie);
+await server.register(FastifyRateLimit, {
+  global: false,
+  errorResponseBuilder: (req, context) => ({
+    statusCode: context.statusCode,
+    error: `Too many requests. Try again in ${context.after}.`,
+  }),
+});
+server.decorateRequest("user", null);
+
+if (!AUTH_ENABLED) {
+  server.log.warn("AUTH=off: accounts, quotas and per-user limits are disabled");
+}
+
+/**
+ * Resolve the signed-in user from the login cookie; 401 if there is none.
+ * With AUTH=off every request is let through without a user.
+ */
+async function requireUser(req, reply) {
+  if (!AUTH_ENABLED) return;
+  req.user = await userForLogin(req.cookies[SESSION_COOKIE]);
+  if (!req.user) {
+    return reply.status(401).send({ error: "Please sign in to continue." });
+  }
+}
+
+// Routes that spend API credit: per-IP first, then per-user once we know who it is
+const perIpLimit = server.rateLimit({ max: RATE_LIMITS.perIp, timeWindow: "1 minute" });
+const perUserLimit = server.rateLimit({
+  max: RATE_LIMITS.perUser,
+  timeWindow: "1 minute",
+  keyGenerator: (req) => req.user?.username ?? req.ip,
+});
+async function requireAdmin(req, reply) {
+  if (!AUTH_ENABLED) return;
+  await requireUser(req, reply);
+  if (reply.sent) return reply;
+  if (!isAdmin(req.user)) {
+    return reply.status(403).send({ error: "Only administrators can see this." });
+  }
+}
+
+const signedIn = { preHandler: requireUser };
+const spendsCredit = { preHandler: [perIpLimit, requireUser, perUserLimit] };
+
+const ownerOf = (req) => req.user?.username ?? null;
+
+// Sessions are private to their owner when accounts are on
+async function getOwnedSession(req, id = req.params.id) {
+  const session = await getSession(id);
+  if (!session || (AUTH_ENABLED && session.owner !== ownerOf(req))) return null;
+  return session;
+}
+
+function ownedFilter(req) {
+  return AUTH_ENABLED ? { owner: ownerOf(req) } : {};
+}
+
+// Evaluation quota is counted in minutes of conversation graded, once per grading pass
+const evaluationMinutes = (duration, ensemble) =>
+  (Math.max(0, Number(duration) || 0) / 60000) * (ensemble?.passes ?? 1);
+
+function evaluationQuotaError(req, duration, ensemble) {
+  return req.user && quotaExceeded(req.user, "evaluationMinutes", evaluationMinutes(duration, ensemble));
+}
+
+async function recordEvaluationUsage(req, duration, ensemble) {
+  if (req.user) {
+    await recordUsage(req.user.username, "evaluationMinutes", evaluationMinutes(duration, ensemble));
+  }
+}
+
+/**
+ * Check a requested rubric against the language it would grade; replies 400 and returns false if it can't.
+ * Leaving the rubric out picks the default.
+ */
+function rubricAllowed(reply, rubric, language) {
+  const error = rubricProblem(rubric, getLanguage(language)?.name ?? language);
+  if (error) reply.status(400).send({ error });
+  return !error;
+}
+
+/**
+ * Read the optional `ensemble` option of an evaluation request; replies 400 if it is invalid.
+ * Returns undefined after replying, null for a single pass.
+ */
+function ensembleOption(req, reply) {
+  try {
+    return parseEnsembleOptions(req.body?.ensemble);
+  } catch (err) {
+    if (err instanceof EvaluationOptionsError) {
+      reply.status(400).send({ success: false, error: err.message });
+      return undefined;
+    }
+    throw err;
+  }
+}
+
 /**
  * 3) Route: ephemeral token for Realtime API
  */
-server.get("/token", async (request) => {
-  const targetLanguage = request.query.language || 'English';
-  
-  const response = await fetch("https://api.openai.com/v1/realtime/sessions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini-realtime-preview",
-      voice: "verse",
-      instructions: `You are a strict professional language evaluator conducting an oral proficiency interview in ${targetLanguage}.
+const REALTIME_MODEL = "gpt-4o-mini-realtime-preview";
+
+// Token and cost totals, recomputed whenever a session's events or evaluations change
+const usageFor = (session) => sessionUsage(session, { realtimeModel: REALTIME_MODEL });
+
+// Added to the instructions of a session reopened after its connection dropped
+const RESUME_INSTRUCTIONS = `
+
+        RESUMED SESSION: The connection dropped and the earlier turns have been added back to the conversation.
+        Do not greet the candidate or introduce yourself again. Briefly acknowledge the interruption and continue exactly where you stopped.`;
+
+server.get("/token", spendsCredit, async (request, reply) => {
+  // Resuming a dropped session doesn't spend another one from the daily quota,
+  // but needs the resume grant handed out with that session (or its last resume)
+  const resume = request.query.resume === "1";
+  const noSessionToResume = { error: "There is no dropped session to resume" };
+  if (resume && request.user && !canResume(request.user, request.query.resumeGrant)) {
+    return reply.status(400).send(noSessionToResume);
+  }
+
+  const language = request.query.language
+    ? getLanguage(request.query.language)
+    : DEFAULT_LANGUAGE;
+  if (!language) {
+    return reply
+      .status(400)
+      .send({ error: `Unsupported language: ${request.query.language}` });
+  }
+  const mode = request.query.mode || "exam";
+  if (!SESSION_MODES.includes(mode)) {
+    return reply.status(400).send({ error: `Unknown mode: ${mode}` });
+  }
+  const scenario = request.query.scenario ? getScenario(request.query.scenario) : null;
+  if (request.query.scenario && !scenario) {
+    return reply.status(400).send({ error: `Unknown scenario: ${request.query.scenario}` });
+  }
+  const targetLanguage = language.name;
+
+  const baseInstructions = mode === "tutor" ? tutorInstructions(language) : `You are a strict professional language evaluator conducting an oral proficiency interview in ${targetLanguage}.
         
         IMPORTANT: When the session begins, introduce yourself in English following this format:
         "Hello! I'm your language proficiency evaluator. We'll be conducting a rigorous assessment of your ${targetLanguage} skills through conversation. Are you ready to begin?"
@@ -46,11 +247,7 @@ server.get("/token", async (request) => {
         Your responses should be short and concise. This is a test of the user's language ability, not your ability to speak ${targetLanguage}.
 
         Evaluation structure:
-        1. Basic competency check (greetings, simple personal info)
-        2. Daily scenarios (work, study, routines)
-        3. Abstract discussion (opinions, hypotheticals)
-        4. Complex topics (current events, specialized fields)
-        5. Brief wrap-up
+        ${describeStages()}
         
         YOU MUST:
         - Push for detailed responses
@@ -65,170 +262,363 @@ server.get("/token", async (request) => {
         
         DO NOT:
         - Skip evaluation stages
-        - Give long responses`,
-    }),
-  });
+        - Give long responses
+        ${language.instructions ? `\n        LANGUAGE NOTES:\n        ${language.instructions}\n` : ""}${TOOL_INSTRUCTIONS}`;
+  const instructions =
+    baseInstructions +
+    (scenario ? scenarioInstructions(scenario, language) : "") +
+    (resume ? RESUME_INSTRUCTIONS : "");
+  
+  // The session is taken from the quota before the provider call, so concurrent
+  // requests can't all pass the check; it is given back if no session comes of it
+  let reservation = null;
+  if (!resume && request.user) {
+    const reserved = await reserveUsage(request.user.username, "sessions");
+    if (reserved.error) return reply.status(429).send({ error: reserved.error });
+    reservation = reserved.reservation;
+  }
+  const releaseReservation = () => reservation && releaseUsage(request.user.username, reservation);
 
-  return new Response(response.body, {
-    status: response.status,
-    headers: { "Content-Type": "application/json" },
-  });
+  const provider = getProvider();
+  let response;
+  try {
+    response = await provider.createRealtimeSession(
+      {
+        model: REALTIME_MODEL,
+        voice: language.voice,
+        instructions,
+        input_audio_transcription: {
+          model: "whisper-1",
+          ...(language.transcriptionLanguage && {
+            language: language.transcriptionLanguage,
+          }),
+        },
+        tools: mode === "tutor" ? TUTOR_TOOLS : INTERVIEWER_TOOLS,
+        tool_choice: "auto",
+      },
+      { language, mode, resume },
+    );
+  } catch (err) {
+    await releaseReservation();
+    throw err;
+  }
+
+  if (!response.ok) {
+    await releaseReservation();
+    return reply.status(response.status).send(response.body);
+  }
+
+  // A resumed interview keeps the id it was started with
+  const interviewId = resume ? null : await openEstimateLog({ owner: ownerOf(request), mode });
+
+  let resumeGrant = null;
+  if (request.user && resume) {
+    resumeGrant = await redeemResumeGrant(request.user.username, request.query.resumeGrant);
+    // Another request redeemed the same grant first
+    if (!resumeGrant) return reply.status(400).send(noSessionToResume);
+  } else if (request.user) {
+    resumeGrant = await issueResumeGrant(request.user.username);
+  }
+
+  // The client needs the base instructions and stage plan to push
+  // stage-specific session.update events during the interview, and the
+  // provider name to pick its transport (WebRTC or the mock script).
+  // Practice sessions have no stages. resume_grant is what reopens the
+  // session if its connection drops (null without accounts).
+  return {
+    ...response.body,
+    provider: provider.name,
+    resume_grant: resumeGrant,
+    interview: {
+      id: interviewId,
+      mode,
+      instructions,
+      stages: mode === "tutor" ? [] : INTERVIEW_STAGES,
+      scenario: scenario && describeScenario(scenario),
+    },
+  };
 });
 
 /**
- * 4) Route: finalEvaluation
+ * 4) Route: running level estimate, used to adapt the interview's difficulty
  */
-server.post("/finalEvaluation", async (req, reply) => {
+server.post("/levelEstimate", spendsCredit, async (req, reply) => {
+  const { interviewId, conversation, language, previousLevel } = req.body || {};
+  if (!Array.isArray(conversation) || !conversation.some((c) => c.role === "user")) {
+    return reply.status(400).send({ error: "Need at least one candidate turn to estimate a level" });
+  }
+  // Estimates are charged to the interview /token started, so its cost is on record
+  const log = await getEstimateLog(interviewId, ownerOf(req));
+  if (!log) {
+    return reply.status(400).send({ error: "Unknown interview" });
+  }
+  if (log.mode === "tutor") {
+    return reply.status(400).send({ error: "Level estimates are only made in exam interviews" });
+  }
+  if (log.consumedAt) {
+    return reply.status(400).send({ error: "That interview has already been saved" });
+  }
+
   try {
-    const { conversation, duration } = req.body;
-    
-    // Add detailed debugging
-    console.log("Received request body:", JSON.stringify(req.body, null, 2));
-    console.log("Conversation array length:", conversation?.length || 0);
-    if (conversation?.length > 0) {
-      console.log("First conversation item:", conversation[0]);
-      console.log("Last conversation item:", conversation[conversation.length - 1]);
+    const estimate = await estimateLevel({ conversation, language: getLanguage(language), previousLevel });
+    await logEstimate(interviewId, estimate);
+    return estimate;
+  } catch (err) {
+    console.error("Error estimating level:", err);
+    return reply.status(500).send({ error: err.message });
+  }
+});
+
+/**
+ * 5) Route: configured target languages for the language picker, and the feedback languages
+ */
+server.get("/languages", async () => {
+  return {
+    languages: listLanguages(),
+    defaultLanguage: DEFAULT_LANGUAGE.name,
+    feedbackLanguages: FEEDBACK_LANGUAGES,
+  };
+});
+
+/**
+ * 6) Route: rubrics available for grading (optionally filtered by ?language=)
+ */
+server.get("/rubrics", async (req) => {
+  return { rubrics: listRubrics({ language: req.query.language }) };
+});
+
+/**
+ * 7) Route: role-play scenarios (optionally filtered by ?language=)
+ */
+server.get("/scenarios", async (req) => {
+  return { scenarios: listScenarios({ language: req.query.language }) };
+});
+
+/**
+ * 8) Routes: final evaluation
+ * Clients submit an evaluation job, then follow its progress over SSE (or poll it);
+ * /finalEvaluation grades in the request itself
+ */
+
+/**
+ * Check an evaluation request and collect what it grades; replies 4xx and returns null if it can't run.
+ */
+async function evaluationInput(req, reply) {
+  let body;
+  try {
+    body = parseEvaluationRequest(req.body);
+  } catch (err) {
+    if (!(err instanceof EvaluationOptionsError)) throw err;
+    reply.status(400).send({ success: false, error: err.message });
+    return null;
+  }
+  const {
+    conversation,
+    duration,
+    language,
+    rubric,
+    scenario,
+    sessionId,
+    liveAssessment,
+    stageProgress,
+    fluency,
+    feedbackLanguage,
+  } = body;
+
+  if (!rubricAllowed(reply, rubric, language)) return null;
+
+  const ensemble = ensembleOption(req, reply);
+  if (ensemble === undefined) return null;
+
+  const quotaError = evaluationQuotaError(req, duration, ensemble);
+  if (quotaError) {
+    reply.status(429).send({ success: false, error: quotaError });
+    return null;
+  }
+
+  // Only attach results to a session the caller owns
+  if (sessionId && !(await getOwnedSession(req, sessionId))) {
+    reply.status(404).send({ success: false, error: "Session not found" });
+    return null;
+  }
+
+  return {
+    conversation,
+    duration,
+    language,
+    rubric,
+    scenario,
+    sessionId: sessionId || null,
+    liveAssessment,
+    stageProgress,
+    fluency,
+    feedbackLanguage: feedbackLanguage || null,
+    ensemble,
+  };
+}
+
+/**
+ * Grade a conversation and attach it to the stored session; callers count it against the quota.
+ * onProgress gets the grading phases and partial results (see evaluateConversation).
+ */
+async function runEvaluation(input, onProgress) {
+  const { conversation, duration, language, rubric, scenario, sessionId, ensemble } = input;
+  const evaluation = await evaluateConversation(
+    {
+      conversation,
+      duration,
+      language: getLanguage(language),
+      rubric: getRubric(rubric || DEFAULT_RUBRIC_ID),
+      scenario: getScenario(scenario),
+      liveAssessment: input.liveAssessment,
+      stageProgress: input.stageProgress,
+      fluency: input.fluency,
+      feedbackLanguage: input.feedbackLanguage,
+    },
+    { ensemble, onProgress },
+  );
+
+  // Attach the result to the stored session, if the client saved one
+  const session = sessionId ? await getSession(sessionId) : null;
+  const usage = usageFor({ ...session, evaluation });
+  if (session) {
+    await updateSession(sessionId, { evaluation, evaluationError: null, usage });
+  }
+  return { evaluation, usage };
+}
+
+async function recordEvaluationError(sessionId, err) {
+  if (sessionId) {
+    await updateSession(sessionId, { evaluationError: err.message }).catch(
+      (e) => console.error("Failed to record evaluation error:", e),
+    );
+  }
+}
+
+// A job's minutes were reserved when it was submitted; a job that fails for good gives them back
+const queuedJobs = await startEvaluationWorker({
+  run: (job, reportProgress) => runEvaluation(job.input, reportProgress),
+  onFailure: async (job, err) => {
+    if (job.owner && job.reservation) {
+      await releaseUsage(job.owner, job.reservation).catch((e) => console.error("Failed to release quota:", e));
     }
-    
-    if (!conversation || !conversation.length) {
-      return reply
-        .status(400)
-        .send({ error: "Missing or empty conversation in request body" });
+    await recordEvaluationError(job.sessionId, err);
+  },
+});
+if (queuedJobs) {
+  server.log.info(`Resuming ${queuedJobs} queued evaluation job(s)`);
+}
+
+// An Idempotency-Key header makes a resubmission return the first job instead of grading twice
+server.post("/evaluations", { ...spendsCredit, bodyLimit: 20 * 1024 * 1024 }, async (req, reply) => {
+  const idempotencyKey = req.headers["idempotency-key"] || null;
+  if (idempotencyKey) {
+    const existing = await findEvaluationJob(ownerOf(req), idempotencyKey);
+    if (existing) return describeJob(existing);
+  }
+
+  const input = await evaluationInput(req, reply);
+  if (!input) return reply;
+
+  // Reserve the minutes now: jobs run one at a time, so charging when they run
+  // would let any number of them past the quota check
+  let reservation = null;
+  if (req.user) {
+    const reserved = await reserveUsage(
+      req.user.username,
+      "evaluationMinutes",
+      evaluationMinutes(input.duration, input.ensemble),
+    );
+    if (reserved.error) {
+      return reply.status(429).send({ success: false, error: reserved.error });
     }
+    reservation = reserved.reservation;
+  }
 
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+  const { job, created } = await submitEvaluationJob({
+    owner: ownerOf(req),
+    idempotencyKey,
+    sessionId: input.sessionId,
+    input,
+    reservation,
+  });
+  // A concurrent request with the same key made the job; it holds its own reservation
+  if (!created && reservation) {
+    await releaseUsage(req.user.username, reservation);
+  }
+  return reply.status(created ? 202 : 200).send(describeJob(job));
+});
 
-    // Define detailed evaluation schema
-    const SkillAssessment = z.object({
-      score: z.number().int(),
-      critical_issues: z.array(z.string()),
-      examples: z.array(z.string())
-    });
+async function getOwnedJob(req) {
+  const job = await getEvaluationJob(req.params.id);
+  if (!job || (AUTH_ENABLED && job.owner !== ownerOf(req))) return null;
+  return job;
+}
 
-    const EvaluationSchema = z.object({
-      conversation_depth: z.object({
-        topics_discussed: z.array(z.string()),
-        complexity_achieved: z.number().int(),
-        substantive_discussion: z.boolean(),
-        longest_response_quality: z.number().int()
-      }),
-      skills: z.object({
-        pronunciation: SkillAssessment,
-        grammar: SkillAssessment,
-        vocabulary: SkillAssessment,
-        fluency: SkillAssessment,
-        listening_comprehension: SkillAssessment
-      }),
-      quantitative_measures: z.object({
-        response_rate: z.number(),
-        average_response_length: z.number(),
-        grammar_accuracy: z.number(),
-        vocabulary_range: z.number().int()
-      }),
-      final_scores: z.object({
-        overall_score: z.number().int(),
-        cefr_level: z.enum(['A1', 'A2', 'B1', 'B2', 'C1', 'C2', 'Below A1']),
-        recommended_level: z.string()
-      }),
-      critical_feedback: z.object({
-        major_weaknesses: z.array(z.string()),
-        required_improvements: z.array(z.string()),
-        study_recommendations: z.array(z.string())
-      })
-    });
+const jobFinished = (job) => job.status === "succeeded" || job.status === "failed";
 
-    const completion = await openai.beta.chat.completions.parse({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: `You are a strict language evaluator analyzing an oral proficiency interview.
-            You must be highly critical and thorough in your assessment.
-            
-            EVALUATION RULES:
-            - If the conversation lacks substance or depth, assign scores of 0
-            - Deduct points heavily for:
-              * Repeated basic mistakes
-              * Avoidance of complex topics
-              * Excessive pausing or hesitation
-              * Limited vocabulary range
-              * Poor listening comprehension
-            
-            - Consider conversation duration of ${duration} seconds when evaluating
-            - Look for evidence of actual language ability, not just memorized phrases
-            - Identify specific examples of errors and issues
-            - Be especially critical of advanced level claims
-            
-            Your evaluation must be detailed and evidence-based. 
-            Do not inflate scores or be overly encouraging.
-            Focus on concrete issues and necessary improvements.`
-        },
-        {
-          role: "user",
-          content: conversation
-            .map((c) => `[${c.role.toUpperCase()}]: ${c.text}`)
-            .join("\n"),
-        },
-      ],
-      response_format: zodResponseFormat(EvaluationSchema, "language_evaluation"),
-    });
+server.get("/evaluations/:id", signedIn, async (req, reply) => {
+  const job = await getOwnedJob(req);
+  if (!job) {
+    return reply.status(404).send({ error: "Evaluation not found" });
+  }
+  return describeJob(job);
+});
 
-    const evaluation = completion.choices[0].message.parsed;
-    
-    // Calculate overall score based on skills and other metrics
-    const calculateOverallScore = (evaluation) => {
-      // Skills contribute 60% of total score (12 points each max)
-      const skillsScore = Object.values(evaluation.skills).reduce((sum, skill) => {
-        return sum + (skill.score * 0.6);  // Convert from /20 to /12
-      }, 0);
-
-      // Conversation depth contributes 20% (20 points max)
-      const depthScore = (
-        (evaluation.conversation_depth.complexity_achieved * 2) + // 0-10 points
-        (evaluation.conversation_depth.substantive_discussion ? 5 : 0) + // 5 points
-        (evaluation.conversation_depth.longest_response_quality * 1) // 0-5 points
-      );
+// Server-Sent Events: the job's state, then "status" and "progress" events until it finishes
+server.get("/evaluations/:id/events", signedIn, async (req, reply) => {
+  const job = await getOwnedJob(req);
+  if (!job) {
+    return reply.status(404).send({ error: "Evaluation not found" });
+  }
 
-      // Quantitative measures contribute 20% (20 points max)
-      const quantScore = (
-        (evaluation.quantitative_measures.response_rate / 100 * 5) + // 0-5 points
-        (evaluation.quantitative_measures.grammar_accuracy / 100 * 5) + // 0-5 points
-        (evaluation.quantitative_measures.vocabulary_range / 100 * 5) + // 0-5 points
-        (Math.min(evaluation.quantitative_measures.average_response_length / 50, 1) * 5) // 0-5 points
-      );
+  reply.hijack();
+  reply.raw.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (event, data) => reply.raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Comments keep proxies from closing a quiet stream while the model works
+  const heartbeat = setInterval(() => reply.raw.write(": keep-alive\n\n"), 15000);
+  let closed = false;
+  let unsubscribe = () => {};
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    reply.raw.end();
+  };
 
-      // Calculate total (max 100)
-      return Math.round(skillsScore + depthScore + quantScore);
-    };
-
-    // Calculate and update the overall score
-    evaluation.final_scores.overall_score = calculateOverallScore(evaluation);
-
-    // Ensure scores align with CEFR levels
-    const cefr_minimums = {
-      'C2': 95,
-      'C1': 85,
-      'B2': 70,
-      'B1': 55,
-      'A2': 35,
-      'A1': 15,
-      'Below A1': 0
-    };
-
-    // Validate CEFR alignment
-    for (const [level, min_score] of Object.entries(cefr_minimums)) {
-      if (evaluation.final_scores.overall_score >= min_score) {
-        evaluation.final_scores.cefr_level = level;
-        break;
-      }
+  unsubscribe = subscribeToJob(job.id, (update) => {
+    if (update.type === "progress") {
+      send("progress", update.progress);
+      return;
     }
+    send("status", update.job);
+    if (jobFinished(update.job)) close();
+  });
+  req.raw.on("close", close);
+
+  // Read again after subscribing so an update in between isn't lost
+  const current = describeJob(await getEvaluationJob(job.id));
+  send("status", current);
+  if (jobFinished(current)) close();
+});
 
-    return { success: true, evaluation };
+server.post("/finalEvaluation", { ...spendsCredit, bodyLimit: 20 * 1024 * 1024 }, async (req, reply) => {
+  const input = await evaluationInput(req, reply);
+  if (!input) return reply;
 
+  try {
+    const { evaluation, usage } = await runEvaluation(input);
+    await recordEvaluationUsage(req, input.duration, input.ensemble);
+    return { success: true, evaluation, usage };
   } catch (err) {
     console.error("Error in finalEvaluation:", err);
+    await recordEvaluationError(input.sessionId, err);
     reply.status(500).send({
       success: false,
       error: err.message
@@ -237,6 +627,459 @@ server.post("/finalEvaluation", async (req, reply) => {
 });
 
 /**
- * 5) Start listening
+ * 9) Route: practice summary for a tutor-mode session
+ */
+server.post("/practiceSummary", { ...spendsCredit, bodyLimit: 20 * 1024 * 1024 }, async (req, reply) => {
+  const { conversation, duration, language, sessionId, vocabulary, corrections, feedbackLanguage } = req.body || {};
+
+  if (!conversation || !conversation.length) {
+    return reply.status(400).send({ error: "Missing or empty conversation in request body" });
+  }
+  if (feedbackLanguage && !FEEDBACK_LANGUAGES.includes(feedbackLanguage)) {
+    return reply.status(400).send({ error: `Unsupported feedback language: ${feedbackLanguage}` });
+  }
+
+  const quotaError = evaluationQuotaError(req, duration);
+  if (quotaError) {
+    return reply.status(429).send({ success: false, error: quotaError });
+  }
+
+  const session = sessionId ? await getOwnedSession(req, sessionId) : null;
+  if (sessionId && !session) {
+    return reply.status(404).send({ success: false, error: "Session not found" });
+  }
+
+  try {
+    const practiceSummary = await summarizePractice({
+      conversation,
+      language: getLanguage(language),
+      vocabulary: Array.isArray(vocabulary) ? vocabulary : [],
+      corrections: Array.isArray(corrections) ? corrections : [],
+      feedbackLanguage,
+    });
+    await recordEvaluationUsage(req, duration);
+
+    const usage = usageFor({ ...session, practiceSummary });
+    if (session) {
+      await updateSession(sessionId, { practiceSummary, evaluationError: null, usage });
+    }
+
+    return { success: true, practiceSummary, usage };
+  } catch (err) {
+    console.error("Error in practiceSummary:", err);
+    if (sessionId) {
+      await updateSession(sessionId, { evaluationError: err.message }).catch(
+        (e) => console.error("Failed to record summary error:", e),
+      );
+    }
+    reply.status(500).send({ success: false, error: err.message });
+  }
+});
+
+/**
+ * 10) Routes: session history
+ * Every finished interview is stored with its transcript, raw events and evaluation
+ */
+server.post("/sessions", { ...signedIn, bodyLimit: 20 * 1024 * 1024 }, async (req, reply) => {
+  const {
+    mode,
+    language,
+    rubric,
+    scenario,
+    duration,
+    conversation,
+    events,
+    liveAssessment,
+    stageProgress,
+    recordingConsent,
+    fluency,
+    practiceLog,
+    adaptiveDifficulty,
+    interviewId,
+  } = req.body || {};
+
+  if (!Array.isArray(conversation)) {
+    return reply
+      .status(400)
+      .send({ error: "Missing conversation array in request body" });
+  }
+  if (mode !== undefined && !SESSION_MODES.includes(mode)) {
+    return reply.status(400).send({ error: `Unknown mode: ${mode}` });
+  }
+  if (scenario && !getScenario(scenario)) {
+    return reply.status(400).send({ error: `Unknown scenario: ${scenario}` });
+  }
+  if (!rubricAllowed(reply, rubric, language)) return reply;
+
+  // The estimates' usage comes from the server's log; the client's copy is only for display.
+  // Only the first session saved from an interview gets them
+  const levelEstimates = (await getEstimateLog(interviewId, ownerOf(req)))
+    ? await consumeEstimateLog(interviewId, ownerOf(req))
+    : [];
+  if (!levelEstimates) {
+    return reply.status(409).send({ error: "That interview has already been saved" });
+  }
+  const session = await createSession({
+    owner: ownerOf(req),
+    mode,
+    language,
+    rubric,
+    scenario,
+    duration,
+    conversation,
+    events,
+    liveAssessment,
+    stageProgress,
+    recordingConsent,
+    fluency,
+    practiceLog,
+    adaptiveDifficulty: adaptiveDifficulty && {
+      ...adaptiveDifficulty,
+      estimates: (adaptiveDifficulty.estimates || []).map(({ usage, ...estimate }) => estimate),
+    },
+    levelEstimates,
+    usage: usageFor({ events, levelEstimates }),
+  });
+  return reply.status(201).send({ id: session.id });
+});
+
+server.get("/sessions", signedIn, async (req) => {
+  return { sessions: await listSessions(ownedFilter(req)) };
+});
+
+server.get("/sessions/:id", signedIn, async (req, reply) => {
+  const session = await getOwnedSession(req);
+  if (!session) {
+    return reply.status(404).send({ error: "Session not found" });
+  }
+  return session;
+});
+
+/**
+ * 11) Route: progress across sessions, grouped by target language
+ */
+server.get("/sessions/progress", signedIn, async (req) => {
+  const sessions = await listSessionRecords(ownedFilter(req));
+  return { languages: buildProgress(sessions, { language: req.query.language }) };
+});
+
+/**
+ * 12) Routes: export, import and re-evaluation
+ * Re-runs keep the session's original duration and language
+ */
+async function reevaluateSession(session, rubricId, ensemble = null) {
+  const rubric = getRubric(rubricId || session.rubric || DEFAULT_RUBRIC_ID);
+  try {
+    const evaluation = await evaluateConversation(
+      {
+        conversation: session.conversation,
+        duration: session.duration,
+        language: getLanguage(session.language),
+        rubric,
+        scenario: getScenario(session.scenario),
+        liveAssessment: session.liveAssessment,
+        stageProgress: session.stageProgress,
+        fluency: session.fluency,
+        // Re-grades keep the language the learner got their feedback in
+        feedbackLanguage: session.evaluation?.feedback_language,
+      },
+      { ensemble },
+    );
+
+    // Keep earlier results so re-grades can be compared
+    const evaluationHistory = session.evaluation
+      ? [...(session.evaluationHistory || []), session.evaluation]
+      : session.evaluationHistory || [];
+
+    return await updateSession(session.id, {
+      rubric: rubric.id,
+      evaluation,
+      evaluationHistory,
+      evaluationError: null,
+      usage: usageFor({ ...session, evaluation, evaluationHistory }),
+    });
+  } catch (err) {
+    await updateSession(session.id, { evaluationError: err.message });
+    throw err;
+  }
+}
+
+server.get("/sessions/:id/export", signedIn, async (req, reply) => {
+  const session = await getOwnedSession(req);
+  if (!session) {
+    return reply.status(404).send({ error: "Session not found" });
+  }
+
+  const format = req.query.format === "jsonl" ? "jsonl" : "json";
+  return reply
+    .header("Content-Type", format === "jsonl" ? "application/x-ndjson" : "application/json")
+    .header("Content-Disposition", `attachment; filename="session-${session.id}.${format}"`)
+    .send(format === "jsonl" ? exportSessionJSONL(session) : exportSessionJSON(session));
+});
+
+server.post("/sessions/import", { ...spendsCredit, bodyLimit: 20 * 1024 * 1024 }, async (req, reply) => {
+  const { content, filename, language, rubric, duration } = req.body || {};
+
+  let imported;
+  try {
+    imported = parseImport(content);
+  } catch (err) {
+    if (err instanceof ImportError) {
+      return reply.status(400).send({ error: err.message });
+    }
+    throw err;
+  }
+
+  if (imported.scenario && !getScenario(imported.scenario)) {
+    return reply.status(400).send({ error: `Unknown scenario: ${imported.scenario}` });
+  }
+  if (!rubricAllowed(reply, imported.rubric || rubric, imported.language || language)) return reply;
+
+  const ensemble = ensembleOption(req, reply);
+  if (ensemble === undefined) return reply;
+
+  const quotaError = evaluationQuotaError(req, imported.duration ?? duration, ensemble);
+  if (quotaError) {
+    return reply.status(429).send({ error: quotaError });
+  }
+
+  // Metadata from an export wins; the form only fills in what a plain transcript lacks
+  const session = await createSession({
+    ...imported,
+    owner: ownerOf(req),
+    language: imported.language || language,
+    rubric: imported.rubric || rubric,
+    duration: imported.duration ?? duration,
+    importedFrom: filename || "upload",
+  });
+
+  try {
+    const evaluated = await reevaluateSession(session, null, ensemble);
+    await recordEvaluationUsage(req, session.duration, ensemble);
+    return reply.status(201).send({ id: session.id, evaluation: evaluated.evaluation });
+  } catch (err) {
+    console.error("Error evaluating imported session:", err);
+    return reply.status(500).send({ id: session.id, error: err.message });
+  }
+});
+
+server.post("/sessions/:id/evaluate", spendsCredit, async (req, reply) => {
+  const session = await getOwnedSession(req);
+  if (!session) {
+    return reply.status(404).send({ error: "Session not found" });
+  }
+  if (!session.conversation.length) {
+    return reply.status(400).send({ error: "Session has no transcript to evaluate" });
+  }
+  if (session.mode === "tutor") {
+    return reply.status(400).send({ error: "Practice sessions are not graded" });
+  }
+  if (!rubricAllowed(reply, req.body?.rubric || session.rubric, session.language)) return reply;
+
+  const ensemble = ensembleOption(req, reply);
+  if (ensemble === undefined) return reply;
+
+  const quotaError = evaluationQuotaError(req, session.duration, ensemble);
+  if (quotaError) {
+    return reply.status(429).send({ success: false, error: quotaError });
+  }
+
+  try {
+    const updated = await reevaluateSession(session, req.body?.rubric, ensemble);
+    await recordEvaluationUsage(req, session.duration, ensemble);
+    return { success: true, evaluation: updated.evaluation };
+  } catch (err) {
+    console.error("Error re-evaluating session:", err);
+    return reply.status(500).send({ success: false, error: err.message });
+  }
+});
+
+/**
+ * 13) Routes: reports and certificates
+ */
+const REPORT_FORMATS = {
+  html: { type: "text/html", render: renderReportHTML },
+  md: { type: "text/markdown", render: renderReportMarkdown },
+  pdf: { type: "application/pdf", render: renderReportPDF },
+};
+
+function verifyUrl(req, certificateId) {
+  return `${req.protocol}://${req.hostname}/certificate/${certificateId}`;
+}
+
+server.get("/sessions/:id/report", signedIn, async (req, reply) => {
+  const session = await getOwnedSession(req);
+  if (!session) {
+    return reply.status(404).send({ error: "Session not found" });
+  }
+
+  const format = REPORT_FORMATS[req.query.format] ? req.query.format : "html";
+  const report = buildReport(session, {
+    candidateName: req.query.name,
+    certificate: session.certificate,
+    verifyUrl: session.certificate && verifyUrl(req, session.certificate.id),
+  });
+  if (!report) {
+    return reply.status(409).send({ error: "Session has not been evaluated yet" });
+  }
+
+  const { type, render } = REPORT_FORMATS[format];
+  const body = await render(report);
+
+  // HTML opens in the browser; Markdown and PDF download as files
+  if (format !== "html") {
+    reply.header("Content-Disposition", `attachment; filename="report-${session.id}.${format}"`);
+  }
+  return reply.type(type).send(body);
+});
+
+server.post("/sessions/:id/certificate", signedIn, async (req, reply) => {
+  const candidateName = req.body?.candidateName?.trim();
+  if (!candidateName) {
+    return reply.status(400).send({ error: "candidateName is required" });
+  }
+
+  const session = await getOwnedSession(req);
+  if (!session) {
+    return reply.status(404).send({ error: "Session not found" });
+  }
+  if (!session.evaluation) {
+    return reply.status(409).send({ error: "Session has not been evaluated yet" });
+  }
+
+  const certificate = await createCertificate(session, candidateName);
+  await updateSession(session.id, {
+    certificate: { id: certificate.id, candidateName, issuedAt: certificate.issuedAt },
+  });
+
+  return reply.status(201).send({ ...certificate, verifyUrl: verifyUrl(req, certificate.id) });
+});
+
+server.get("/certificates/:id", async (req, reply) => {
+  const certificate = await getCertificate(req.params.id);
+  if (!certificate) {
+    return reply.status(404).send({ error: "Certificate not found" });
+  }
+  return certificate;
+});
+
+/**
+ * 14) Routes: session audio recordings
+ * Uploaded as raw audio bodies, one request per track
+ */
+server.addContentTypeParser(/^audio\//, { parseAs: "buffer", bodyLimit: 200 * 1024 * 1024 }, (req, body, done) => {
+  done(null, body);
+});
+
+server.put("/sessions/:id/recordings/:track", signedIn, async (req, reply) => {
+  const { id, track } = req.params;
+  if (!RECORDING_TRACKS.includes(track)) {
+    return reply.status(400).send({ error: `Unknown recording track: ${track}` });
+  }
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return reply.status(400).send({ error: "Expected an audio body" });
+  }
+
+  const session = await getOwnedSession(req);
+  if (!session) {
+    return reply.status(404).send({ error: "Session not found" });
+  }
+  if (!session.recordingConsent?.given) {
+    return reply.status(403).send({ error: "Recording consent was not given for this session" });
+  }
+
+  const updated = await saveRecording(id, track, {
+    data: req.body,
+    contentType: req.headers["content-type"].split(";")[0],
+    startedAt: Number(req.query.startedAt) || null,
+  });
+  return { recording: updated.recordings[track] };
+});
+
+server.get("/sessions/:id/recordings/:track", signedIn, async (req, reply) => {
+  const session = await getOwnedSession(req);
+  const recording = session?.recordings?.[req.params.track];
+  const data = recording && (await getRecording(req.params.id, req.params.track));
+  if (!data) {
+    return reply.status(404).send({ error: "Recording not found" });
+  }
+  return reply.type(recording.contentType).send(data);
+});
+
+/**
+ * 15) Routes: accounts
+ */
+const loginLimit = { preHandler: server.rateLimit({ max: RATE_LIMITS.login, timeWindow: "1 minute" }) };
+
+async function startLogin(reply, user) {
+  const { token, maxAge } = await createLogin(user);
+  reply.setCookie(SESSION_COOKIE, token, {
+    path: "/",
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge,
+  });
+}
+
+server.post("/auth/register", loginLimit, async (req, reply) => {
+  const { username, password } = req.body || {};
+  try {
+    const user = await registerUser(username, password);
+    await startLogin(reply, user);
+    return reply.status(201).send({ user: describeUser(user) });
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return reply.status(err.statusCode).send({ error: err.message });
+    }
+    throw err;
+  }
+});
+
+server.post("/auth/login", loginLimit, async (req, reply) => {
+  const { username, password } = req.body || {};
+  const user = await verifyUser(username, password);
+  if (!user) {
+    return reply.status(401).send({ error: "Wrong username or password" });
+  }
+  await startLogin(reply, user);
+  return { user: describeUser(user) };
+});
+
+server.post("/auth/logout", async (req, reply) => {
+  await deleteLogin(req.cookies[SESSION_COOKIE]);
+  reply.clearCookie(SESSION_COOKIE, { path: "/" });
+  return { success: true };
+});
+
+server.get("/auth/me", async (req, reply) => {
+  if (!AUTH_ENABLED) {
+    return { authEnabled: false, user: null };
+  }
+  const user = await userForLogin(req.cookies[SESSION_COOKIE]);
+  if (!user) {
+    return reply.status(401).send({ authEnabled: true, user: null, error: "Not signed in" });
+  }
+  return { authEnabled: true, user: describeUser(user) };
+});
+
+/**
+ * 16) Route: usage and cost report for administrators
+ * Summed by user, language and day; ?from=&to= are inclusive YYYY-MM-DD bounds
+ */
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+server.get("/admin/usage", { preHandler: requireAdmin }, async (req, reply) => {
+  const { from, to } = req.query;
+  if ([from, to].some((day) => day && !DAY_PATTERN.test(day))) {
+    return reply.status(400).send({ error: "from and to must be dates like 2024-05-31" });
+  }
+
+  const sessions = await listSessionRecords();
+  return buildUsageReport(sessions, { from, to, realtimeModel: REALTIME_MODEL });
+});
+
+/**
+ * 17) Start listening
  */
 await server.listen({ port: process.env.PORT || 3000 });
\ No newline at end of file
@@ -0,0 +1,134 @@
+// annotations.js
+
+/**
+ * Error annotations tied to the transcript.
+ * Each annotation points at a candidate turn (index into the conversation
+ * array built by buildTextConversation) and a character span inside it:
+ *   { turn_index, start, end, text, skill, category, correction, explanation, source }
+ *
+ * Models are unreliable at counting characters, so spans are re-derived
+ * from the quoted text; annotations whose quote can't be found are dropped.
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Every occurrence of quote in text as { start, end }: the exact matches, or
+ * failing those, case-insensitive ones. The case-insensitive search runs on the
+ * text itself, since lowercasing can change a string's length (e.g. "İ") and
+ * shift the offsets; its matches can differ in length from the quote.
+ */
+function occurrences(text, quote) {
+  const spans = [];
+  for (let i = text.indexOf(quote); i !== -1; i = text.indexOf(quote, i + 1)) {
+    spans.push({ start: i, end: i + quote.length });
+  }
+  if (spans.length) return spans;
+
+  const pattern = new RegExp(escapeRegExp(quote), "giu");
+  for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+    spans.push({ start: match.index, end: match.index + match[0].length });
+    pattern.lastIndex = match.index + 1;
+  }
+  return spans;
+}
+
+/**
+ * Find quote in text, preferring the occurrence nearest to hint.
+ * Returns { start, end } or null.
+ */
+function locate(text, quote, hint = 0) {
+  let best = null;
+  for (const span of occurrences(text, quote)) {
+    if (!best || Math.abs(span.start - hint) < Math.abs(best.start - hint)) best = span;
+  }
+  return best;
+}
+
+function userTurnIndices(conversation) {
+  return conversation.flatMap((turn, i) => (turn.role === "user" ? [i] : []));
+}
+
+/**
+ * Place a quote in the conversation: the suggested turn first, then any other
+ * candidate turn. Returns { turn_index, start, end } or null.
+ */
+function place(conversation, quote, turnIndex, hint) {
+  const candidates = userTurnIndices(conversation);
+  const order = candidates.includes(turnIndex)
+    ? [turnIndex, ...candidates.filter((i) => i !== turnIndex)]
+    : candidates;
+
+  for (const index of order) {
+    const span = locate(conversation[index].text, quote, index === turnIndex ? hint : 0);
+    if (span) {
+      return { turn_index: index, ...span };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the evaluator's annotations against the transcript and fix their spans
+ */
+export function alignAnnotations(annotations, conversation) {
+  const aligned = [];
+  for (const annotation of annotations || []) {
+    const quote = annotation.text?.trim();
+    if (!quote) continue;
+
+    const span = place(conversation, quote, annotation.turn_index, annotation.start);
+    if (!span) continue;
+
+    aligned.push({
+      ...annotation,
+      ...span,
+      text: conversation[span.turn_index].text.slice(span.start, span.end),
+      source: "evaluator",
+    });
+  }
+  return aligned;
+}
+
+/**
+ * Turn the interviewer's live record_error calls into annotations.
+ * Their categories double as skill keys when the rubric has a matching skill.
+ */
+export function annotationsFromLiveErrors(errors, conversation, rubric) {
+  const skillKeys = new Set(rubric.skills.map((s) => s.key));
+  const annotations = [];
+
+  for (const error of errors || []) {
+    const quote = error.utterance?.trim();
+    if (!quote) continue;
+
+    const span = place(conversation, quote, -1, 0);
+    if (!span) continue;
+
+    annotations.push({
+      ...span,
+      text: conversation[span.turn_index].text.slice(span.start, span.end),
+      skill: skillKeys.has(error.category) ? error.category : null,
+      category: error.category,
+      correction: error.correction,
+      explanation: "",
+      source: "interviewer",
+    });
+  }
+  return annotations;
+}
+
+/**
+ * Evaluator and interviewer annotations together, ordered by position.
+ * An interviewer annotation is dropped when the evaluator flagged an overlapping
+ * span in the same category.
+ */
+export function mergeAnnotations(evaluatorAnnotations, liveAnnotations) {
+  const overlaps = (a, b) =>
+    a.turn_index === b.turn_index && a.category === b.category && a.start < b.end && b.start < a.end;
+
+  return [
+    ...evaluatorAnnotations,
+    ...liveAnnotations.filter((live) => !evaluatorAnnotations.some((a) => overlaps(a, live))),
+  ].sort((a, b) => a.turn_index - b.turn_index || a.start - b.start);
+}
@@ -0,0 +1,282 @@
+// auth.js
+
+import { rm } from "fs/promises";
+import { join } from "path";
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { DATA_DIR, readDocument, updateDocument, writeDocument } from "./fileStore.js";
+
+/**
+ * Local accounts, login sessions, daily quotas and rate-limit settings.
+ * Users live in DATA_DIR/users/<username>.json with a scrypt password hash;
+ * each login is a random token in DATA_DIR/logins/<token>.json that the
+ * browser holds in an httpOnly cookie.
+ *
+ * Set AUTH=off to run without accounts (single-user local setups).
+ */
+export const AUTH_ENABLED = process.env.AUTH !== "off";
+
+export const SESSION_COOKIE = "sid";
+const LOGIN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const USERS_DIR = join(DATA_DIR, "users");
+const LOGINS_DIR = join(DATA_DIR, "logins");
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const scryptAsync = promisify(scrypt);
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Default daily quotas; a user record can override them with its own `quotas`
+export const DEFAULT_QUOTAS = {
+  sessionsPerDay: envNumber("QUOTA_SESSIONS_PER_DAY", 20),
+  evaluationMinutesPerDay: envNumber("QUOTA_EVALUATION_MINUTES_PER_DAY", 120),
+};
+
+// Requests per minute on the routes that spend API credit
+export const RATE_LIMITS = {
+  perUser: envNumber("RATE_LIMIT_PER_USER", 10),
+  perIp: envNumber("RATE_LIMIT_PER_IP", 30),
+  login: envNumber("RATE_LIMIT_LOGIN", 10),
+};
+
+// How long after starting a session a dropped connection can be resumed without spending another
+const RESUME_WINDOW_MS = 60 * 60 * 1000;
+// How many times one session can be resumed
+const MAX_RESUMES_PER_SESSION = 3;
+
+// Usernames allowed to see the usage report, from a comma-separated ADMIN_USERS
+const ADMIN_USERS = new Set(
+  (process.env.ADMIN_USERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean),
+);
+
+export class AuthError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+const userPath = (username) => join(USERS_DIR, `${username.toLowerCase()}.json`);
+const loginPath = (token) => join(LOGINS_DIR, `${token}.json`);
+
+async function hashPassword(password, salt) {
+  return (await scryptAsync(password, salt, 64)).toString("hex");
+}
+
+export async function getUser(username) {
+  if (!USERNAME_PATTERN.test(username || "")) return null;
+  return readDocument(userPath(username));
+}
+
+export function isAdmin(user) {
+  return Boolean(user) && ADMIN_USERS.has(user.username.toLowerCase());
+}
+
+/**
+ * Public view of a user: never includes the password hash.
+ */
+export function describeUser(user) {
+  return {
+    username: user.username,
+    createdAt: user.createdAt,
+    admin: isAdmin(user),
+    quotas: quotasFor(user),
+    usage: usageToday(user),
+  };
+}
+
+export async function registerUser(username, password) {
+  if (!USERNAME_PATTERN.test(username || "")) {
+    throw new AuthError("Usernames are 3-32 letters, digits, dots, dashes or underscores");
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  // Checked and written under the document's lock, so two sign-ups can't both claim a name
+  const salt = randomBytes(16).toString("hex");
+  const user = await updateDocument(userPath(username), async (existing) =>
+    existing
+      ? null
+      : {
+          username,
+          salt,
+          passwordHash: await hashPassword(password, salt),
+          quotas: null,
+          usage: null,
+          createdAt: new Date().toISOString(),
+        },
+  );
+  if (!user) {
+    throw new AuthError("That username is taken", 409);
+  }
+  return user;
+}
+
+/**
+ * Check a username/password pair. Returns the user, or null on any mismatch.
+ */
+export async function verifyUser(username, password) {
+  const user = await getUser(username);
+  if (!user || typeof password !== "string") return null;
+
+  const expected = Buffer.from(user.passwordHash, "hex");
+  const actual = Buffer.from(await hashPassword(password, user.salt), "hex");
+  return timingSafeEqual(expected, actual) ? user : null;
+}
+
+export async function createLogin(user) {
+  const token = randomBytes(32).toString("hex");
+  await writeDocument(loginPath(token), {
+    username: user.username,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + LOGIN_TTL_MS).toISOString(),
+  });
+  return { token, maxAge: LOGIN_TTL_MS / 1000 };
+}
+
+/**
+ * Resolve a login token to its user, or null if it is unknown or expired.
+ */
+export async function userForLogin(token) {
+  if (!TOKEN_PATTERN.test(token || "")) return null;
+  const login = await readDocument(loginPath(token));
+  if (!login || new Date(login.expiresAt) < new Date()) return null;
+  return getUser(login.username);
+}
+
+export async function deleteLogin(token) {
+  if (!TOKEN_PATTERN.test(token || "")) return;
+  await rm(loginPath(token), { force: true });
+}
+
+function quotasFor(user) {
+  return { ...DEFAULT_QUOTAS, ...user.quotas };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function usageToday(user) {
+  return user.usage?.date === today()
+    ? user.usage
+    : { date: today(), sessions: 0, evaluationMinutes: 0 };
+}
+
+const QUOTA_KEYS = {
+  sessions: { limit: "sessionsPerDay", label: "sessions" },
+  evaluationMinutes: { limit: "evaluationMinutesPerDay", label: "evaluation minutes" },
+};
+
+/**
+ * Check whether spending `amount` of a daily quota would go over the limit.
+ * Returns null if allowed, or a message for the 429 response.
+ */
+export function quotaExceeded(user, kind, amount = 1) {
+  const { limit: limitKey, label } = QUOTA_KEYS[kind];
+  const limit = quotasFor(user)[limitKey];
+  const used = usageToday(user)[kind];
+  if (used + amount <= limit) return null;
+  return `Daily quota reached: ${Math.round(used * 10) / 10} of ${limit} ${label} used today. It resets at midnight UTC.`;
+}
+
+function addUsage(user, kind, amount) {
+  const usage = usageToday(user);
+  return {
+    ...user,
+    usage: { ...usage, [kind]: Math.max(0, Math.round((usage[kind] + amount) * 100) / 100) },
+  };
+}
+
+/**
+ * Add to today's usage for a user.
+ */
+export async function recordUsage(username, kind, amount = 1) {
+  if (!USERNAME_PATTERN.test(username || "")) return null;
+  return updateDocument(userPath(username), (user) => user && addUsage(user, kind, amount));
+}
+
+/**
+ * Spend `amount` of a daily quota up front, for work that runs later. The check
+ * and the spend happen in one write, so concurrent requests can't all pass the
+ * check. Resolves with { error } (the 429 message) or { reservation } to hand
+ * to releaseUsage if the work never happens.
+ */
+export async function reserveUsage(username, kind, amount = 1) {
+  let error = null;
+  await updateDocument(userPath(username), (user) => {
+    if (!user) return null;
+    error = quotaExceeded(user, kind, amount);
+    return error ? null : addUsage(user, kind, amount);
+  });
+  return error ? { error } : { reservation: { kind, amount, date: today() } };
+}
+
+/**
+ * Give back an unused reservation. One made on an earlier day has already expired with that day's usage.
+ */
+export async function releaseUsage(username, { kind, amount, date }) {
+  if (!USERNAME_PATTERN.test(username || "") || date !== today()) return null;
+  return updateDocument(userPath(username), (user) => user && addUsage(user, kind, -amount));
+}
+
+/**
+ * Start a session's resume grant: a single-use token the client hands back to
+ * reopen the session after a dropped connection. Replaces any earlier grant.
+ */
+export async function issueResumeGrant(username) {
+  const token = randomBytes(32).toString("hex");
+  const user = await updateDocument(userPath(username), (user) =>
+    user
+      ? {
+          ...user,
+          resumeGrant: {
+            token,
+            sessionStartedAt: new Date().toISOString(),
+            resumesLeft: MAX_RESUMES_PER_SESSION,
+          },
+        }
+      : null,
+  );
+  return user ? token : null;
+}
+
+/**
+ * Whether grantToken is the user's current resume grant, and it still has resumes left within the window.
+ */
+export function canResume(user, grantToken) {
+  const grant = user.resumeGrant;
+  return (
+    Boolean(grant) &&
+    grant.token === grantToken &&
+    grant.resumesLeft > 0 &&
+    Date.now() - new Date(grant.sessionStartedAt).getTime() < RESUME_WINDOW_MS
+  );
+}
+
+/**
+ * Use up a resume grant. Resolves with the grant token for the next drop, or null if it wasn't valid.
+ */
+export async function redeemResumeGrant(username, grantToken) {
+  let next = null;
+  await updateDocument(userPath(username), (user) => {
+    if (!user || !canResume(user, grantToken)) return null;
+    next = randomBytes(32).toString("hex");
+    return {
+      ...user,
+      resumeGrant: { ...user.resumeGrant, token: next, resumesLeft: user.resumeGrant.resumesLeft - 1 },
+    };
+  });
+  return next;
+}
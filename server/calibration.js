@@ -0,0 +1,214 @@
+// calibration.js
+
+import { readdir, readFile } from "fs/promises";
+import { join } from "path";
+import { z } from "zod";
+import { getRubric } from "./rubrics/index.js";
+
+/**
+ * Calibration of the evaluator against golden transcripts.
+ * Each golden file holds a transcript labeled with the level a human rater
+ * gave it and an acceptable score range per skill. A run grades every file
+ * and reports how often the evaluator lands on the labeled level, how far
+ * its skill scores fall outside the labeled ranges, and what changed since
+ * the previous run.
+ */
+const RangeSchema = z
+  .tuple([z.number(), z.number()])
+  .refine(([min, max]) => min <= max, "range must be [min, max]");
+
+const GoldenSchema = z.object({
+  id: z.string().min(1),
+  description: z.string().optional(),
+  language: z.string(),
+  rubric: z.string().default("cefr"),
+  duration: z.number().positive(),
+  expected: z.object({
+    level: z.string(),
+    skills: z.record(RangeSchema).default({}),
+  }),
+  conversation: z
+    .array(z.object({ role: z.enum(["user", "assistant"]), text: z.string() }))
+    .min(2),
+  liveAssessment: z.any().optional(),
+  stageProgress: z.any().optional(),
+  fluency: z.any().optional(),
+});
+
+export class CalibrationError extends Error {}
+
+/**
+ * Load and validate every golden transcript in a directory, sorted by file name.
+ */
+export async function loadGoldenSet(dir) {
+  let files;
+  try {
+    files = (await readdir(dir)).filter((f) => f.endsWith(".json")).sort();
+  } catch (err) {
+    if (err.code === "ENOENT") throw new CalibrationError(`Golden transcript directory not found: ${dir}`);
+    throw err;
+  }
+  if (!files.length) {
+    throw new CalibrationError(`No golden transcripts (*.json) in ${dir}`);
+  }
+
+  const goldens = [];
+  for (const file of files) {
+    const result = GoldenSchema.safeParse(JSON.parse(await readFile(join(dir, file), "utf8")));
+    if (!result.success) {
+      const issue = result.error.issues[0];
+      throw new CalibrationError(`${file}: ${issue.path.join(".")} ${issue.message}`);
+    }
+
+    const golden = result.data;
+    const rubric = getRubric(golden.rubric);
+    if (!rubric) {
+      throw new CalibrationError(`${file}: unknown rubric "${golden.rubric}"`);
+    }
+    if (!rubric.levels.some((l) => l.level === golden.expected.level)) {
+      throw new CalibrationError(`${file}: "${golden.expected.level}" is not a ${rubric.name} level`);
+    }
+    const unknownSkill = Object.keys(golden.expected.skills).find(
+      (key) => !rubric.skills.some((s) => s.key === key),
+    );
+    if (unknownSkill) {
+      throw new CalibrationError(`${file}: "${unknownSkill}" is not a ${rubric.name} skill`);
+    }
+
+    goldens.push({ ...golden, file });
+  }
+  return goldens;
+}
+
+// How far a score falls outside a labeled range; 0 inside it
+const distanceFromRange = (score, [min, max]) => (score < min ? min - score : score > max ? score - max : 0);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Compare one evaluation with its golden label.
+ * Levels are ordered by band, so a distance of 1 is an adjacent level.
+ */
+export function scoreCase(golden, evaluation) {
+  const rubric = getRubric(golden.rubric);
+  const order = [...rubric.levels].sort((a, b) => a.min - b.min).map((l) => l.level);
+  const predicted = evaluation.final_scores.level;
+  const distance = Math.abs(order.indexOf(predicted) - order.indexOf(golden.expected.level));
+
+  return {
+    id: golden.id,
+    language: golden.language,
+    rubric: rubric.id,
+    expected_level: golden.expected.level,
+    predicted_level: predicted,
+    level_distance: distance,
+    exact: distance === 0,
+    adjacent: distance <= 1,
+    overall_score: evaluation.final_scores.overall_score,
+    confidence: evaluation.ensemble?.confidence ?? null,
+    skills: Object.fromEntries(
+      Object.entries(golden.expected.skills).map(([key, range]) => {
+        const score = evaluation.skills[key]?.score ?? 0;
+        return [key, { score, expected: range, error: distanceFromRange(score, range) }];
+      }),
+    ),
+  };
+}
+
+/**
+ * Agreement rates and the mean absolute error per skill over a run's cases.
+ */
+export function summarizeRun(cases) {
+  const skillErrors = {};
+  for (const c of cases) {
+    for (const [key, { error }] of Object.entries(c.skills)) {
+      (skillErrors[key] ||= []).push(error);
+    }
+  }
+
+  return {
+    cases: cases.length,
+    exact_agreement: round(cases.filter((c) => c.exact).length / cases.length),
+    adjacent_agreement: round(cases.filter((c) => c.adjacent).length / cases.length),
+    skill_mae: Object.fromEntries(
+      Object.entries(skillErrors).map(([key, errors]) => [
+        key,
+        round(errors.reduce((a, b) => a + b, 0) / errors.length),
+      ]),
+    ),
+  };
+}
+
+/**
+ * What changed between two runs: metric deltas (current minus previous)
+ * and the cases whose predicted level moved.
+ */
+export function compareRuns(current, previous) {
+  const previousCases = new Map(previous.cases.map((c) => [c.id, c]));
+  const delta = (a, b) => (a === undefined || b === undefined ? null : round(a - b));
+
+  return {
+    previous_run: previous.startedAt,
+    exact_agreement: delta(current.summary.exact_agreement, previous.summary.exact_agreement),
+    adjacent_agreement: delta(current.summary.adjacent_agreement, previous.summary.adjacent_agreement),
+    skill_mae: Object.fromEntries(
+      Object.keys(current.summary.skill_mae).map((key) => [
+        key,
+        delta(current.summary.skill_mae[key], previous.summary.skill_mae[key]),
+      ]),
+    ),
+    level_changes: current.cases
+      .filter((c) => previousCases.has(c.id) && previousCases.get(c.id).predicted_level !== c.predicted_level)
+      .map((c) => ({
+        id: c.id,
+        expected: c.expected_level,
+        from: previousCases.get(c.id).predicted_level,
+        to: c.predicted_level,
+      })),
+    added: current.cases.filter((c) => !previousCases.has(c.id)).map((c) => c.id),
+    removed: previous.cases.filter((c) => !current.cases.some((cur) => cur.id === c.id)).map((c) => c.id),
+  };
+}
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+const signed = (value, format = String) =>
+  value === null ? "n/a" : value === 0 ? "±0" : `${value > 0 ? "+" : "-"}${format(Math.abs(value))}`;
+
+/**
+ * Plain-text report of a run, with the comparison when there is a previous run.
+ */
+export function formatReport(run, comparison) {
+  const { summary } = run;
+  const lines = [
+    `Calibration run ${run.startedAt} (provider: ${run.provider}${run.ensemble ? `, ensemble ${run.ensemble.passes} passes` : ""})`,
+    "",
+    ...run.cases.map(
+      (c) =>
+        `  ${c.exact ? "✓" : c.adjacent ? "~" : "✗"} ${c.id.padEnd(28)} expected ${c.expected_level.padEnd(8)} got ${c.predicted_level.padEnd(8)} (${c.overall_score})`,
+    ),
+    "",
+    `Exact level agreement:    ${percent(summary.exact_agreement)}`,
+    `Adjacent level agreement: ${percent(summary.adjacent_agreement)}`,
+    "Mean absolute skill error (points outside the labeled range):",
+    ...Object.entries(summary.skill_mae).map(([key, mae]) => `  ${key.padEnd(24)} ${mae}`),
+  ];
+
+  if (comparison) {
+    lines.push(
+      "",
+      `Compared with ${comparison.previous_run}:`,
+      `  exact agreement    ${signed(comparison.exact_agreement, percent)}`,
+      `  adjacent agreement ${signed(comparison.adjacent_agreement, percent)}`,
+      ...Object.entries(comparison.skill_mae).map(
+        ([key, change]) => `  ${`${key} error`.padEnd(30)} ${signed(change)}`,
+      ),
+      ...comparison.level_changes.map(
+        (c) => `  ${c.id}: ${c.from} -> ${c.to} (expected ${c.expected})`,
+      ),
+      ...(comparison.added.length ? [`  new cases: ${comparison.added.join(", ")}`] : []),
+      ...(comparison.removed.length ? [`  removed cases: ${comparison.removed.join(", ")}`] : []),
+    );
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,142 @@
+// ensemble.js
+
+/**
+ * Aggregation of independent grading passes into one evaluation.
+ * Numeric scores are combined with the chosen statistic; the written feedback
+ * and annotations come from the pass whose overall score is closest to the
+ * aggregate, so the text always matches a real rater's reading.
+ */
+export const AGGREGATES = ["median", "mean"];
+export const MAX_ENSEMBLE_PASSES = 7;
+
+// Two-sided 95% t critical values by degrees of freedom (small rater panels)
+const T_95 = { 1: 12.71, 2: 4.3, 3: 3.18, 4: 2.78, 5: 2.57, 6: 2.45 };
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+const AGGREGATE_FNS = { median, mean };
+
+function spread(values, aggregate) {
+  return {
+    score: round(AGGREGATE_FNS[aggregate](values)),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    stdev: round(stdev(values)),
+  };
+}
+
+/**
+ * Level band boundaries (lower bounds) inside the interval (low, high]
+ */
+function boundariesWithin(low, high, rubric) {
+  const bands = [...rubric.levels].sort((a, b) => a.min - b.min);
+  return bands
+    .map((band, i) => ({ min: band.min, below: bands[i - 1]?.level, above: band.level }))
+    .filter((boundary, i) => i > 0 && boundary.min > low && boundary.min <= high);
+}
+
+/**
+ * Combine graded passes (each already scored by gradePass) into one evaluation.
+ * `rescore` recomputes the overall score from the aggregated skill and depth scores,
+ * `levelFor` maps a score onto the rubric's bands, and `raters` names each pass's rater.
+ */
+export function aggregatePasses(passes, { rubric, aggregate = "median", raters, rescore, levelFor }) {
+  const combine = AGGREGATE_FNS[aggregate];
+  const overalls = passes.map((p) => p.final_scores.overall_score);
+  const levels = passes.map((p) => p.final_scores.level);
+
+  // Written feedback comes from the most central rater
+  const center = combine(overalls);
+  const representative = passes.reduce((best, p) =>
+    Math.abs(p.final_scores.overall_score - center) < Math.abs(best.final_scores.overall_score - center)
+      ? p
+      : best,
+  );
+
+  const skillSpreads = Object.fromEntries(
+    rubric.skills.map((skill) => [skill.key, spread(passes.map((p) => p.skills[skill.key].score), aggregate)]),
+  );
+  const depth = (key) => round(combine(passes.map((p) => p.conversation_depth[key])));
+
+  const evaluation = {
+    ...representative,
+    skills: Object.fromEntries(
+      rubric.skills.map((skill) => [
+        skill.key,
+        { ...representative.skills[skill.key], score: skillSpreads[skill.key].score },
+      ]),
+    ),
+    conversation_depth: {
+      ...representative.conversation_depth,
+      complexity_achieved: depth("complexity_achieved"),
+      longest_response_quality: depth("longest_response_quality"),
+      substantive_discussion:
+        passes.filter((p) => p.conversation_depth.substantive_discussion).length * 2 > passes.length,
+    },
+    quantitative_measures: {
+      ...representative.quantitative_measures,
+      grammar_accuracy: round(combine(passes.map((p) => p.quantitative_measures.grammar_accuracy))),
+    },
+    usage: passes.map((p) => p.usage),
+  };
+
+  const overallScore = rescore(evaluation);
+  const level = levelFor(overallScore);
+  evaluation.final_scores = { ...representative.final_scores, overall_score: overallScore, level };
+
+  // 95% interval on the mean of the raters' overall scores
+  const sd = stdev(overalls);
+  const margin = (T_95[passes.length - 1] ?? 1.96) * (sd / Math.sqrt(passes.length));
+  const interval = [Math.max(0, round(mean(overalls) - margin)), Math.min(100, round(mean(overalls) + margin))];
+
+  const agreeing = levels.filter((l) => l === level).length;
+  const distinctLevels = [...new Set(levels)];
+  const crossed = boundariesWithin(interval[0], interval[1], rubric);
+
+  const reviewReasons = [];
+  if (distinctLevels.length > 1) {
+    reviewReasons.push(`Raters disagreed on the level: ${distinctLevels.join(", ")}`);
+  }
+  for (const boundary of crossed) {
+    reviewReasons.push(
+      `The 95% interval (${interval[0]}–${interval[1]}) crosses the ${boundary.below}/${boundary.above} boundary at ${boundary.min}`,
+    );
+  }
+
+  evaluation.ensemble = {
+    aggregate,
+    passes: passes.map((p, i) => ({
+      pass: i + 1,
+      rater: raters[i],
+      model: p.usage.model,
+      overall_score: p.final_scores.overall_score,
+      level: p.final_scores.level,
+      skills: Object.fromEntries(rubric.skills.map((skill) => [skill.key, p.skills[skill.key].score])),
+    })),
+    overall: { ...spread(overalls, aggregate), score: overallScore, ci95: interval },
+    skills: skillSpreads,
+    level_agreement: round(agreeing / passes.length, 2),
+    // High when nothing needs review, medium while at least two thirds of raters agree
+    confidence: !reviewReasons.length ? "high" : agreeing * 3 >= passes.length * 2 ? "medium" : "low",
+    needs_review: reviewReasons.length > 0,
+    review_reasons: reviewReasons,
+  };
+
+  return evaluation;
+}
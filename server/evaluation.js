@@ -0,0 +1,572 @@
+// evaluation.js
+
+import { z } from "zod";
+import { assessStageCoverage } from "./stages.js";
+import { describeRubric } from "./rubrics/index.js";
+import { measureConversation } from "./metrics.js";
+import { getProvider } from "./providers/index.js";
+import { FEEDBACK_LANGUAGES } from "./languages.js";
+import { ERROR_CATEGORIES } from "./tools.js";
+import { alignAnnotations, annotationsFromLiveErrors, mergeAnnotations } from "./annotations.js";
+import { completionUsage, gradingModels } from "./usage.js";
+import { AGGREGATES, MAX_ENSEMBLE_PASSES, aggregatePasses } from "./ensemble.js";
+
+const EVALUATION_MODEL = "gpt-4o-mini";
+
+// Metric settings for languages missing from the registry
+const DEFAULT_METRICS = { lengthUnit: "words", fullLengthTarget: 50, vocabularyTarget: 150 };
+
+/**
+ * Build the structured-output schema for a rubric.
+ * Skills and level bands come from the rubric; the rest is shared.
+ * A role-play scenario adds a task_completion section.
+ */
+export function buildEvaluationSchema(rubric, { scenario = null } = {}) {
+  const SkillAssessment = (skill) =>
+    z.object({
+      score: z.number().int().describe(`Score from 0 to ${skill.max}`),
+      critical_issues: z.array(z.string()),
+      examples: z.array(z.string())
+    });
+
+  const levelNames = rubric.levels.map((l) => l.level);
+  const skillKeys = rubric.skills.map((s) => s.key);
+
+  return z.object({
+    conversation_depth: z.object({
+      topics_discussed: z.array(z.string()),
+      complexity_achieved: z.number().int().describe("Score from 0 to 5"),
+      substantive_discussion: z.boolean(),
+      longest_response_quality: z.number().int().describe("Score from 0 to 5")
+    }),
+    skills: z.object(
+      Object.fromEntries(rubric.skills.map((skill) => [skill.key, SkillAssessment(skill)])),
+    ),
+    // Everything else in quantitative_measures is measured from the transcript
+    quantitative_measures: z.object({
+      grammar_accuracy: z
+        .number()
+        .describe("Estimated percentage from 0 to 100 of candidate utterances that are grammatically correct")
+    }),
+    final_scores: z.object({
+      overall_score: z.number().int(),
+      level: z.enum(levelNames),
+      recommended_level: z.string()
+    }),
+    critical_feedback: z.object({
+      major_weaknesses: z.array(z.string()),
+      required_improvements: z.array(z.string()),
+      study_recommendations: z.array(z.string())
+    }),
+    // Every concrete error, pinned to the candidate turn it occurred in
+    annotations: z.array(
+      z.object({
+        turn_index: z.number().int(),
+        start: z.number().int(),
+        end: z.number().int(),
+        text: z.string(),
+        skill: z.enum(skillKeys),
+        category: z.enum(ERROR_CATEGORIES),
+        correction: z.string(),
+        explanation: z.string()
+      })
+    ),
+    ...(scenario && {
+      task_completion: z.object({
+        goals: z.array(
+          z.object({ goal: z.string(), achieved: z.boolean(), evidence: z.string() })
+        ),
+        criteria: z.array(
+          z.object({ criterion: z.string(), met: z.boolean(), evidence: z.string() })
+        ),
+        target_vocabulary_used: z.array(z.string()),
+        summary: z.string()
+      })
+    })
+  });
+}
+
+/**
+ * Calculate overall score (0-100) based on skills and other metrics
+ */
+export function calculateOverallScore(evaluation, rubric, metrics = DEFAULT_METRICS) {
+  // Skills contribute 60% of total score, split by the rubric's skill weights
+  const skillsScore = rubric.skills.reduce((sum, skill) => {
+    const score = evaluation.skills[skill.key]?.score || 0;
+    return sum + (score / skill.max) * skill.weight * 60;
+  }, 0);
+
+  // Conversation depth contributes 20% (20 points max)
+  const depthScore = (
+    (evaluation.conversation_depth.complexity_achieved * 2) + // 0-10 points
+    (evaluation.conversation_depth.substantive_discussion ? 5 : 0) + // 5 points
+    (evaluation.conversation_depth.longest_response_quality * 1) // 0-5 points
+  );
+
+  // Quantitative measures contribute 20% (20 points max)
+  const quantScore = (
+    (evaluation.quantitative_measures.response_rate / 100 * 5) + // 0-5 points
+    (evaluation.quantitative_measures.grammar_accuracy / 100 * 5) + // 0-5 points
+    (evaluation.quantitative_measures.vocabulary_range / 100 * 5) + // 0-5 points
+    (Math.min(evaluation.quantitative_measures.average_response_length / metrics.fullLengthTarget, 1) * 5) // 0-5 points
+  );
+
+  // Calculate total (max 100)
+  return Math.round(skillsScore + depthScore + quantScore);
+}
+
+/**
+ * Map an overall score onto the rubric's level bands (highest band first)
+ */
+export function mapScoreToLevel(score, rubric) {
+  const bands = [...rubric.levels].sort((a, b) => b.min - a.min);
+  return (bands.find((band) => score >= band.min) || bands[bands.length - 1]).level;
+}
+
+function describeRubricForPrompt(rubric) {
+  const skills = rubric.skills
+    .map((s) => `- ${s.key} (${s.label}): 0-${s.max}`)
+    .join("\n            ");
+  const levels = rubric.levels
+    .map((l) => `- ${l.level}: ${l.descriptor}`)
+    .join("\n            ");
+
+  return `RUBRIC: ${rubric.name}
+            Score each of these skills:
+            ${skills}
+
+            Level descriptors:
+            ${levels}`;
+}
+
+/**
+ * Independent raters for ensemble grading. Each pass gets a rater in turn,
+ * so passes differ in emphasis as well as in sampling.
+ */
+export const RATERS = [
+  { id: "strict", focus: null },
+  {
+    id: "accuracy",
+    focus: "Weigh grammatical and lexical accuracy most heavily: count every error and how often it recurs.",
+  },
+  {
+    id: "communication",
+    focus: "Weigh how effectively the candidate got their meaning across and sustained the conversation.",
+  },
+];
+
+const EnsembleOptionsSchema = z.object({
+  passes: z.number().int().min(2).max(MAX_ENSEMBLE_PASSES).default(3),
+  aggregate: z.enum(AGGREGATES).default("median"),
+  // Models are cycled over the passes; defaults to the single-pass model.
+  // Only priced models are accepted, so every pass shows up in the cost report
+  models: z
+    .array(
+      z.string().refine(
+        (model) => gradingModels().includes(model),
+        (model) => ({ message: `Unknown model "${model}"; use one of: ${gradingModels().join(", ")}` }),
+      ),
+    )
+    .min(1)
+    .default([EVALUATION_MODEL]),
+});
+
+export class EvaluationOptionsError extends Error {}
+
+function envEnsemble() {
+  const passes = Number(process.env.EVALUATION_ENSEMBLE_PASSES);
+  if (!(passes > 1)) return null;
+  const models = process.env.EVALUATION_ENSEMBLE_MODELS?.split(",").map((m) => m.trim()).filter(Boolean);
+  return { passes, ...(models?.length && { models }) };
+}
+
+/**
+ * Normalize the `ensemble` option of an evaluation request.
+ * true uses the defaults, false forces a single pass, an object picks
+ * passes/aggregate/models, and leaving it out falls back to
+ * EVALUATION_ENSEMBLE_PASSES / EVALUATION_ENSEMBLE_MODELS.
+ * Returns null for a single pass.
+ */
+export function parseEnsembleOptions(input) {
+  if (input === false) return null;
+  const requested = input === undefined || input === null ? envEnsemble() : input === true ? {} : input;
+  if (!requested) return null;
+
+  const result = EnsembleOptionsSchema.safeParse(requested);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new EvaluationOptionsError(`Invalid ensemble option ${issue.path.join(".")}: ${issue.message}`);
+  }
+  return result.data;
+}
+
+// What the client sends along with a transcript. Only the fields the grader
+// reads are checked; anything else the client keeps in them is passed through.
+export const TurnSchema = z.object({ role: z.enum(["user", "assistant"]), text: z.string() });
+
+export const LiveAssessmentSchema = z
+  .object({
+    errors: z
+      .array(
+        z
+          .object({ category: z.string(), utterance: z.string(), correction: z.string().optional() })
+          .passthrough(),
+      )
+      .default([]),
+  })
+  .passthrough();
+
+export const StageProgressSchema = z.array(
+  z
+    .object({
+      id: z.string(),
+      entered: z.boolean().optional(),
+      userTurns: z.number().optional(),
+      durationSeconds: z.number().optional(),
+    })
+    .passthrough(),
+);
+
+const FluencySchema = z.object({ summary: z.object({}).passthrough().optional() }).passthrough();
+
+const EvaluationRequestSchema = z.object({
+  conversation: z.array(TurnSchema).min(1, "Missing or empty conversation"),
+  duration: z.number().nonnegative().optional(),
+  language: z.string().nullish(),
+  rubric: z.string().nullish(),
+  scenario: z.string().nullish(),
+  sessionId: z.string().nullish(),
+  liveAssessment: LiveAssessmentSchema.nullish(),
+  stageProgress: StageProgressSchema.nullish(),
+  fluency: FluencySchema.nullish(),
+  feedbackLanguage: z
+    .enum(FEEDBACK_LANGUAGES, { errorMap: () => ({ message: "Unsupported feedback language" }) })
+    .nullish(),
+});
+
+/**
+ * Check the body of an evaluation request before anything is reserved or queued,
+ * so a malformed transcript fails once with a 400 instead of on every job retry.
+ * `ensemble` is left to parseEnsembleOptions.
+ */
+export function parseEvaluationRequest(body) {
+  const result = EvaluationRequestSchema.safeParse(body ?? {});
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new EvaluationOptionsError(`Invalid ${issue.path.join(".") || "request body"}: ${issue.message}`);
+  }
+  return result.data;
+}
+
+function describeScenarioForPrompt(scenario) {
+  return `ROLE-PLAY SCENARIO: ${scenario.title}
+Setting: ${scenario.setting}
+The interviewer played: ${scenario.interviewerRole}
+Candidate goals, in order:
+${scenario.candidateGoals.map((goal) => `- ${goal}`).join("\n")}
+Success criteria, in order:
+${scenario.successCriteria.map((criterion) => `- ${criterion}`).join("\n")}
+Target vocabulary (concepts, in English): ${scenario.targetVocabulary.join(", ") || "none"}
+Fill task_completion: one entry per goal and per criterion in the order listed, each with the
+candidate's words as evidence; list the target vocabulary the candidate actually used in the
+target language. Task completion is reported separately and does not change the skill scores.`;
+}
+
+// Which parts of the evaluation are written for the learner, and which stay quotes
+function describeFeedbackLanguageForPrompt(feedbackLanguage, language) {
+  return `FEEDBACK LANGUAGE: The learner reads ${feedbackLanguage}.
+          Write critical_feedback (major_weaknesses, required_improvements, study_recommendations),
+          each skill's critical_issues, topics_discussed, recommended_level and every annotation
+          explanation in ${feedbackLanguage}. Keep skill examples and annotation text and
+          correction as quotes in ${language ? language.name : "the target language"}, exactly as spoken or corrected.`;
+}
+
+function buildEvaluationMessages(
+  { conversation, duration, language, rubric, scenario, liveAssessment, stageProgress, fluency, feedbackLanguage },
+  { measured, stageCoverage, rater },
+) {
+  return [
+    {
+      role: "system",
+      content: `You are a strict language evaluator analyzing an oral proficiency interview.
+          You must be highly critical and thorough in your assessment.
+          ${language ? `The candidate's target language is ${language.name}.` : ""}
+
+          EVALUATION RULES:
+          - If the conversation lacks substance or depth, assign scores of 0
+          - Deduct points heavily for:
+            * Repeated basic mistakes
+            * Avoidance of complex topics
+            * Excessive pausing or hesitation
+            * Limited vocabulary range
+            * Poor listening comprehension
+
+          - Consider conversation duration of ${Math.round(duration / 1000)} seconds when evaluating
+          - Look for evidence of actual language ability, not just memorized phrases
+          - Identify specific examples of errors and issues
+          - Be especially critical of advanced level claims
+          - Response rate, response length and vocabulary range are measured separately (see the
+            measured metrics below); only estimate grammar_accuracy yourself
+          - Transcript turns are numbered #0, #1, ... For every error behind a critical_issue
+            or example, add an annotation: turn_index of the USER turn, the exact erroneous
+            text copied verbatim from that turn, its start/end character offsets in the turn,
+            the skill it counts against, its category and the corrected form
+
+          ${describeRubricForPrompt(rubric)}
+
+          Your evaluation must be detailed and evidence-based.
+          Do not inflate scores or be overly encouraging.
+          Focus on concrete issues and necessary improvements.${
+            rater.focus ? `\n\n          RATER FOCUS: ${rater.focus}` : ""
+          }${
+            feedbackLanguage ? `\n\n          ${describeFeedbackLanguageForPrompt(feedbackLanguage, language)}` : ""
+          }`
+    },
+    {
+      role: "user",
+      content: conversation
+        .map((c, i) => `#${i} [${c.role.toUpperCase()}]: ${c.text}`)
+        .join("\n"),
+    },
+    {
+      role: "user",
+      content: `MEASURED TRANSCRIPT METRICS (computed, not estimated):
+- response rate: ${measured.response_rate}%
+- mean / median response length: ${measured.average_response_length} / ${measured.median_response_length} ${measured.length_unit}
+- lexical diversity (MATTR): ${measured.lexical_diversity}
+- distinct lemmas: ${measured.distinct_lemmas}`,
+    },
+    // Errors the interviewer logged live through record_error, as extra evidence
+    ...(liveAssessment?.errors?.length
+      ? [
+          {
+            role: "user",
+            content: `ERRORS RECORDED BY THE INTERVIEWER DURING THE SESSION:\n${liveAssessment.errors
+              .map((e) => `- (${e.category}) "${e.utterance}" -> "${e.correction}"`)
+              .join("\n")}`,
+          },
+        ]
+      : []),
+    // Speech timing from the client's fluency analyzer, as evidence for the fluency score
+    ...(fluency?.summary
+      ? [
+          {
+            role: "user",
+            content: `MEASURED SPEECH TIMING:
+- candidate speaking time: ${fluency.summary.candidate_speaking_seconds}s (interviewer: ${fluency.summary.interviewer_speaking_seconds}s)
+- response latency after the interviewer finished: mean ${fluency.summary.mean_latency_ms}ms, median ${fluency.summary.median_latency_ms}ms, max ${fluency.summary.max_latency_ms}ms
+- pauses within answers: ${fluency.summary.pause_count} (mean ${fluency.summary.mean_pause_ms}ms, longest ${fluency.summary.longest_pause_ms}ms)
+- speech rate: ${fluency.summary.speech_rate} ${fluency.summary.speech_rate_unit} per minute${
+              fluency.summary.connection_gaps
+                ? `\n- the connection dropped ${fluency.summary.connection_gaps} time(s) (${fluency.summary.offline_seconds}s offline); that time is already excluded above, so do not treat the interruption or the repeated context after it as hesitation`
+                : ""
+            }
+Use these when scoring fluency.`,
+          },
+        ]
+      : []),
+    ...(scenario ? [{ role: "user", content: describeScenarioForPrompt(scenario) }] : []),
+    ...(stageProgress
+      ? [
+          {
+            role: "user",
+            content: `INTERVIEW STAGES NOT COMPLETED: ${
+              stageCoverage.incomplete.join(", ") || "none"
+            }. Do not award credit for skills that could only be shown in incomplete stages.`,
+          },
+        ]
+      : []),
+  ];
+}
+
+/**
+ * Line the model's task completion up with the scenario's own goals and criteria
+ * (matched by position) and score it as the share of success criteria met.
+ */
+function scoreTaskCompletion(taskCompletion, scenario) {
+  const goals = scenario.candidateGoals.map((goal, i) => ({
+    goal,
+    achieved: Boolean(taskCompletion.goals[i]?.achieved),
+    evidence: taskCompletion.goals[i]?.evidence || "",
+  }));
+  const criteria = scenario.successCriteria.map((criterion, i) => ({
+    criterion,
+    met: Boolean(taskCompletion.criteria[i]?.met),
+    evidence: taskCompletion.criteria[i]?.evidence || "",
+  }));
+
+  return {
+    ...taskCompletion,
+    goals,
+    criteria,
+    score: Math.round((criteria.filter((c) => c.met).length / criteria.length) * 100),
+  };
+}
+
+/**
+ * Skill scores the model has finished writing in a partial reply, clamped to the rubric.
+ * A score is only final once the field after it (critical_issues) has started.
+ */
+function settledSkillScores(partial, rubric) {
+  const scores = {};
+  for (const skill of rubric.skills) {
+    const assessment = partial.skills?.[skill.key];
+    if (typeof assessment?.score === "number" && assessment.critical_issues !== undefined) {
+      scores[skill.key] = {
+        label: skill.label,
+        score: Math.max(0, Math.min(assessment.score, skill.max)),
+        max: skill.max,
+      };
+    }
+  }
+  return scores;
+}
+
+/**
+ * One grading pass: the model's evaluation with skill scores clamped to the rubric,
+ * measured metrics merged in, and the overall score and level recomputed.
+ * onSkills, if given, gets each skill score as soon as the streamed reply settles it.
+ */
+async function gradePass(input, context, { model, rater, onSkills = null, onCalibrating = null }) {
+  const { rubric, metrics, measured } = context;
+
+  let reported = 0;
+  const { parsed: evaluation, usage } = await getProvider().parseStructured({
+    model,
+    messages: buildEvaluationMessages(input, { ...context, rater }),
+    schema: buildEvaluationSchema(rubric, { scenario: input.scenario }),
+    schemaName: "language_evaluation",
+    onPartial:
+      onSkills &&
+      ((partial) => {
+        const scores = settledSkillScores(partial, rubric);
+        if (Object.keys(scores).length > reported) {
+          reported = Object.keys(scores).length;
+          onSkills(scores);
+        }
+      }),
+  });
+
+  onCalibrating?.();
+
+  if (input.scenario) {
+    evaluation.task_completion = scoreTaskCompletion(evaluation.task_completion, input.scenario);
+  }
+
+  // Keep every skill score inside the range the rubric declares
+  for (const skill of rubric.skills) {
+    const assessment = evaluation.skills[skill.key];
+    assessment.score = Math.max(0, Math.min(assessment.score, skill.max));
+  }
+
+  // Measured values replace model guesses; only grammar accuracy stays an estimate
+  evaluation.quantitative_measures = {
+    ...measured,
+    grammar_accuracy: Math.max(0, Math.min(evaluation.quantitative_measures.grammar_accuracy, 100)),
+    estimated: ["grammar_accuracy"],
+  };
+
+  // Calculate and update the overall score, then align the level with it
+  evaluation.final_scores.overall_score = calculateOverallScore(evaluation, rubric, metrics);
+  evaluation.final_scores.level = mapScoreToLevel(evaluation.final_scores.overall_score, rubric);
+
+  // Tokens this run was billed for, priced into the session's usage totals
+  evaluation.usage = completionUsage(usage, model);
+  return evaluation;
+}
+
+/**
+ * Grade a conversation against a rubric.
+ * Returns the evaluation with the overall score and level recomputed server-side.
+ * With `ensemble` options (see parseEnsembleOptions) it runs several independent
+ * passes and aggregates them, reporting their agreement under `evaluation.ensemble`.
+ * A role-play `scenario` in the input adds a `task_completion` section, and a
+ * `feedbackLanguage` has the feedback written in that language instead of English.
+ *
+ * onProgress, if given, is called as grading moves through its phases
+ * (validating, metrics, grading, calibrating), with partial results: the measured metrics, then skill
+ * scores as the model settles them, then the calibrated scores.
+ */
+export async function evaluateConversation(input, { ensemble = null, onProgress = () => {} } = {}) {
+  const { conversation, language, rubric, scenario, liveAssessment, stageProgress, fluency } = input;
+
+  onProgress({
+    phase: "validating",
+    turns: conversation.length,
+    candidate_turns: conversation.filter((c) => c.role === "user").length,
+  });
+
+  const metrics = language?.metrics || DEFAULT_METRICS;
+  const context = {
+    rubric,
+    metrics,
+    // Which interview stages were actually covered, from the client's stage tracker
+    stageCoverage: assessStageCoverage(stageProgress),
+    measured: measureConversation(conversation, { locale: language?.locale, metrics }),
+  };
+  onProgress({ phase: "metrics", measured: context.measured });
+
+  let evaluation;
+  if (ensemble) {
+    // Scores only exist once the passes are combined, so ensembles report passes as they finish
+    let passesDone = 0;
+    onProgress({ phase: "grading", passes: ensemble.passes, passes_done: 0 });
+    const raters = Array.from({ length: ensemble.passes }, (_, i) => RATERS[i % RATERS.length]);
+    const passes = await Promise.all(
+      raters.map(async (rater, i) => {
+        const pass = await gradePass(input, context, { model: ensemble.models[i % ensemble.models.length], rater });
+        onProgress({ phase: "grading", passes: ensemble.passes, passes_done: ++passesDone });
+        return pass;
+      }),
+    );
+    onProgress({ phase: "calibrating" });
+    evaluation = aggregatePasses(passes, {
+      rubric,
+      aggregate: ensemble.aggregate,
+      raters: raters.map((rater) => rater.id),
+      rescore: (merged) => calculateOverallScore(merged, rubric, metrics),
+      levelFor: (score) => mapScoreToLevel(score, rubric),
+    });
+  } else {
+    onProgress({ phase: "grading", passes: 1, passes_done: 0 });
+    evaluation = await gradePass(input, context, {
+      model: EVALUATION_MODEL,
+      rater: RATERS[0],
+      onSkills: (skills) => onProgress({ phase: "grading", skills }),
+      onCalibrating: () => onProgress({ phase: "calibrating" }),
+    });
+  }
+
+  onProgress({
+    phase: "calibrating",
+    skills: Object.fromEntries(
+      rubric.skills.map((skill) => [
+        skill.key,
+        { label: skill.label, score: evaluation.skills[skill.key].score, max: skill.max },
+      ]),
+    ),
+    final_scores: evaluation.final_scores,
+  });
+
+  evaluation.rubric = describeRubric(rubric);
+  evaluation.feedback_language = input.feedbackLanguage || "English";
+  if (scenario) {
+    evaluation.scenario = { id: scenario.id, title: scenario.title };
+  }
+
+  // Re-derive spans from the quoted text and fold in the interviewer's live error log
+  evaluation.annotations = mergeAnnotations(
+    alignAnnotations(evaluation.annotations, conversation),
+    annotationsFromLiveErrors(liveAssessment?.errors, conversation, rubric),
+  );
+
+  if (stageProgress) {
+    evaluation.stage_coverage = context.stageCoverage;
+  }
+
+  if (fluency) {
+    evaluation.fluency_timeline = fluency;
+  }
+
+  return evaluation;
+}
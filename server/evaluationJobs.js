@@ -0,0 +1,240 @@
+// evaluationJobs.js
+
+import { EventEmitter } from "events";
+import { readdir } from "fs/promises";
+import { join } from "path";
+import { createHash, randomUUID } from "crypto";
+import { ZodError } from "zod";
+import { DATA_DIR, readDocument, writeDocument } from "./fileStore.js";
+import { getProvider } from "./providers/index.js";
+import { StructuredOutputError } from "./providers/errors.js";
+
+/**
+ * Durable queue for final evaluations.
+ * Each job is one JSON document under DATA_DIR/evaluation-jobs/<id>.json
+ * holding the request, its status and, once done, the result. Jobs run one
+ * at a time in this process; ones left queued or running by a restart are
+ * picked up again at startup. A job is queued, running, succeeded or failed. Transient model errors and replies that don't
+ * fit the schema are retried with exponential backoff.
+ *
+ * While a job runs, its progress (phase and partial results) is kept in
+ * memory and pushed to subscribers along with every status change.
+ */
+const JOBS_DIR = join(DATA_DIR, "evaluation-jobs");
+
+export const MAX_ATTEMPTS = Number(process.env.EVALUATION_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_MS = Number(process.env.EVALUATION_RETRY_BASE_MS) || 2000;
+
+const ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+function jobPath(id) {
+  if (!ID_PATTERN.test(id)) {
+    throw new Error(`Invalid job id: ${id}`);
+  }
+  return join(JOBS_DIR, `${id}.json`);
+}
+
+// The same idempotency key from the same owner always names the same job
+function jobIdFor(owner, idempotencyKey) {
+  if (!idempotencyKey) return randomUUID();
+  return createHash("sha256").update(`${owner ?? ""}\n${idempotencyKey}`).digest("hex").slice(0, 32);
+}
+
+// Progress of running jobs by id, and listeners for job updates
+const progressById = new Map();
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+async function saveJob(job) {
+  const saved = await writeDocument(jobPath(job.id), { ...job, updatedAt: new Date().toISOString() });
+  updates.emit(job.id, { type: "status", job: describeJob(saved) });
+  return saved;
+}
+
+// Later phases replace earlier ones; partial skill scores accumulate
+function mergeProgress(previous, update) {
+  return {
+    ...previous,
+    ...update,
+    skills: { ...previous?.skills, ...update.skills },
+  };
+}
+
+function reportProgress(id, update) {
+  const progress = mergeProgress(progressById.get(id), update);
+  progressById.set(id, progress);
+  updates.emit(id, { type: "progress", progress });
+}
+
+/**
+ * Listen for a job's updates: { type: "status", job } whenever its status
+ * is saved, and { type: "progress", progress } as a running job advances.
+ * Returns a function that stops listening.
+ */
+export function subscribeToJob(id, listener) {
+  updates.on(id, listener);
+  return () => updates.off(id, listener);
+}
+
+/**
+ * Load a job, or null if unknown.
+ */
+export async function getEvaluationJob(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  return readDocument(jobPath(id));
+}
+
+/**
+ * What the client sees of a job; the request payload stays on the server.
+ */
+export function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    sessionId: job.sessionId,
+    attempts: job.attempts,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: job.nextAttemptAt,
+    error: job.error,
+    progress: job.status === "running" ? progressById.get(job.id) || null : null,
+    ...(job.status === "succeeded" && job.result),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+/**
+ * The job an idempotency key already names, or null.
+ */
+export async function findEvaluationJob(owner, idempotencyKey) {
+  return getEvaluationJob(jobIdFor(owner, idempotencyKey));
+}
+
+// Submissions being written, so two requests racing with one key share a job
+const creating = new Map();
+
+/**
+ * Queue an evaluation. With an idempotency key, a repeat submission returns
+ * the existing job ({ created: false }) instead of grading twice.
+ * reservation is the quota reserved for the job, kept so a failed job can give it back.
+ */
+export async function submitEvaluationJob({ owner, idempotencyKey, sessionId, input, reservation = null }) {
+  const id = jobIdFor(owner, idempotencyKey);
+  if (creating.has(id)) {
+    return { job: await creating.get(id), created: false };
+  }
+
+  const existing = await getEvaluationJob(id);
+  if (existing) return { job: existing, created: false };
+
+  const now = new Date().toISOString();
+  const pending = saveJob({
+    id,
+    owner: owner || null,
+    sessionId: sessionId || null,
+    status: "queued",
+    attempts: 0,
+    nextAttemptAt: null,
+    input,
+    reservation,
+    result: null,
+    error: null,
+    createdAt: now,
+  });
+  creating.set(id, pending);
+  try {
+    const job = await pending;
+    enqueue(id);
+    return { job, created: true };
+  } finally {
+    creating.delete(id);
+  }
+}
+
+/**
+ * Whether another attempt might succeed.
+ */
+export function isRetryable(err) {
+  return (
+    err instanceof StructuredOutputError ||
+    err instanceof ZodError ||
+    Boolean(getProvider().isTransientError?.(err))
+  );
+}
+
+let worker = null;
+const queue = [];
+let draining = false;
+
+function enqueue(id) {
+  queue.push(id);
+  drain();
+}
+
+async function drain() {
+  if (draining || !worker) return;
+  draining = true;
+  try {
+    while (queue.length) {
+      const id = queue.shift();
+      await runJob(id).catch((err) => console.error(`Evaluation job ${id} crashed:`, err));
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+async function runJob(id) {
+  const queued = await getEvaluationJob(id);
+  if (!queued || queued.status === "succeeded" || queued.status === "failed") return;
+
+  // A retry starts its progress over
+  progressById.delete(id);
+  const job = await saveJob({ ...queued, status: "running", attempts: queued.attempts + 1, nextAttemptAt: null });
+  try {
+    const result = await worker.run(job, (update) => reportProgress(id, update));
+    progressById.delete(id);
+    await saveJob({ ...job, status: "succeeded", result, error: null });
+  } catch (err) {
+    progressById.delete(id);
+    if (isRetryable(err) && job.attempts < MAX_ATTEMPTS) {
+      const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+      console.warn(`Evaluation job ${id} attempt ${job.attempts} failed, retrying in ${delay}ms:`, err.message);
+      await saveJob({
+        ...job,
+        status: "queued",
+        error: err.message,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      });
+      setTimeout(() => enqueue(id), delay);
+      return;
+    }
+
+    console.error(`Evaluation job ${id} failed:`, err);
+    const failed = await saveJob({ ...job, status: "failed", error: err.message });
+    await worker.onFailure?.(failed, err);
+  }
+}
+
+/**
+ * Start running jobs with run(job, reportProgress) → result, and requeue the
+ * ones a restart interrupted. onFailure(job, err) is called once a job has given up.
+ */
+export async function startEvaluationWorker({ run, onFailure }) {
+  worker = { run, onFailure };
+
+  let files = [];
+  try {
+    files = (await readdir(JOBS_DIR)).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const unfinished = [];
+  for (const file of files) {
+    const job = await getEvaluationJob(file.slice(0, -".json".length));
+    if (job && (job.status === "queued" || job.status === "running")) unfinished.push(job);
+  }
+  unfinished.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1)).forEach((job) => enqueue(job.id));
+  return unfinished.length;
+}
@@ -0,0 +1,66 @@
+// fileStore.js
+
+import { mkdir, readFile, writeFile, rename } from "fs/promises";
+import { dirname, resolve } from "path";
+import { randomUUID } from "crypto";
+
+/**
+ * Shared helpers for the JSON documents kept under DATA_DIR
+ * (sessions, certificates, users, logins).
+ * Writes to one document are serialized within this process, so a
+ * read-modify-write through updateDocument never loses a concurrent update.
+ */
+export const DATA_DIR = resolve(process.env.DATA_DIR || "data");
+
+// Tail of the pending operations on each document path
+const locks = new Map();
+
+function withLock(target, task) {
+  const run = (locks.get(target) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  locks.set(target, settled);
+  settled.then(() => {
+    if (locks.get(target) === settled) locks.delete(target);
+  });
+  return run;
+}
+
+async function write(target, doc) {
+  await mkdir(dirname(target), { recursive: true });
+  // Write to a temp file first so a crash never leaves half a document behind
+  const tmp = `${target}.${randomUUID()}.tmp`;
+  await writeFile(tmp, JSON.stringify(doc, null, 2));
+  await rename(tmp, target);
+  return doc;
+}
+
+/**
+ * Write a document atomically, creating its directory if needed.
+ */
+export async function writeDocument(target, doc) {
+  return withLock(target, () => write(target, doc));
+}
+
+/**
+ * Read a document, pass it to update(doc) and write back what that returns,
+ * with no other write to the document in between. Resolves with the written
+ * document, or null (writing nothing) if update returns null.
+ */
+export async function updateDocument(target, update) {
+  return withLock(target, async () => {
+    const next = await update(await readDocument(target));
+    return next === null ? null : write(target, next);
+  });
+}
+
+/**
+ * Read a document, or null if it doesn't exist.
+ */
+export async function readDocument(target) {
+  try {
+    return JSON.parse(await readFile(target, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
@@ -0,0 +1,85 @@
+// languages.js
+
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { fileURLToPath } from "url";
+import { z } from "zod";
+import { STEMMER_ALGORITHMS } from "./metrics.js";
+
+/**
+ * Language registry.
+ * Languages are defined in config/languages.json (or the file named by
+ * LANGUAGES_CONFIG) so a new target language is a config change only.
+ */
+const LanguageSchema = z.object({
+  name: z.string(),
+  nativeName: z.string().optional(),
+  locale: z.string(),
+  voice: z.string().default("verse"),
+  transcriptionLanguage: z.string().optional(),
+  instructions: z.string().default(""),
+  metrics: z
+    .object({
+      // How response length is counted: whitespace-separated words, or characters for unspaced scripts
+      lengthUnit: z.enum(["words", "characters"]).default("words"),
+      // Average response length that earns full marks in the overall score
+      fullLengthTarget: z.number().positive().default(50),
+      // Snowball algorithm used to group inflected forms into lemmas; omit for uninflected languages
+      stemmer: z.enum(STEMMER_ALGORITHMS).optional(),
+      // Distinct lemmas that earn full marks for vocabulary range
+      vocabularyTarget: z.number().positive().default(150),
+    })
+    .default({}),
+});
+
+const CONFIG_PATH = process.env.LANGUAGES_CONFIG
+  ? resolve(process.env.LANGUAGES_CONFIG)
+  : fileURLToPath(new URL("./config/languages.json", import.meta.url));
+
+// Parse once at startup so a broken config fails fast
+const LANGUAGES = z
+  .array(LanguageSchema)
+  .min(1)
+  .parse(JSON.parse(readFileSync(CONFIG_PATH, "utf8")));
+
+// Used wherever a request or stored session names no language: English when configured, as it was before the registry
+export const DEFAULT_LANGUAGE = LANGUAGES.find((lang) => lang.name === "English") || LANGUAGES[0];
+
+// Languages the evaluator can write its feedback in, for learners who can't read English feedback
+export const FEEDBACK_LANGUAGES = [
+  "English",
+  "Spanish",
+  "Chinese",
+  "French",
+  "Japanese",
+  "German",
+  "Portuguese",
+  "Italian",
+  "Korean",
+  "Arabic",
+  "Russian",
+  "Hindi",
+  "Vietnamese",
+  "Turkish",
+];
+
+/**
+ * Look up a language by name (case-insensitive), or null if it isn't configured.
+ */
+export function getLanguage(name) {
+  if (!name) return null;
+  const wanted = String(name).toLowerCase();
+  return LANGUAGES.find((lang) => lang.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Public view of the registry for the language picker.
+ */
+export function listLanguages() {
+  return LANGUAGES.map(({ name, nativeName, locale, metrics }) => ({
+    name,
+    nativeName,
+    locale,
+    metrics,
+  }));
+}
@@ -0,0 +1,164 @@
+// levelEstimator.js
+
+import { join } from "path";
+import { randomUUID } from "crypto";
+import { z } from "zod";
+import { DATA_DIR, readDocument, updateDocument, writeDocument } from "./fileStore.js";
+import { getProvider } from "./providers/index.js";
+import { measureConversation } from "./metrics.js";
+import { CEFR_LEVELS } from "./tools.js";
+import { completionUsage } from "./usage.js";
+
+/**
+ * Running level estimate used to adapt the interview's difficulty.
+ * The client asks for an estimate every few candidate turns; a small model
+ * reads the recent turns alongside the measured metrics for the whole
+ * conversation and returns a CEFR level plus the guidance the interviewer
+ * should follow at that level.
+ *
+ * Every estimate made during an interview is logged under
+ * DATA_DIR/level-estimates/<interviewId>.json, so the session's cost comes
+ * from the server's record rather than from what the client reports.
+ */
+const ESTIMATE_MODEL = "gpt-4o-mini";
+const LOGS_DIR = join(DATA_DIR, "level-estimates");
+const ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+// Only the latest turns are sent, so each estimate stays cheap as the session grows
+const RECENT_TURNS = 12;
+
+const LevelEstimateSchema = z.object({
+  level: z.enum(CEFR_LEVELS),
+  rationale: z.string().describe("One sentence on the evidence for this level"),
+});
+
+// What the interviewer should do at each band of levels
+const DIFFICULTY_BANDS = [
+  {
+    levels: ["Below A1", "A1", "A2"],
+    guidance:
+      "Keep to familiar, concrete topics (self, family, daily routine, shopping). Ask short, simple questions and speak slowly. Do not move on to abstract or hypothetical topics yet; if the current stage calls for them, approach them through simple, concrete questions.",
+  },
+  {
+    levels: ["B1", "B2"],
+    guidance:
+      "Ask about experiences, plans and opinions with reasons. Use follow-up questions that need connected sentences and past and future tenses. Introduce an abstract or hypothetical question and see how the candidate copes.",
+  },
+  {
+    levels: ["C1", "C2"],
+    guidance:
+      "Skip basic small talk. Discuss abstract, hypothetical and controversial topics; ask the candidate to argue, compare and speculate; use idiomatic language at natural speed and probe for precision and nuance.",
+  },
+];
+
+/**
+ * Interviewer guidance for a level, saying which way it moved since the previous estimate.
+ */
+export function difficultyGuidance(level, previousLevel = null) {
+  const band = DIFFICULTY_BANDS.find((b) => b.levels.includes(level)) || DIFFICULTY_BANDS[0];
+  const from = CEFR_LEVELS.indexOf(previousLevel);
+  const to = CEFR_LEVELS.indexOf(level);
+
+  const direction = from === -1 || from === to ? "hold" : to > from ? "up" : "down";
+  const change =
+    direction === "up"
+      ? `The candidate's estimated level has risen from ${previousLevel} to ${level}: raise the difficulty.`
+      : direction === "down"
+        ? `The candidate's estimated level has dropped from ${previousLevel} to ${level}: make your questions easier.`
+        : `The candidate's estimated level is ${level}.`;
+
+  return { direction, instructions: `${change}\n        ${band.guidance}` };
+}
+
+/**
+ * Start the estimate log for a new interview; resolves with its id.
+ */
+export async function openEstimateLog({ owner, mode }) {
+  const id = randomUUID();
+  await writeDocument(join(LOGS_DIR, `${id}.json`), {
+    id,
+    owner: owner || null,
+    mode,
+    estimates: [],
+    createdAt: new Date().toISOString(),
+  });
+  return id;
+}
+
+/**
+ * An interview's estimate log, or null if it's unknown or belongs to someone else.
+ */
+export async function getEstimateLog(id, owner) {
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) return null;
+  const log = await readDocument(join(LOGS_DIR, `${id}.json`));
+  return log && log.owner === (owner || null) ? log : null;
+}
+
+/**
+ * Hand an interview's estimates to the session saved from it. A log is consumed
+ * once, so no second session can copy its estimates and their cost.
+ * Resolves with the estimates, or null if the log is unknown, someone else's or already consumed.
+ */
+export async function consumeEstimateLog(id, owner) {
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) return null;
+  const log = await updateDocument(join(LOGS_DIR, `${id}.json`), (log) =>
+    log && log.owner === (owner || null) && !log.consumedAt
+      ? { ...log, consumedAt: new Date().toISOString() }
+      : null,
+  );
+  return log?.estimates ?? null;
+}
+
+/**
+ * Add an estimate ({ level, usage }) to an interview's log.
+ */
+export async function logEstimate(id, { level, usage }) {
+  return updateDocument(join(LOGS_DIR, `${id}.json`), (log) =>
+    log && { ...log, estimates: [...log.estimates, { level, usage, at: new Date().toISOString() }] },
+  );
+}
+
+/**
+ * Estimate the candidate's current level from the conversation so far.
+ */
+export async function estimateLevel({ conversation, language, previousLevel = null }) {
+  const metrics = language?.metrics;
+  const measured = measureConversation(conversation, { locale: language?.locale, metrics });
+
+  const { parsed, usage } = await getProvider().parseStructured({
+    model: ESTIMATE_MODEL,
+    messages: [
+      {
+        role: "system",
+        content: `You are estimating a candidate's current CEFR speaking level partway through an oral interview${
+          language ? ` in ${language.name}` : ""
+        }.
+            Judge only the candidate's turns: grammatical range and accuracy, vocabulary and how much they can say.
+            ${previousLevel ? `Your previous estimate was ${previousLevel}; only move it when the new turns give clear evidence.` : ""}`,
+      },
+      {
+        role: "user",
+        content: conversation
+          .slice(-RECENT_TURNS)
+          .map((c) => `[${c.role.toUpperCase()}]: ${c.text}`)
+          .join("\n"),
+      },
+      {
+        role: "user",
+        content: `MEASURED OVER THE WHOLE CONVERSATION:
+- mean response length: ${measured.average_response_length} ${measured.length_unit}
+- lexical diversity (MATTR): ${measured.lexical_diversity}
+- distinct lemmas: ${measured.distinct_lemmas}`,
+      },
+    ],
+    schema: LevelEstimateSchema,
+    schemaName: "level_estimate",
+  });
+
+  return {
+    level: parsed.level,
+    rationale: parsed.rationale,
+    ...difficultyGuidance(parsed.level, previousLevel),
+    usage: completionUsage(usage, ESTIMATE_MODEL),
+  };
+}
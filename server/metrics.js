@@ -0,0 +1,145 @@
+// metrics.js
+
+import snowball from "snowball-stemmers";
+
+/**
+ * Transcript metrics that can be measured directly instead of asked of the model.
+ * Everything here is deterministic: the same transcript always gives the same numbers.
+ */
+
+// Window for the moving-average type-token ratio (MATTR)
+const MATTR_WINDOW = 50;
+
+const stemmers = new Map();
+
+/**
+ * Snowball algorithms that can serve as lemmatizers (metrics.stemmer in languages.json)
+ */
+export const STEMMER_ALGORITHMS = snowball.algorithms();
+
+function stemmerFor(algorithm) {
+  if (!algorithm) return null;
+  if (!stemmers.has(algorithm)) {
+    stemmers.set(algorithm, snowball.newStemmer(algorithm));
+  }
+  return stemmers.get(algorithm);
+}
+
+/**
+ * Length of an utterance in the language's unit: whitespace-separated words,
+ * or letters/digits for scripts written without spaces (Chinese, Japanese).
+ */
+export function countLengthUnits(text, unit = "words") {
+  if (!text) return 0;
+  if (unit === "characters") {
+    return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+  }
+  return text.split(/\s+/).filter((token) => /[\p{L}\p{N}]/u.test(token)).length;
+}
+
+/**
+ * Split text into lower-cased word tokens for a locale.
+ * Intl.Segmenter uses dictionary segmentation for Chinese and Japanese,
+ * so unspaced scripts come out as words rather than single characters.
+ */
+export function tokenize(text, locale = "en") {
+  if (!text) return [];
+  const segmenter = new Intl.Segmenter(locale, { granularity: "word" });
+  return [...segmenter.segment(text)]
+    .filter((s) => s.isWordLike)
+    .map((s) => s.segment.toLocaleLowerCase(locale));
+}
+
+/**
+ * Approximate lemma for a token: its Snowball stem where the language has one,
+ * otherwise the token itself (Chinese has no inflection to strip).
+ */
+export function lemmatize(token, stemmer) {
+  const algorithm = stemmerFor(stemmer);
+  return algorithm ? algorithm.stem(token) : token;
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Moving-average type-token ratio: mean TTR over every window of MATTR_WINDOW tokens.
+ * Unlike plain TTR it doesn't fall just because the candidate spoke longer.
+ */
+function movingAverageTTR(tokens) {
+  if (tokens.length <= MATTR_WINDOW) {
+    return tokens.length ? new Set(tokens).size / tokens.length : 0;
+  }
+  let total = 0;
+  const windows = tokens.length - MATTR_WINDOW + 1;
+  for (let i = 0; i < windows; i++) {
+    total += new Set(tokens.slice(i, i + MATTR_WINDOW)).size / MATTR_WINDOW;
+  }
+  return total / windows;
+}
+
+/**
+ * Share (0-100) of interviewer turns the candidate answered before the interviewer
+ * spoke again. The interviewer's closing turn doesn't expect an answer.
+ */
+export function responseRate(conversation) {
+  let prompts = 0;
+  let answered = 0;
+  conversation.forEach((turn, i) => {
+    if (turn.role !== "assistant") return;
+    const rest = conversation.slice(i + 1);
+    if (!rest.length) return;
+    prompts++;
+    const reply = rest.find((t) => t.role === "assistant" || t.text.trim());
+    if (reply?.role === "user") answered++;
+  });
+  return prompts ? Math.round((answered / prompts) * 100) : 0;
+}
+
+/**
+ * Mean length of the candidate's turns, counted in the language's unit.
+ */
+export function averageResponseLength(conversation, unit = "words") {
+  const userTurns = conversation.filter((c) => c.role === "user");
+  if (!userTurns.length) return 0;
+
+  const total = userTurns.reduce((sum, turn) => sum + countLengthUnits(turn.text, unit), 0);
+  return round(total / userTurns.length);
+}
+
+/**
+ * Every quantitative measure for the candidate's side of a conversation.
+ * vocabulary_range (0-100) blends lexical diversity with how many distinct
+ * lemmas were used against the language's vocabularyTarget.
+ */
+export function measureConversation(conversation, { locale = "en", metrics }) {
+  const { lengthUnit = "words", stemmer, vocabularyTarget = 150 } = metrics || {};
+  const userTurns = conversation.filter((c) => c.role === "user");
+
+  const lengths = userTurns.map((turn) => countLengthUnits(turn.text, lengthUnit));
+  const tokens = userTurns.flatMap((turn) => tokenize(turn.text, locale));
+  const lemmas = new Set(tokens.map((token) => lemmatize(token, stemmer)));
+  const mattr = movingAverageTTR(tokens);
+
+  return {
+    response_rate: responseRate(conversation),
+    average_response_length: averageResponseLength(conversation, lengthUnit),
+    median_response_length: median(lengths),
+    length_unit: lengthUnit,
+    token_count: tokens.length,
+    type_token_ratio: tokens.length ? round(new Set(tokens).size / tokens.length, 3) : 0,
+    lexical_diversity: round(mattr, 3),
+    distinct_lemmas: lemmas.size,
+    // MATTR of 0.4 or less earns nothing and 0.8 earns full marks for the diversity half
+    vocabulary_range: Math.round(
+      100 * (0.5 * clamp01((mattr - 0.4) / 0.4) + 0.5 * clamp01(lemmas.size / vocabularyTarget)),
+    ),
+  };
+}
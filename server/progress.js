@@ -0,0 +1,123 @@
+// progress.js
+
+import { DEFAULT_RUBRIC_ID, describeRubric, getRubric } from "./rubrics/index.js";
+
+/**
+ * Multi-session progress data layer.
+ * Turns stored evaluations into per-language time series, level band changes
+ * and per-skill trends for the progress dashboard. Sessions graded with
+ * different rubrics are charted separately since their bands don't compare.
+ */
+
+/**
+ * Least-squares slope of values against their index (points gained per session).
+ */
+function slope(values) {
+  const n = values.length;
+  if (n < 2) return null;
+
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((y, x) => {
+    numerator += (x - meanX) * (y - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+
+  return numerator / denominator;
+}
+
+function rubricFor(session) {
+  return session.evaluation.rubric || describeRubric(getRubric(session.rubric || DEFAULT_RUBRIC_ID));
+}
+
+function toPoint(session, rubric) {
+  const { final_scores, skills } = session.evaluation;
+  const lowestLevel = rubric.levels[rubric.levels.length - 1].level;
+  return {
+    sessionId: session.id,
+    date: session.createdAt,
+    overallScore: final_scores?.overall_score ?? 0,
+    level: final_scores?.level ?? final_scores?.cefr_level ?? lowestLevel,
+    skills: Object.fromEntries(
+      rubric.skills.map(({ key }) => [key, skills?.[key]?.score ?? 0]),
+    ),
+  };
+}
+
+function buildLanguageProgress(language, rubric, sessions) {
+  // Oldest first so the series reads left to right
+  const points = sessions
+    .slice()
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+    .map((session) => toPoint(session, rubric));
+
+  // Rubric levels are listed highest first, so a lower index is a higher band
+  const rank = (level) => rubric.levels.length - rubric.levels.findIndex((l) => l.level === level);
+
+  // Mark every session where the learner moved into a higher band
+  const bandChanges = [];
+  for (let i = 1; i < points.length; i++) {
+    if (rank(points[i].level) > rank(points[i - 1].level)) {
+      bandChanges.push({
+        sessionId: points[i].sessionId,
+        date: points[i].date,
+        index: i,
+        from: points[i - 1].level,
+        to: points[i].level,
+      });
+    }
+  }
+
+  const skillTrends = Object.fromEntries(
+    rubric.skills.map(({ key }) => [key, slope(points.map((p) => p.skills[key]))]),
+  );
+
+  // Slowest-improving skill is the one with the smallest slope
+  let slowestSkill = null;
+  for (const [key, trend] of Object.entries(skillTrends)) {
+    if (trend === null) continue;
+    if (slowestSkill === null || trend < skillTrends[slowestSkill]) {
+      slowestSkill = key;
+    }
+  }
+
+  return {
+    language,
+    rubric,
+    points,
+    bandChanges,
+    skillTrends,
+    overallTrend: slope(points.map((p) => p.overallScore)),
+    slowestSkill,
+  };
+}
+
+/**
+ * Group evaluated sessions by language and rubric and build a progress series for each.
+ */
+export function buildProgress(sessions, { language } = {}) {
+  const groups = new Map();
+
+  for (const session of sessions) {
+    if (!session.evaluation) continue;
+    if (language && session.language !== language) continue;
+
+    const rubric = rubricFor(session);
+    const key = `${session.language}:${rubric.id}`;
+    if (!groups.has(key)) {
+      groups.set(key, { language: session.language, rubric, sessions: [] });
+    }
+    groups.get(key).sessions.push(session);
+  }
+
+  return [...groups.values()]
+    .map((group) => buildLanguageProgress(group.language, group.rubric, group.sessions))
+    .sort((a, b) =>
+      a.language === b.language
+        ? a.rubric.name.localeCompare(b.rubric.name)
+        : a.language.localeCompare(b.language),
+    );
+}
@@ -0,0 +1,7 @@
+// errors.js
+
+/**
+ * The model answered, but not with output that fits the requested schema
+ * (a refusal, or a reply cut short). Asking again usually works.
+ */
+export class StructuredOutputError extends Error {}
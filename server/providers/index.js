@@ -0,0 +1,19 @@
+// index.js
+
+import * as openai from "./openai.js";
+import * as mock from "./mock.js";
+
+/**
+ * Model provider selection.
+ * LLM_PROVIDER=mock runs the whole app offline against scripted, deterministic
+ * stand-ins; unset (the default) talks to api.openai.com.
+ */
+const PROVIDERS = { openai, mock };
+
+export function getProvider(providerName = process.env.LLM_PROVIDER || "openai") {
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER: ${providerName}`);
+  }
+  return provider;
+}
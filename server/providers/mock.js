@@ -0,0 +1,173 @@
+// mock.js
+
+import { randomUUID } from "crypto";
+import { buildMockScript } from "./mockScript.js";
+import { StructuredOutputError } from "./errors.js";
+
+/**
+ * Offline provider (LLM_PROVIDER=mock).
+ * Issues fake ephemeral tokens with a scripted Realtime conversation attached,
+ * and answers structured-output requests with deterministic values that
+ * satisfy whatever Zod schema was asked for.
+ */
+export const name = "mock";
+
+// Set MOCK_CONNECTION_DROP=<n> to drop the connection after candidate turn n (0-based)
+const DROP_AFTER_TURN = process.env.MOCK_CONNECTION_DROP ? Number(process.env.MOCK_CONNECTION_DROP) : null;
+
+// Set MOCK_EVALUATION_FAILURES=<n> to fail the first n evaluation calls, to exercise retries
+let evaluationFailures = Number(process.env.MOCK_EVALUATION_FAILURES) || 0;
+
+/**
+ * Fake ephemeral session; the client plays mock_script instead of opening WebRTC.
+ */
+export async function createRealtimeSession(config, { language, mode, resume } = {}) {
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      id: `sess_mock_${randomUUID()}`,
+      object: "realtime.session",
+      model: config.model,
+      voice: config.voice,
+      instructions: config.instructions,
+      tools: config.tools,
+      client_secret: {
+        value: `ek_mock_${randomUUID()}`,
+        expires_at: Math.floor(Date.now() / 1000) + 60,
+      },
+      mock_script: buildMockScript(language?.name, { mode, resume, dropAfterTurn: DROP_AFTER_TURN }),
+    },
+  };
+}
+
+/**
+ * Small seeded PRNG so the same input always yields the same evaluation.
+ */
+function createRandom(seedText) {
+  let seed = 0;
+  for (let i = 0; i < seedText.length; i++) {
+    seed = (Math.imul(31, seed) + seedText.charCodeAt(i)) | 0;
+  }
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function humanize(key) {
+  return key.replace(/_/g, " ");
+}
+
+/**
+ * Walk a Zod schema and produce a value that satisfies it.
+ * Numbers respect "Score from 0 to N" descriptions; others fall in 0-100.
+ */
+function generate(schema, random, key = "value") {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case "ZodObject":
+      return Object.fromEntries(
+        Object.entries(schema.shape).map(([childKey, child]) => [
+          childKey,
+          generate(child, random, childKey),
+        ]),
+      );
+    case "ZodArray":
+      return [1, 2].map((n) => {
+        const item = generate(def.type, random, key);
+        return typeof item === "string" ? `${item} ${n}` : item;
+      });
+    case "ZodString":
+      return `Mock ${humanize(key)}`;
+    case "ZodNumber": {
+      const range = /0 to (\d+)/.exec(schema.description || "");
+      const max = range ? Number(range[1]) : 100;
+      const isInt = def.checks.some((check) => check.kind === "int");
+      // Bias toward the middle of the range so mock results look plausible
+      const value = max * (0.4 + random() * 0.4);
+      return isInt ? Math.round(value) : Math.round(value * 10) / 10;
+    }
+    case "ZodBoolean":
+      return random() > 0.3;
+    case "ZodEnum":
+      return def.values[Math.floor(random() * def.values.length)];
+    case "ZodLiteral":
+      return def.value;
+    case "ZodOptional":
+    case "ZodNullable":
+    case "ZodDefault":
+      return generate(def.innerType, random, key);
+    case "ZodUnion":
+      return generate(def.options[0], random, key);
+    default:
+      throw new Error(`Mock provider cannot generate ${def.typeName}`);
+  }
+}
+
+// Pause between partial snapshots, so streamed progress can be watched offline
+const PARTIAL_DELAY_MS = 150;
+
+/**
+ * Reveal an object the way a streamed reply would: top-level fields in order,
+ * and the fields of nested objects one at a time.
+ */
+function partialSnapshots(value) {
+  const snapshots = [];
+  let snapshot = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field && typeof field === "object" && !Array.isArray(field)) {
+      snapshot = { ...snapshot, [key]: {} };
+      for (const [innerKey, innerField] of Object.entries(field)) {
+        snapshot = { ...snapshot, [key]: { ...snapshot[key], [innerKey]: innerField } };
+        snapshots.push(snapshot);
+      }
+    } else {
+      snapshot = { ...snapshot, [key]: field };
+      snapshots.push(snapshot);
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Deterministic stand-in for a structured-output chat completion.
+ */
+export async function parseStructured({ messages, schema, schemaName, onPartial }) {
+  if (schemaName === "language_evaluation" && evaluationFailures > 0) {
+    evaluationFailures--;
+    throw new StructuredOutputError("Mock evaluation failure");
+  }
+
+  const random = createRandom(JSON.stringify(messages));
+  const parsed = schema.parse(generate(schema, random));
+
+  if (onPartial) {
+    for (const snapshot of partialSnapshots(parsed)) {
+      await new Promise((resolve) => setTimeout(resolve, PARTIAL_DELAY_MS));
+      onPartial(snapshot);
+    }
+  }
+
+  const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+  const completionTokens = Math.ceil(JSON.stringify(parsed).length / 4);
+
+  return {
+    parsed,
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+  };
+}
+
+/**
+ * The mock's only failures are the simulated ones, and those are transient.
+ */
+export function isTransientError(err) {
+  return err instanceof StructuredOutputError;
+}
@@ -0,0 +1,292 @@
+// mockScript.js
+
+/**
+ * Scripted interview played by the mock Realtime transport.
+ * Produces the same data-channel events the Realtime API sends, each with
+ * the delay (ms) the client should wait before dispatching it.
+ */
+
+const LINES = {
+  Chinese: {
+    greeting:
+      "Hello! I'm your language proficiency evaluator. We'll be conducting a rigorous assessment of your Chinese skills through conversation. Are you ready to begin?",
+    turns: [
+      ["Yes, I'm ready.", "好的。请先介绍一下你自己。"],
+      ["我叫小明，我是学生。我住在北京。", "你每天的生活是怎么样的？"],
+      ["我每天早上七点起床，然后去学校上课。下午我去图书馆学习。", "你觉得网上学习比在教室学习好吗？为什么？"],
+      ["我觉得网上学习很方便，但是在教室学习更容易集中注意力。", "谢谢你，今天的面试到这里结束。"],
+    ],
+    error: { category: "grammar", utterance: "我是学生", correction: "我是一名学生" },
+  },
+  Spanish: {
+    greeting:
+      "Hello! I'm your language proficiency evaluator. We'll be conducting a rigorous assessment of your Spanish skills through conversation. Are you ready to begin?",
+    turns: [
+      ["Yes, I'm ready.", "Muy bien. Preséntese, por favor."],
+      ["Me llamo Ana y soy estudiante. Vivo en Madrid.", "¿Cómo es un día normal para usted?"],
+      ["Normalmente me levanto a las siete y voy a la universidad. Por la tarde estudio en la biblioteca.", "¿Cree que estudiar en línea es mejor que estudiar en clase? ¿Por qué?"],
+      ["Creo que estudiar en línea es más cómodo, pero en clase es más fácil concentrarse.", "Gracias, hemos terminado la entrevista."],
+    ],
+    error: { category: "grammar", utterance: "es más fácil concentrarse", correction: "es más fácil concentrarme" },
+  },
+  French: {
+    greeting:
+      "Hello! I'm your language proficiency evaluator. We'll be conducting a rigorous assessment of your French skills through conversation. Are you ready to begin?",
+    turns: [
+      ["Yes, I'm ready.", "Très bien. Présentez-vous, s'il vous plaît."],
+      ["Je m'appelle Paul et je suis étudiant. J'habite à Lyon.", "Comment se passe une journée typique pour vous ?"],
+      ["D'habitude je me lève à sept heures et je vais à l'université. L'après-midi j'étudie à la bibliothèque.", "Pensez-vous qu'étudier en ligne soit meilleur qu'en classe ? Pourquoi ?"],
+      ["Je pense qu'étudier en ligne est pratique, mais en classe c'est plus facile de se concentrer.", "Merci, l'entretien est terminé."],
+    ],
+    error: { category: "grammar", utterance: "je vais à l'université", correction: "je vais à la fac" },
+  },
+  Japanese: {
+    greeting:
+      "Hello! I'm your language proficiency evaluator. We'll be conducting a rigorous assessment of your Japanese skills through conversation. Are you ready to begin?",
+    turns: [
+      ["Yes, I'm ready.", "では、自己紹介をしてください。"],
+      ["私はケンです。学生です。東京に住んでいます。", "普段の一日はどうですか。"],
+      ["毎朝七時に起きて、大学に行きます。午後は図書館で勉強します。", "オンラインの授業と教室の授業、どちらがいいと思いますか。"],
+      ["オンラインは便利ですが、教室のほうが集中しやすいと思います。", "ありがとうございました。面接はこれで終わりです。"],
+    ],
+    error: { category: "vocabulary", utterance: "大学に行きます", correction: "大学へ通います" },
+  },
+  English: {
+    greeting:
+      "Hello! I'm your language proficiency evaluator. We'll be conducting a rigorous assessment of your English skills through conversation. Are you ready to begin?",
+    turns: [
+      ["Yes, I'm ready.", "Good. Please introduce yourself."],
+      ["My name is Lucía and I am student. I live in Valencia.", "What is a normal day like for you?"],
+      ["Usually I wake up at seven and I go to the university. In the afternoon I study in the library.", "Do you think studying online is better than studying in a classroom? Why?"],
+      ["I think studying online is more comfortable, but in a classroom it is easier to concentrate.", "Thank you, that is the end of the interview."],
+    ],
+    error: { category: "grammar", utterance: "I am student", correction: "I am a student" },
+  },
+};
+
+// Practice-mode script: one "how do I say..." question and one gentle correction per language
+const TUTOR_LINES = {
+  Chinese: {
+    greeting: "Hi! I'm your Chinese tutor. What would you like to talk about today?",
+    turns: [
+      ["How do I say 'weekend' in Chinese?", "“周末” (zhōumò). 比如：“周末你做什么？” 你试试？"],
+      ["周末我去公园玩。我昨天去了超市买东西了。", "很好！我们一般说：“我昨天去超市买东西了。” 你常常去超市吗？"],
+      ["我常常去超市，因为很近。", "太好了！今天你学得很好。"],
+    ],
+    vocabulary: { term: "周末", meaning: "weekend", example: "周末你做什么？" },
+    correction: {
+      utterance: "我昨天去了超市买东西了",
+      correction: "我昨天去超市买东西了",
+      explanation: "Use 了 once, at the end of the sentence.",
+    },
+  },
+  Spanish: {
+    greeting: "Hi! I'm your Spanish tutor. What would you like to talk about today?",
+    turns: [
+      ["How do I say 'weekend' in Spanish?", "«El fin de semana». Por ejemplo: «¿Qué haces el fin de semana?» ¿Lo intentas?"],
+      ["El fin de semana yo voy a la playa con mi amigos.", "¡Muy bien! Se dice «con mis amigos». ¿Y qué hacéis en la playa?"],
+      ["Nadamos y comemos paella.", "¡Qué bien! Hoy has practicado mucho."],
+    ],
+    vocabulary: { term: "el fin de semana", meaning: "the weekend", example: "¿Qué haces el fin de semana?" },
+    correction: {
+      utterance: "con mi amigos",
+      correction: "con mis amigos",
+      explanation: "The possessive agrees in number with the noun.",
+    },
+  },
+  French: {
+    greeting: "Hi! I'm your French tutor. What would you like to talk about today?",
+    turns: [
+      ["How do I say 'weekend' in French?", "« Le week-end ». Par exemple : « Qu'est-ce que tu fais le week-end ? » Tu essaies ?"],
+      ["Le week-end je vais à la plage avec mes amis et nous mangeons des glaces. C'est très bon !", "Très bien ! Et tu es allé à la plage le week-end dernier ?"],
+      ["Oui, je suis allé à la plage et j'ai nagé dans le mer.", "Presque ! On dit « dans la mer ». Bravo, tu as bien travaillé aujourd'hui."],
+    ],
+    vocabulary: { term: "le week-end", meaning: "the weekend", example: "Qu'est-ce que tu fais le week-end ?" },
+    correction: {
+      utterance: "dans le mer",
+      correction: "dans la mer",
+      explanation: "« Mer » is feminine.",
+    },
+  },
+  Japanese: {
+    greeting: "Hi! I'm your Japanese tutor. What would you like to talk about today?",
+    turns: [
+      ["How do I say 'weekend' in Japanese?", "「週末」（しゅうまつ）です。例えば「週末は何をしますか。」言ってみてください。"],
+      ["週末は友達と海に行きます。昨日は映画を見るました。", "いいですね！「映画を見ました」と言います。どんな映画でしたか。"],
+      ["とてもおもしろい映画でした。", "すばらしい！今日はよく練習しましたね。"],
+    ],
+    vocabulary: { term: "週末", meaning: "weekend", example: "週末は何をしますか。" },
+    correction: {
+      utterance: "映画を見るました",
+      correction: "映画を見ました",
+      explanation: "Add ました to the verb stem 見, not the dictionary form.",
+    },
+  },
+  English: {
+    greeting: "Hi! I'm your English tutor. What would you like to talk about today?",
+    turns: [
+      ["How do I say 'fin de semana' in English?", "\"The weekend\". For example: \"What do you do at the weekend?\" Can you try?"],
+      ["At the weekend I go to the beach with my friends. Yesterday I buyed an ice cream.", "Nice! We say \"I bought an ice cream\". What flavour was it?"],
+      ["It was chocolate, my favourite.", "Great! You practised a lot today."],
+    ],
+    vocabulary: { term: "the weekend", meaning: "fin de semana", example: "What do you do at the weekend?" },
+    correction: {
+      utterance: "I buyed",
+      correction: "I bought",
+      explanation: "\"Buy\" is irregular: the past tense is \"bought\".",
+    },
+  },
+};
+
+const STAGES_BY_TURN = ["basic_competency", "daily_scenarios", "abstract_discussion", "wrap_up"];
+const LEVEL_BY_TURN = [null, "A2", "B1", null];
+
+let counter = 0;
+const nextId = (prefix) => `${prefix}_mock${String(++counter).padStart(6, "0")}`;
+
+/**
+ * Usage block shaped like the one on a Realtime response.done event.
+ */
+function usageFor(text) {
+  const textTokens = Math.ceil(text.length / 4);
+  const audioTokens = textTokens * 5;
+  return {
+    total_tokens: 600 + textTokens + audioTokens,
+    input_tokens: 600,
+    output_tokens: textTokens + audioTokens,
+    input_token_details: { cached_tokens: 0, text_tokens: 500, audio_tokens: 100 },
+    output_token_details: { text_tokens: textTokens, audio_tokens: audioTokens },
+  };
+}
+
+function assistantTurn(transcript, toolCalls = []) {
+  const responseId = nextId("resp");
+  const itemId = nextId("item");
+  const events = [
+    { delayMs: 600, event: { type: "response.created", response: { id: responseId, status: "in_progress" } } },
+    { delayMs: 100, event: { type: "output_audio_buffer.started", response_id: responseId } },
+  ];
+
+  // Stream the transcript in a few chunks, like the real API does
+  const chunks = transcript.match(/.{1,24}/gsu) || [];
+  for (const delta of chunks) {
+    events.push({
+      delayMs: 150,
+      event: { type: "response.audio_transcript.delta", response_id: responseId, item_id: itemId, delta },
+    });
+  }
+  events.push({
+    delayMs: 150,
+    event: { type: "response.audio_transcript.done", response_id: responseId, item_id: itemId, transcript },
+  });
+
+  const output = [
+    { id: itemId, type: "message", role: "assistant", content: [{ type: "audio", transcript }] },
+  ];
+  for (const { name, args } of toolCalls) {
+    const callItemId = nextId("item");
+    const callId = nextId("call");
+    const argumentsJSON = JSON.stringify(args);
+    events.push({
+      delayMs: 100,
+      event: {
+        type: "response.function_call_arguments.done",
+        response_id: responseId,
+        item_id: callItemId,
+        call_id: callId,
+        name,
+        arguments: argumentsJSON,
+      },
+    });
+    output.push({ id: callItemId, type: "function_call", name, call_id: callId, arguments: argumentsJSON });
+  }
+
+  events.push({
+    delayMs: 100,
+    event: {
+      type: "response.done",
+      response: { id: responseId, status: "completed", output, usage: usageFor(transcript) },
+    },
+  });
+
+  // Audio is generated faster than it plays; playback ends roughly 60ms per character in
+  const streamedMs = events.slice(1).reduce((sum, { delayMs }) => sum + delayMs, 0);
+  events.push({
+    delayMs: Math.max(300, transcript.length * 60 - streamedMs),
+    event: { type: "output_audio_buffer.stopped", response_id: responseId },
+  });
+  return events;
+}
+
+function userTurn(transcript) {
+  const itemId = nextId("item");
+  const spokenMs = 1500 + transcript.length * 40;
+  return [
+    { delayMs: 1200, event: { type: "input_audio_buffer.speech_started", audio_start_ms: 0, item_id: itemId } },
+    { delayMs: spokenMs, event: { type: "input_audio_buffer.speech_stopped", audio_end_ms: spokenMs, item_id: itemId } },
+    { delayMs: 50, event: { type: "input_audio_buffer.committed", item_id: itemId } },
+    {
+      delayMs: 300,
+      event: {
+        type: "conversation.item.input_audio_transcription.completed",
+        item_id: itemId,
+        content_index: 0,
+        transcript,
+      },
+    },
+  ];
+}
+
+// Said by the interviewer when a dropped session is resumed
+const RESUME_LINE = "Sorry, we were cut off. Let's carry on from where we stopped.";
+
+function examToolCalls(lines, i) {
+  const toolCalls = [];
+  if (STAGES_BY_TURN[i]) toolCalls.push({ name: "advance_stage", args: { stage: STAGES_BY_TURN[i] } });
+  if (i === 2) toolCalls.push({ name: "record_error", args: lines.error });
+  if (LEVEL_BY_TURN[i]) toolCalls.push({ name: "update_level_estimate", args: { cefr: LEVEL_BY_TURN[i] } });
+  return toolCalls;
+}
+
+function tutorToolCalls(lines, i, userText) {
+  const toolCalls = [];
+  if (i === 0) toolCalls.push({ name: "save_vocabulary", args: lines.vocabulary });
+  if (userText.includes(lines.correction.utterance)) {
+    toolCalls.push({ name: "note_correction", args: lines.correction });
+  }
+  return toolCalls;
+}
+
+/**
+ * Build the full scripted event sequence for a language.
+ * The tutor mode plays a practice conversation with tutor tool calls instead of the exam.
+ * With dropAfterTurn the channel drops after that candidate turn (0-based), and a
+ * resumed session picks the script up again from the next turn.
+ */
+export function buildMockScript(languageName, { mode = "exam", dropAfterTurn = null, resume = false } = {}) {
+  const lines = mode === "tutor"
+    ? TUTOR_LINES[languageName] || TUTOR_LINES.Spanish
+    : LINES[languageName] || LINES.Spanish;
+  const toolCallsFor = mode === "tutor" ? tutorToolCalls : examToolCalls;
+
+  const dropping = dropAfterTurn !== null && dropAfterTurn < lines.turns.length - 1;
+  const from = resume ? (dropping ? dropAfterTurn + 1 : lines.turns.length) : 0;
+  const to = !resume && dropping ? dropAfterTurn + 1 : lines.turns.length;
+
+  const script = [...assistantTurn(resume ? RESUME_LINE : lines.greeting)];
+  for (let i = from; i < to; i++) {
+    const [userText, assistantText] = lines.turns[i];
+    script.push(...userTurn(userText));
+    script.push(...assistantTurn(assistantText, toolCallsFor(lines, i, userText)));
+  }
+  // Not a Realtime event: tells the mock channel to close as if the connection dropped
+  if (!resume && dropping) {
+    script.push({ delayMs: 2000, event: { type: "mock.connection_lost" } });
+  }
+
+  // Give every event an id in the server's "event_" namespace
+  return script.map(({ delayMs, event }) => ({
+    delayMs,
+    event: { event_id: nextId("event"), ...event },
+  }));
+}
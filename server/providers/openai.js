@@ -0,0 +1,81 @@
+// openai.js
+
+import OpenAI from "openai";
+import { zodResponseFormat } from "openai/helpers/zod";
+import { StructuredOutputError } from "./errors.js";
+
+/**
+ * Provider backed by the real OpenAI APIs.
+ */
+export const name = "openai";
+
+/**
+ * Mint an ephemeral Realtime session for the browser's WebRTC connection.
+ */
+export async function createRealtimeSession(config) {
+  const response = await fetch("https://api.openai.com/v1/realtime/sessions", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(config),
+  });
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    body: await response.json(),
+  };
+}
+
+/**
+ * Run a chat completion with a Zod structured-output schema.
+ * With onPartial, the reply is streamed and onPartial gets each partially parsed snapshot.
+ */
+export async function parseStructured({ model, messages, schema, schemaName, onPartial }) {
+  const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+  });
+
+  const request = {
+    model,
+    messages,
+    response_format: zodResponseFormat(schema, schemaName),
+  };
+  let completion;
+  if (onPartial) {
+    const stream = openai.beta.chat.completions.stream({
+      ...request,
+      stream_options: { include_usage: true },
+    });
+    stream.on("content.delta", ({ parsed }) => {
+      if (parsed) onPartial(parsed);
+    });
+    completion = await stream.finalChatCompletion();
+  } else {
+    completion = await openai.beta.chat.completions.parse(request);
+  }
+
+  const { parsed, refusal } = completion.choices[0].message;
+  if (!parsed) {
+    throw new StructuredOutputError(refusal || `No ${schemaName} in the model's reply`);
+  }
+
+  return {
+    parsed,
+    usage: completion.usage,
+  };
+}
+
+/**
+ * Whether a failed call is worth retrying: dropped connections, timeouts,
+ * rate limits and server errors.
+ */
+export function isTransientError(err) {
+  if (err instanceof OpenAI.APIConnectionError) return true;
+  if (err instanceof OpenAI.APIError) {
+    return [408, 409, 429].includes(err.status) || err.status >= 500;
+  }
+  return false;
+}
@@ -0,0 +1,333 @@
+// report.js
+
+import PDFDocument from "pdfkit";
+import { DEFAULT_RUBRIC_ID, describeRubric, getRubric } from "./rubrics/index.js";
+
+/**
+ * Formal evaluation report for a stored session, rendered as standalone
+ * HTML, Markdown or PDF. All three formats are built from the same
+ * report object so they never disagree.
+ */
+
+// Badge colors for the rubric level bands (same names as the client's LevelBadge)
+const LEVEL_COLORS = {
+  purple: { background: "#f3e8ff", text: "#6b21a8" },
+  blue: { background: "#dbeafe", text: "#1e40af" },
+  green: { background: "#dcfce7", text: "#166534" },
+  yellow: { background: "#fef9c3", text: "#854d0e" },
+  orange: { background: "#ffedd5", text: "#9a3412" },
+  red: { background: "#fee2e2", text: "#991b1b" },
+  gray: { background: "#f3f4f6", text: "#1f2937" },
+};
+
+const FEEDBACK_SECTIONS = [
+  ["major_weaknesses", "Major Weaknesses"],
+  ["required_improvements", "Required Improvements"],
+  ["study_recommendations", "Study Recommendations"],
+];
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}m ${String(seconds).padStart(2, "0")}s`;
+}
+
+/**
+ * Collect everything the report shows from a session record.
+ * Returns null if the session has not been evaluated yet.
+ */
+export function buildReport(session, { candidateName, certificate, verifyUrl } = {}) {
+  const evaluation = session.evaluation;
+  if (!evaluation) return null;
+
+  const rubric = evaluation.rubric || describeRubric(getRubric(session.rubric || DEFAULT_RUBRIC_ID));
+  const level = evaluation.final_scores.level ?? evaluation.final_scores.cefr_level;
+  const band = rubric.levels.find((l) => l.level === level);
+
+  return {
+    candidateName: candidateName || certificate?.candidateName || "Candidate",
+    language: session.language,
+    date: new Date(session.createdAt).toISOString().slice(0, 10),
+    duration: formatDuration(session.duration),
+    rubricName: rubric.name,
+    level,
+    levelColor: band?.color || "gray",
+    levelDescriptor: band?.descriptor || "",
+    overallScore: evaluation.final_scores.overall_score,
+    recommendedLevel: evaluation.final_scores.recommended_level,
+    skills: rubric.skills.map((skill) => ({
+      label: skill.label,
+      max: skill.max,
+      score: evaluation.skills?.[skill.key]?.score ?? 0,
+      criticalIssues: evaluation.skills?.[skill.key]?.critical_issues || [],
+      examples: evaluation.skills?.[skill.key]?.examples || [],
+    })),
+    topics: evaluation.conversation_depth?.topics_discussed || [],
+    feedback: FEEDBACK_SECTIONS.map(([key, title]) => ({
+      title,
+      items: evaluation.critical_feedback?.[key] || [],
+    })),
+    transcript: session.conversation,
+    verificationId: certificate?.id || null,
+    verifyUrl: verifyUrl || null,
+  };
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function htmlList(items) {
+  if (!items.length) return `<p class="muted">None</p>`;
+  return `<ul>${items.map((item) => `<li>${escapeHTML(item)}</li>`).join("")}</ul>`;
+}
+
+/**
+ * Standalone HTML page with inline styles, suitable for printing.
+ */
+export function renderReportHTML(report) {
+  const colors = LEVEL_COLORS[report.levelColor] || LEVEL_COLORS.gray;
+
+  const skills = report.skills
+    .map(
+      (skill) => `
+      <div class="skill">
+        <h3>${escapeHTML(skill.label)} <span class="score">${skill.score}/${skill.max}</span></h3>
+        <h4>Critical issues</h4>
+        ${htmlList(skill.criticalIssues)}
+        <h4>Examples</h4>
+        ${htmlList(skill.examples)}
+      </div>`,
+    )
+    .join("");
+
+  const feedback = report.feedback
+    .map((section) => `<h3>${section.title}</h3>${htmlList(section.items)}`)
+    .join("");
+
+  const transcript = report.transcript
+    .map(
+      (turn) =>
+        `<p class="turn"><strong>${turn.role === "user" ? "Candidate" : "Interviewer"}:</strong> ${escapeHTML(turn.text)}</p>`,
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(report.language)} Evaluation Report - ${escapeHTML(report.candidateName)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #111827; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+  h4 { margin: 0.5rem 0 0; font-size: 0.875rem; color: #4b5563; }
+  table.meta td { padding: 0.125rem 1rem 0.125rem 0; }
+  .badge { display: inline-block; padding: 0.25rem 0.75rem; border-radius: 9999px; font-weight: 600; background: ${colors.background}; color: ${colors.text}; }
+  .skill { margin-bottom: 1rem; }
+  .score { float: right; font-weight: normal; }
+  .muted { color: #6b7280; font-size: 0.875rem; }
+  .turn { margin: 0.25rem 0; }
+  .verification { margin-top: 2rem; font-size: 0.875rem; color: #4b5563; }
+</style>
+</head>
+<body>
+  <h1>Language Evaluation Report</h1>
+  <table class="meta">
+    <tr><td>Candidate</td><td><strong>${escapeHTML(report.candidateName)}</strong></td></tr>
+    <tr><td>Language</td><td>${escapeHTML(report.language)}</td></tr>
+    <tr><td>Date</td><td>${report.date}</td></tr>
+    <tr><td>Duration</td><td>${report.duration}</td></tr>
+    <tr><td>Rubric</td><td>${escapeHTML(report.rubricName)}</td></tr>
+  </table>
+
+  <h2>Result</h2>
+  <p><span class="badge">${escapeHTML(report.level)}</span> Overall score: <strong>${report.overallScore}/100</strong></p>
+  <p class="muted">${escapeHTML(report.levelDescriptor)}</p>
+  <p>Recommended level: ${escapeHTML(report.recommendedLevel)}</p>
+
+  <h2>Skills</h2>
+  ${skills}
+
+  <h2>Topics Discussed</h2>
+  ${htmlList(report.topics)}
+
+  <h2>Critical Feedback</h2>
+  ${feedback}
+
+  <h2>Transcript</h2>
+  ${transcript}
+  ${
+    report.verificationId
+      ? `<p class="verification">Verification ID: <strong>${report.verificationId}</strong>${
+          report.verifyUrl ? ` - verify at <a href="${escapeHTML(report.verifyUrl)}">${escapeHTML(report.verifyUrl)}</a>` : ""
+        }</p>`
+      : ""
+  }
+</body>
+</html>
+`;
+}
+
+function markdownList(items) {
+  return items.length ? items.map((item) => `- ${item}`).join("\n") : "_None_";
+}
+
+/**
+ * Markdown version of the report.
+ */
+export function renderReportMarkdown(report) {
+  const lines = [
+    "# Language Evaluation Report",
+    "",
+    `- **Candidate:** ${report.candidateName}`,
+    `- **Language:** ${report.language}`,
+    `- **Date:** ${report.date}`,
+    `- **Duration:** ${report.duration}`,
+    `- **Rubric:** ${report.rubricName}`,
+    "",
+    "## Result",
+    "",
+    `**${report.level}** - overall score ${report.overallScore}/100`,
+    "",
+    report.levelDescriptor ? `_${report.levelDescriptor}_` : "",
+    "",
+    `Recommended level: ${report.recommendedLevel}`,
+    "",
+    "## Skills",
+    "",
+  ];
+
+  for (const skill of report.skills) {
+    lines.push(
+      `### ${skill.label} (${skill.score}/${skill.max})`,
+      "",
+      "**Critical issues**",
+      "",
+      markdownList(skill.criticalIssues),
+      "",
+      "**Examples**",
+      "",
+      markdownList(skill.examples),
+      "",
+    );
+  }
+
+  lines.push("## Topics Discussed", "", markdownList(report.topics), "", "## Critical Feedback", "");
+  for (const section of report.feedback) {
+    lines.push(`### ${section.title}`, "", markdownList(section.items), "");
+  }
+
+  lines.push("## Transcript", "");
+  for (const turn of report.transcript) {
+    lines.push(`**${turn.role === "user" ? "Candidate" : "Interviewer"}:** ${turn.text}`, "");
+  }
+
+  if (report.verificationId) {
+    lines.push(
+      "---",
+      "",
+      `Verification ID: **${report.verificationId}**${report.verifyUrl ? ` - ${report.verifyUrl}` : ""}`,
+      "",
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * PDF version of the report. Resolves with the document as a Buffer.
+ * The built-in PDF fonts only cover Latin scripts; set REPORT_PDF_FONT to a
+ * TTF/OTF file (e.g. Noto Sans CJK) for Chinese or Japanese transcripts.
+ */
+export function renderReportPDF(report) {
+  return new Promise((resolvePDF, rejectPDF) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolvePDF(Buffer.concat(chunks)));
+    doc.on("error", rejectPDF);
+
+    if (process.env.REPORT_PDF_FONT) {
+      doc.registerFont("body", process.env.REPORT_PDF_FONT);
+      doc.registerFont("bold", process.env.REPORT_PDF_FONT);
+    } else {
+      doc.registerFont("body", "Helvetica");
+      doc.registerFont("bold", "Helvetica-Bold");
+    }
+
+    const heading = (text, size = 14) => {
+      doc.moveDown(0.8).font("bold").fontSize(size).text(text).moveDown(0.3);
+    };
+    const list = (items) => {
+      doc.font("body").fontSize(10);
+      if (!items.length) {
+        doc.fillColor("#6b7280").text("None").fillColor("black");
+        return;
+      }
+      doc.list(items, { bulletRadius: 1.5 });
+    };
+
+    doc.font("bold").fontSize(20).text("Language Evaluation Report");
+    doc.moveDown(0.5).font("body").fontSize(11);
+    doc.text(`Candidate: ${report.candidateName}`);
+    doc.text(`Language: ${report.language}`);
+    doc.text(`Date: ${report.date}`);
+    doc.text(`Duration: ${report.duration}`);
+    doc.text(`Rubric: ${report.rubricName}`);
+
+    heading("Result");
+    const colors = LEVEL_COLORS[report.levelColor] || LEVEL_COLORS.gray;
+    const badgeWidth = doc.font("bold").fontSize(12).widthOfString(report.level) + 20;
+    const { x, y } = doc;
+    doc.roundedRect(x, y, badgeWidth, 20, 10).fill(colors.background);
+    doc.fillColor(colors.text).text(report.level, x + 10, y + 5);
+    doc.fillColor("black").font("body").fontSize(11);
+    doc.text(`Overall score: ${report.overallScore}/100`, x, y + 28);
+    if (report.levelDescriptor) doc.fontSize(10).text(report.levelDescriptor);
+    doc.fontSize(11).text(`Recommended level: ${report.recommendedLevel}`);
+
+    heading("Skills");
+    for (const skill of report.skills) {
+      doc.font("bold").fontSize(12).text(`${skill.label}: ${skill.score}/${skill.max}`);
+      doc.font("body").fontSize(10).text("Critical issues:");
+      list(skill.criticalIssues);
+      doc.font("body").fontSize(10).text("Examples:");
+      list(skill.examples);
+      doc.moveDown(0.5);
+    }
+
+    heading("Topics Discussed");
+    list(report.topics);
+
+    heading("Critical Feedback");
+    for (const section of report.feedback) {
+      doc.font("bold").fontSize(11).text(section.title);
+      list(section.items);
+      doc.moveDown(0.3);
+    }
+
+    heading("Transcript");
+    for (const turn of report.transcript) {
+      doc
+        .font("bold")
+        .fontSize(10)
+        .text(`${turn.role === "user" ? "Candidate" : "Interviewer"}: `, { continued: true })
+        .font("body")
+        .text(turn.text);
+    }
+
+    if (report.verificationId) {
+      doc.moveDown(1).font("body").fontSize(9).fillColor("#4b5563");
+      doc.text(`Verification ID: ${report.verificationId}`);
+      if (report.verifyUrl) doc.text(`Verify at ${report.verifyUrl}`);
+    }
+
+    doc.end();
+  });
+}
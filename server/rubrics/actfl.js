@@ -0,0 +1,87 @@
+// actfl.js
+
+/**
+ * ACTFL Proficiency Guidelines, used for US programs.
+ */
+export default {
+  id: "actfl",
+  name: "ACTFL",
+  description: "ACTFL Proficiency Guidelines (Novice Low – Distinguished)",
+  languages: null,
+  skills: [
+    { key: "pronunciation", label: "Pronunciation", max: 20, weight: 0.15 },
+    { key: "grammar", label: "Grammar", max: 20, weight: 0.2 },
+    { key: "vocabulary", label: "Vocabulary", max: 20, weight: 0.2 },
+    { key: "fluency", label: "Fluency", max: 20, weight: 0.15 },
+    { key: "text_type", label: "Text Type", max: 20, weight: 0.15 },
+    { key: "listening_comprehension", label: "Listening", max: 20, weight: 0.15 },
+  ],
+  levels: [
+    {
+      level: "Distinguished",
+      min: 97,
+      color: "purple",
+      descriptor: "Uses the language skillfully, with accuracy, efficiency and effectiveness on any topic.",
+    },
+    {
+      level: "Superior",
+      min: 90,
+      color: "purple",
+      descriptor: "Communicates with accuracy and fluency in formal and informal settings; supports opinions and hypothesizes.",
+    },
+    {
+      level: "Advanced High",
+      min: 82,
+      color: "blue",
+      descriptor: "Performs Advanced tasks with ease and can partially sustain Superior-level discussion.",
+    },
+    {
+      level: "Advanced Mid",
+      min: 75,
+      color: "blue",
+      descriptor: "Narrates and describes in all major time frames in connected paragraphs.",
+    },
+    {
+      level: "Advanced Low",
+      min: 68,
+      color: "green",
+      descriptor: "Narrates and describes in major time frames with some control of aspect.",
+    },
+    {
+      level: "Intermediate High",
+      min: 60,
+      color: "green",
+      descriptor: "Handles uncomplicated tasks with ease; partially sustains Advanced-level functions.",
+    },
+    {
+      level: "Intermediate Mid",
+      min: 50,
+      color: "yellow",
+      descriptor: "Creates with language in a variety of uncomplicated, straightforward situations.",
+    },
+    {
+      level: "Intermediate Low",
+      min: 40,
+      color: "yellow",
+      descriptor: "Creates with language in a limited number of uncomplicated situations.",
+    },
+    {
+      level: "Novice High",
+      min: 28,
+      color: "orange",
+      descriptor: "Handles a variety of tasks at the Intermediate level but cannot sustain them.",
+    },
+    {
+      level: "Novice Mid",
+      min: 15,
+      color: "red",
+      descriptor: "Communicates minimally with isolated words and memorized phrases.",
+    },
+    {
+      level: "Novice Low",
+      min: 0,
+      color: "gray",
+      descriptor: "No real functional ability; may produce a few isolated words.",
+    },
+  ],
+};
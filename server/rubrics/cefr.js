@@ -0,0 +1,63 @@
+// cefr.js
+
+/**
+ * Common European Framework of Reference for Languages.
+ * The default rubric; its bands match the original cefr_minimums table.
+ */
+export default {
+  id: "cefr",
+  name: "CEFR",
+  description: "Common European Framework of Reference (A1–C2)",
+  languages: null,
+  skills: [
+    { key: "pronunciation", label: "Pronunciation", max: 20, weight: 0.2 },
+    { key: "grammar", label: "Grammar", max: 20, weight: 0.2 },
+    { key: "vocabulary", label: "Vocabulary", max: 20, weight: 0.2 },
+    { key: "fluency", label: "Fluency", max: 20, weight: 0.2 },
+    { key: "listening_comprehension", label: "Listening", max: 20, weight: 0.2 },
+  ],
+  levels: [
+    {
+      level: "C2",
+      min: 95,
+      color: "purple",
+      descriptor: "Mastery: expresses themselves spontaneously, very fluently and precisely.",
+    },
+    {
+      level: "C1",
+      min: 85,
+      color: "blue",
+      descriptor: "Effective operational proficiency: fluent, flexible use for social and professional purposes.",
+    },
+    {
+      level: "B2",
+      min: 70,
+      color: "green",
+      descriptor: "Vantage: interacts with fluency and spontaneity on a wide range of topics.",
+    },
+    {
+      level: "B1",
+      min: 55,
+      color: "yellow",
+      descriptor: "Threshold: handles familiar matters and can give reasons and explanations.",
+    },
+    {
+      level: "A2",
+      min: 35,
+      color: "orange",
+      descriptor: "Waystage: communicates in simple, routine tasks on familiar topics.",
+    },
+    {
+      level: "A1",
+      min: 15,
+      color: "red",
+      descriptor: "Breakthrough: uses familiar everyday expressions and very basic phrases.",
+    },
+    {
+      level: "Below A1",
+      min: 0,
+      color: "gray",
+      descriptor: "No reliable evidence of basic communicative ability yet.",
+    },
+  ],
+};
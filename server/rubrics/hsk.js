@@ -0,0 +1,64 @@
+// hsk.js
+
+/**
+ * HSK-style bands for Mandarin Chinese.
+ * Tones are scored separately from general pronunciation.
+ */
+export default {
+  id: "hsk",
+  name: "HSK",
+  description: "HSK-style bands for Chinese (HSK 1–6)",
+  languages: ["Chinese"],
+  skills: [
+    { key: "tones", label: "Tones", max: 20, weight: 0.15 },
+    { key: "pronunciation", label: "Pronunciation", max: 20, weight: 0.1 },
+    { key: "grammar", label: "Grammar", max: 20, weight: 0.2 },
+    { key: "vocabulary", label: "Vocabulary", max: 20, weight: 0.2 },
+    { key: "fluency", label: "Fluency", max: 20, weight: 0.15 },
+    { key: "listening_comprehension", label: "Listening", max: 20, weight: 0.2 },
+  ],
+  levels: [
+    {
+      level: "HSK 6",
+      min: 88,
+      color: "purple",
+      descriptor: "Understands and expresses complex ideas fluently, orally and in writing.",
+    },
+    {
+      level: "HSK 5",
+      min: 75,
+      color: "blue",
+      descriptor: "Discusses abstract and professional topics and gives full-length talks.",
+    },
+    {
+      level: "HSK 4",
+      min: 60,
+      color: "green",
+      descriptor: "Converses fluently with native speakers on a wide range of topics.",
+    },
+    {
+      level: "HSK 3",
+      min: 45,
+      color: "yellow",
+      descriptor: "Handles basic communication in daily, academic and professional life.",
+    },
+    {
+      level: "HSK 2",
+      min: 30,
+      color: "orange",
+      descriptor: "Communicates simply and directly on familiar daily topics.",
+    },
+    {
+      level: "HSK 1",
+      min: 15,
+      color: "red",
+      descriptor: "Understands and uses very simple words and phrases.",
+    },
+    {
+      level: "Below HSK 1",
+      min: 0,
+      color: "gray",
+      descriptor: "No reliable evidence of basic Chinese communication yet.",
+    },
+  ],
+};
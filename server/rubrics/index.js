@@ -0,0 +1,58 @@
+// index.js
+
+import cefr from "./cefr.js";
+import actfl from "./actfl.js";
+import hsk from "./hsk.js";
+import jlpt from "./jlpt.js";
+
+/**
+ * Rubric registry.
+ * Each rubric declares its skills (score range and weight) and its level bands
+ * (minimum overall score and descriptor). /finalEvaluation builds its
+ * structured-output schema and level mapping from the selected rubric.
+ */
+const RUBRICS = new Map([cefr, actfl, hsk, jlpt].map((rubric) => [rubric.id, rubric]));
+
+export const DEFAULT_RUBRIC_ID = "cefr";
+
+/**
+ * Look up a rubric by id, or undefined if there is none.
+ */
+export function getRubric(id) {
+  return RUBRICS.get(id);
+}
+
+// Rubrics without a language list apply to all
+const fitsLanguage = (rubric, language) => !language || !rubric.languages || rubric.languages.includes(language);
+
+/**
+ * Why a requested rubric can't grade a language, or null if it can.
+ * No id means the default rubric, which is always allowed.
+ */
+export function rubricProblem(id, language) {
+  if (!id) return null;
+  const rubric = RUBRICS.get(id);
+  if (!rubric) return `Unknown rubric: ${id}`;
+  if (!fitsLanguage(rubric, language)) return `The ${rubric.name} rubric can't grade ${language}`;
+  return null;
+}
+
+/**
+ * All rubrics usable for a language.
+ */
+export function listRubrics({ language } = {}) {
+  return [...RUBRICS.values()].filter((rubric) => fitsLanguage(rubric, language));
+}
+
+/**
+ * The parts of a rubric the client needs to render an evaluation.
+ * Stored on each evaluation so past results render without the registry.
+ */
+export function describeRubric(rubric) {
+  return {
+    id: rubric.id,
+    name: rubric.name,
+    skills: rubric.skills.map(({ key, label, max }) => ({ key, label, max })),
+    levels: rubric.levels.map(({ level, color, descriptor }) => ({ level, color, descriptor })),
+  };
+}
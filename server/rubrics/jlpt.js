@@ -0,0 +1,58 @@
+// jlpt.js
+
+/**
+ * JLPT-style bands for Japanese.
+ * Adds a register skill for appropriate use of polite and honorific forms.
+ */
+export default {
+  id: "jlpt",
+  name: "JLPT",
+  description: "JLPT-style bands for Japanese (N5–N1)",
+  languages: ["Japanese"],
+  skills: [
+    { key: "pronunciation", label: "Pronunciation", max: 20, weight: 0.15 },
+    { key: "grammar", label: "Grammar", max: 20, weight: 0.2 },
+    { key: "vocabulary", label: "Vocabulary", max: 20, weight: 0.2 },
+    { key: "register", label: "Politeness & Register", max: 20, weight: 0.1 },
+    { key: "fluency", label: "Fluency", max: 20, weight: 0.15 },
+    { key: "listening_comprehension", label: "Listening", max: 20, weight: 0.2 },
+  ],
+  levels: [
+    {
+      level: "N1",
+      min: 88,
+      color: "purple",
+      descriptor: "Understands Japanese used in a variety of circumstances.",
+    },
+    {
+      level: "N2",
+      min: 75,
+      color: "blue",
+      descriptor: "Understands everyday Japanese and, to a certain degree, Japanese in a variety of circumstances.",
+    },
+    {
+      level: "N3",
+      min: 60,
+      color: "green",
+      descriptor: "Understands Japanese used in everyday situations to a certain degree.",
+    },
+    {
+      level: "N4",
+      min: 45,
+      color: "yellow",
+      descriptor: "Understands basic Japanese.",
+    },
+    {
+      level: "N5",
+      min: 30,
+      color: "orange",
+      descriptor: "Understands some basic Japanese.",
+    },
+    {
+      level: "Below N5",
+      min: 0,
+      color: "gray",
+      descriptor: "No reliable evidence of basic Japanese communication yet.",
+    },
+  ],
+};
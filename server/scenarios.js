@@ -0,0 +1,78 @@
+// scenarios.js
+
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { fileURLToPath } from "url";
+import { z } from "zod";
+
+/**
+ * Role-play scenario library.
+ * Scenarios are defined in config/scenarios.json (or the file named by
+ * SCENARIOS_CONFIG). Each one sets the scene and the interviewer's role for
+ * the Realtime session, and lists the candidate's goals and success criteria
+ * that the evaluation grades as task completion.
+ */
+const ScenarioSchema = z.object({
+  id: z.string().regex(/^[a-z0-9_-]+$/),
+  title: z.string(),
+  setting: z.string(),
+  interviewerRole: z.string(),
+  candidateGoals: z.array(z.string()).min(1),
+  // Concepts the candidate should need; given in English so one scenario serves every language
+  targetVocabulary: z.array(z.string()).default([]),
+  successCriteria: z.array(z.string()).min(1),
+  // Limit a scenario to some target languages; omit for all
+  languages: z.array(z.string()).optional(),
+});
+
+const CONFIG_PATH = process.env.SCENARIOS_CONFIG
+  ? resolve(process.env.SCENARIOS_CONFIG)
+  : fileURLToPath(new URL("./config/scenarios.json", import.meta.url));
+
+// Parse once at startup so a broken config fails fast
+const SCENARIOS = z
+  .array(ScenarioSchema)
+  .refine((list) => new Set(list.map((s) => s.id)).size === list.length, "scenario ids must be unique")
+  .parse(JSON.parse(readFileSync(CONFIG_PATH, "utf8")));
+
+/**
+ * Look up a scenario by id, or null if it isn't configured.
+ */
+export function getScenario(id) {
+  return SCENARIOS.find((scenario) => scenario.id === id) || null;
+}
+
+/**
+ * Scenarios usable for a language, for the scenario picker.
+ */
+export function listScenarios({ language } = {}) {
+  return SCENARIOS.filter(
+    (scenario) => !language || !scenario.languages || scenario.languages.includes(language),
+  ).map(({ id, title, setting, candidateGoals }) => ({ id, title, setting, candidateGoals }));
+}
+
+/**
+ * The part of a scenario stored with a session and its evaluation.
+ */
+export function describeScenario(scenario) {
+  return { id: scenario.id, title: scenario.title, candidateGoals: scenario.candidateGoals };
+}
+
+/**
+ * Role-play brief appended to the Realtime instructions.
+ */
+export function scenarioInstructions(scenario, language) {
+  return `
+
+        ROLE-PLAY SCENARIO: ${scenario.title}
+        Setting: ${scenario.setting}
+        Your role: ${scenario.interviewerRole}
+        After the introduction, stay in this role and run the conversation inside the scenario, in ${language.name}.
+        The candidate's goals (do not read them out; create the situations that let them pursue each one):
+        ${scenario.candidateGoals.map((goal) => `- ${goal}`).join("\n        ")}${
+          scenario.targetVocabulary.length
+            ? `\n        Steer the conversation so the candidate needs these words in ${language.name}: ${scenario.targetVocabulary.join(", ")}`
+            : ""
+        }
+        Do not achieve the goals for the candidate.`;
+}
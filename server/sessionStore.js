@@ -0,0 +1,258 @@
+// sessionStore.js
+
+import { mkdir, readFile, readdir, writeFile, rename } from "fs/promises";
+import { join } from "path";
+import { randomBytes, randomUUID } from "crypto";
+import { DATA_DIR, readDocument, updateDocument, writeDocument } from "./fileStore.js";
+import { DEFAULT_LANGUAGE } from "./languages.js";
+
+/**
+ * File-backed session store.
+ * Each session is kept as one JSON document under DATA_DIR/sessions/<id>.json
+ * so a past attempt can be reopened after a reload or server restart.
+ */
+const SESSIONS_DIR = join(DATA_DIR, "sessions");
+const CERTIFICATES_DIR = join(DATA_DIR, "certificates");
+const RECORDINGS_DIR = join(DATA_DIR, "recordings");
+
+// Audio tracks kept per session: the candidate's mic and the interviewer's voice
+export const RECORDING_TRACKS = ["mic", "assistant"];
+
+const ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+async function ensureDir() {
+  await mkdir(SESSIONS_DIR, { recursive: true });
+}
+
+function sessionPath(id) {
+  if (!ID_PATTERN.test(id)) {
+    throw new Error(`Invalid session id: ${id}`);
+  }
+  return join(SESSIONS_DIR, `${id}.json`);
+}
+
+function certificatePath(id) {
+  if (!ID_PATTERN.test(id)) {
+    throw new Error(`Invalid certificate id: ${id}`);
+  }
+  return join(CERTIFICATES_DIR, `${id}.json`);
+}
+
+async function writeSession(session) {
+  return writeDocument(sessionPath(session.id), session);
+}
+
+/**
+ * Create a new session record from what the client collected during the interview.
+ * owner is the signed-in user's name, or null when accounts are turned off.
+ * mode is "exam" for a graded interview or "tutor" for a practice conversation;
+ * scenario is the id of the role-play scenario, if one was chosen.
+ */
+export async function createSession({
+  owner,
+  mode,
+  language,
+  rubric,
+  scenario,
+  duration,
+  conversation,
+  events,
+  liveAssessment,
+  stageProgress,
+  importedFrom,
+  recordingConsent,
+  fluency,
+  practiceLog,
+  adaptiveDifficulty,
+  levelEstimates,
+  usage,
+}) {
+  const now = new Date().toISOString();
+  const session = {
+    id: randomUUID(),
+    owner: owner || null,
+    mode: mode || "exam",
+    language: language || DEFAULT_LANGUAGE.name,
+    rubric: rubric || "cefr",
+    scenario: scenario || null,
+    duration: Number(duration) || 0,
+    conversation: conversation || [],
+    events: events || [],
+    liveAssessment: liveAssessment || null,
+    stageProgress: stageProgress || null,
+    importedFrom: importedFrom || null,
+    recordingConsent: recordingConsent || null,
+    fluency: fluency || null,
+    practiceLog: practiceLog || null,
+    adaptiveDifficulty: adaptiveDifficulty || null,
+    levelEstimates: levelEstimates || [],
+    usage: usage || null,
+    recordings: {},
+    evaluation: null,
+    evaluationError: null,
+    practiceSummary: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  return writeSession(session);
+}
+
+/**
+ * Load a full session (including transcript and raw events), or null if unknown.
+ */
+export async function getSession(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  return readDocument(sessionPath(id));
+}
+
+/**
+ * Merge a partial update into an existing session. patch can also be a function
+ * of the stored session, for updates that build on its current contents.
+ */
+export async function updateSession(id, patch) {
+  if (!ID_PATTERN.test(id)) return null;
+  return updateDocument(sessionPath(id), (session) =>
+    session
+      ? {
+          ...session,
+          ...(typeof patch === "function" ? patch(session) : patch),
+          id: session.id,
+          updatedAt: new Date().toISOString(),
+        }
+      : null,
+  );
+}
+
+/**
+ * Lightweight summary used by the history list; omits the heavy event log.
+ */
+function summarize(session) {
+  return {
+    id: session.id,
+    mode: session.mode || "exam",
+    language: session.language,
+    rubric: session.rubric || "cefr",
+    scenario: session.scenario || null,
+    duration: session.duration,
+    createdAt: session.createdAt,
+    turnCount: session.conversation.length,
+    overallScore: session.evaluation?.final_scores?.overall_score ?? null,
+    level:
+      session.evaluation?.final_scores?.level ??
+      session.evaluation?.final_scores?.cefr_level ??
+      null,
+    status: session.evaluation
+      ? "evaluated"
+      : session.practiceSummary
+        ? "summarized"
+        : session.evaluationError
+          ? "failed"
+          : "pending",
+  };
+}
+
+/**
+ * Load every stored session record in full, newest first.
+ * Pass owner to only get that user's sessions.
+ */
+export async function listSessionRecords({ owner } = {}) {
+  await ensureDir();
+  const files = (await readdir(SESSIONS_DIR)).filter((f) => f.endsWith(".json"));
+
+  const sessions = [];
+  for (const file of files) {
+    const session = await getSession(file.slice(0, -".json".length));
+    if (session && (owner === undefined || session.owner === owner)) sessions.push(session);
+  }
+
+  return sessions.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/**
+ * List stored sessions as summaries, newest first.
+ */
+export async function listSessions(filter) {
+  return (await listSessionRecords(filter)).map(summarize);
+}
+
+function recordingPath(id, track) {
+  if (!RECORDING_TRACKS.includes(track)) {
+    throw new Error(`Invalid recording track: ${track}`);
+  }
+  sessionPath(id); // validates the id
+  return join(RECORDINGS_DIR, id, track);
+}
+
+/**
+ * Store one audio track for a session and note it on the session record.
+ * startedAt is the client clock time the recorder started, used to line
+ * the audio up with event timestamps.
+ */
+export async function saveRecording(id, track, { data, contentType, startedAt }) {
+  const session = await getSession(id);
+  if (!session) return null;
+
+  const target = recordingPath(id, track);
+  await mkdir(join(RECORDINGS_DIR, id), { recursive: true });
+  const tmp = `${target}.${randomUUID()}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, target);
+
+  // Merge into the recordings as stored now; the other track may have been saved meanwhile
+  return updateSession(id, (current) => ({
+    recordings: {
+      ...current.recordings,
+      [track]: { contentType, startedAt, size: data.length },
+    },
+  }));
+}
+
+/**
+ * Read a stored audio track, or null if it was never uploaded.
+ */
+export async function getRecording(id, track) {
+  try {
+    return await readFile(recordingPath(id, track));
+  } catch (err) {
+    if (
+      err.code === "ENOENT" ||
+      err.message.startsWith("Invalid session id") ||
+      err.message.startsWith("Invalid recording track")
+    ) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Issue a certificate for an evaluated session.
+ * The record is a snapshot, so later re-evaluations don't change what was certified.
+ */
+export async function createCertificate(session, candidateName) {
+  // Short, readable id that can be typed in from a printed report: XXXX-XXXX-XXXX
+  const id = randomBytes(6).toString("hex").toUpperCase().match(/.{4}/g).join("-");
+  const finalScores = session.evaluation.final_scores;
+  const level = finalScores.level ?? finalScores.cefr_level;
+
+  return writeDocument(certificatePath(id), {
+    id,
+    sessionId: session.id,
+    candidateName,
+    language: session.language,
+    rubric: session.evaluation.rubric?.name || session.rubric,
+    level,
+    levelColor: session.evaluation.rubric?.levels.find((l) => l.level === level)?.color || "gray",
+    overallScore: finalScores.overall_score,
+    sessionDate: session.createdAt,
+    issuedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Look up a certificate by its verification id, or null if unknown.
+ */
+export async function getCertificate(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  return readDocument(certificatePath(id));
+}
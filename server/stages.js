@@ -0,0 +1,98 @@
+// stages.js
+
+/**
+ * Structured definition of the oral proficiency interview.
+ * The interviewer works through these stages in order; the client tracks
+ * progress against minTurns / timeBudgetSeconds and the final evaluation
+ * reports which stages were actually completed.
+ */
+export const INTERVIEW_STAGES = [
+  {
+    id: "basic_competency",
+    name: "Basic competency check",
+    goals: ["Greetings", "Simple personal information"],
+    minTurns: 2,
+    timeBudgetSeconds: 60,
+    instructions:
+      "Check basic competency: greetings and simple personal information (name, origin, family). Use short, simple questions.",
+  },
+  {
+    id: "daily_scenarios",
+    name: "Daily scenarios",
+    goals: ["Work or study", "Daily routines"],
+    minTurns: 3,
+    timeBudgetSeconds: 90,
+    instructions:
+      "Discuss daily scenarios: work, study and routines. Ask for descriptions and sequences of events.",
+  },
+  {
+    id: "abstract_discussion",
+    name: "Abstract discussion",
+    goals: ["Opinions", "Hypotheticals"],
+    minTurns: 3,
+    timeBudgetSeconds: 120,
+    instructions:
+      "Move to abstract discussion: ask for opinions, justifications and hypothetical situations.",
+  },
+  {
+    id: "complex_topics",
+    name: "Complex topics",
+    goals: ["Current events", "Specialized fields"],
+    minTurns: 3,
+    timeBudgetSeconds: 120,
+    instructions:
+      "Challenge the candidate with complex topics: current events or their specialized field. Push for detailed, nuanced answers.",
+  },
+  {
+    id: "wrap_up",
+    name: "Brief wrap-up",
+    goals: ["Close the interview"],
+    minTurns: 1,
+    timeBudgetSeconds: 30,
+    instructions:
+      "Wrap up briefly: thank the candidate and close the interview. Do not introduce new topics.",
+  },
+];
+
+export const STAGE_IDS = INTERVIEW_STAGES.map((stage) => stage.id);
+
+/**
+ * Prose version of the stage list for the interviewer's base instructions.
+ */
+export function describeStages() {
+  return INTERVIEW_STAGES.map(
+    (stage, i) => `${i + 1}. ${stage.name} (${stage.goals.join(", ").toLowerCase()})`,
+  ).join("\n        ");
+}
+
+/**
+ * Check the client's reported stage progress against the definitions.
+ * A stage counts as completed only if it was entered and reached its minimum turns.
+ */
+export function assessStageCoverage(stageProgress) {
+  const reported = new Map((stageProgress || []).map((s) => [s.id, s]));
+
+  const stages = INTERVIEW_STAGES.map((stage) => {
+    const progress = reported.get(stage.id);
+    const userTurns = Number(progress?.userTurns) || 0;
+    return {
+      id: stage.id,
+      name: stage.name,
+      entered: Boolean(progress?.entered),
+      userTurns,
+      minTurns: stage.minTurns,
+      durationSeconds: Math.round(Number(progress?.durationSeconds) || 0),
+      completed: Boolean(progress?.entered) && userTurns >= stage.minTurns,
+    };
+  });
+
+  const completed = stages.filter((s) => s.completed).map((s) => s.id);
+  const incomplete = stages.filter((s) => !s.completed).map((s) => s.id);
+
+  return {
+    stages,
+    completed,
+    incomplete,
+    all_completed: incomplete.length === 0,
+  };
+}
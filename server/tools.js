@@ -0,0 +1,88 @@
+// tools.js
+
+import { STAGE_IDS } from "./stages.js";
+
+/**
+ * Function-calling tools registered on the Realtime interviewer session.
+ * The interviewer calls these while it talks so the client can keep a live
+ * assessment (error log, current stage, running level estimate).
+ */
+
+export const ERROR_CATEGORIES = [
+  "grammar",
+  "vocabulary",
+  "pronunciation",
+  "fluency",
+  "listening_comprehension",
+];
+
+export const CEFR_LEVELS = ["Below A1", "A1", "A2", "B1", "B2", "C1", "C2"];
+
+export const INTERVIEWER_TOOLS = [
+  {
+    type: "function",
+    name: "record_error",
+    description:
+      "Record a mistake the candidate just made. Call this silently every time you notice an error; do not mention it to the candidate.",
+    parameters: {
+      type: "object",
+      properties: {
+        category: {
+          type: "string",
+          enum: ERROR_CATEGORIES,
+          description: "Which skill the error belongs to",
+        },
+        utterance: {
+          type: "string",
+          description: "The candidate's words containing the error, quoted as spoken",
+        },
+        correction: {
+          type: "string",
+          description: "The corrected form in the target language",
+        },
+      },
+      required: ["category", "utterance", "correction"],
+    },
+  },
+  {
+    type: "function",
+    name: "advance_stage",
+    description:
+      "Call this when you move the interview on to the next evaluation stage.",
+    parameters: {
+      type: "object",
+      properties: {
+        stage: {
+          type: "string",
+          enum: STAGE_IDS,
+          description: "The stage you are starting now",
+        },
+      },
+      required: ["stage"],
+    },
+  },
+  {
+    type: "function",
+    name: "update_level_estimate",
+    description:
+      "Update your running estimate of the candidate's CEFR level whenever the evidence changes it.",
+    parameters: {
+      type: "object",
+      properties: {
+        cefr: {
+          type: "string",
+          enum: CEFR_LEVELS,
+          description: "Current best estimate of the candidate's level",
+        },
+      },
+      required: ["cefr"],
+    },
+  },
+];
+
+export const TOOL_INSTRUCTIONS = `
+        ASSESSMENT TOOLS:
+        - Call record_error silently for every mistake the candidate makes
+        - Call advance_stage each time you begin a new evaluation stage (${STAGE_IDS.join(", ")})
+        - Call update_level_estimate whenever your estimate of the candidate's CEFR level changes
+        - Never read tool results aloud; keep the conversation going naturally`;
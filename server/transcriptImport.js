@@ -0,0 +1,212 @@
+// transcriptImport.js
+
+import { z } from "zod";
+import { LiveAssessmentSchema, StageProgressSchema, TurnSchema } from "./evaluation.js";
+
+/**
+ * Export and import of stored sessions.
+ * Import accepts our own JSON / JSONL exports, a raw Realtime event log
+ * (JSON array or JSONL), or a plain "[ROLE]: text" transcript.
+ */
+
+export const EXPORT_FORMAT = "language-evaluation-session";
+
+export class ImportError extends Error {}
+
+const TRANSCRIPT_EVENTS = {
+  "conversation.item.input_audio_transcription.completed": "user",
+  "response.audio_transcript.done": "assistant",
+};
+
+/**
+ * Same turns as the client's buildTextConversation: final user and
+ * assistant audio transcripts, in chronological order.
+ */
+export function conversationFromEvents(events) {
+  const conversation = [];
+  for (const ev of events) {
+    const role = TRANSCRIPT_EVENTS[ev.type];
+    if (!role) continue;
+    if (typeof ev.transcript !== "string") {
+      throw new ImportError(`A ${ev.type} event has no transcript`);
+    }
+    conversation.push({ role, text: ev.transcript.trim() });
+  }
+  return conversation;
+}
+
+function metadataOf(session) {
+  return {
+    language: session.language,
+    rubric: session.rubric,
+    scenario: session.scenario,
+    duration: session.duration,
+    createdAt: session.createdAt,
+  };
+}
+
+/**
+ * Full session as a single JSON document.
+ */
+export function exportSessionJSON(session) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: 1,
+      ...metadataOf(session),
+      conversation: session.conversation,
+      events: session.events,
+      liveAssessment: session.liveAssessment,
+      stageProgress: session.stageProgress,
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Session as JSONL: a header line, one line per turn, then one line per raw event.
+ */
+export function exportSessionJSONL(session) {
+  const lines = [
+    {
+      type: "session",
+      format: EXPORT_FORMAT,
+      version: 1,
+      ...metadataOf(session),
+      liveAssessment: session.liveAssessment,
+      stageProgress: session.stageProgress,
+    },
+    ...session.conversation.map((turn) => ({ type: "turn", ...turn })),
+    ...session.events.map((event) => ({ type: "event", event })),
+  ];
+  return lines.map((line) => JSON.stringify(line)).join("\n") + "\n";
+}
+
+const isTurn = (item) => item && typeof item.role === "string" && typeof item.text === "string";
+const isEvent = (item) => item && typeof item.type === "string";
+
+// Metadata an export carries into the new session; unknown fields are dropped
+const ExportMetadataSchema = z.object({
+  language: z.string().nullish(),
+  rubric: z.string().nullish(),
+  scenario: z.string().nullish(),
+  duration: z.number().nonnegative().nullish(),
+  liveAssessment: LiveAssessmentSchema.nullish(),
+  stageProgress: StageProgressSchema.nullish(),
+});
+
+function checked(schema, value, field) {
+  const result = schema.safeParse(value);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    const path = [field, ...issue.path].filter((part) => part !== undefined).join(".");
+    throw new ImportError(`Invalid ${path || "session"} in the uploaded file: ${issue.message}`);
+  }
+  return result.data;
+}
+
+// Turns and events inside a recognized export must all be well formed
+function checkedTurns(items) {
+  return checked(z.array(TurnSchema), items, "conversation");
+}
+
+function checkedEvents(items) {
+  if (!items.every(isEvent)) {
+    throw new ImportError("Every event in the event log needs a type");
+  }
+  return items;
+}
+
+function fromArray(items) {
+  if (items.every(isTurn)) {
+    return { conversation: checkedTurns(items), events: [] };
+  }
+  if (items.every(isEvent)) {
+    return { conversation: conversationFromEvents(items), events: items };
+  }
+  return null;
+}
+
+function fromDocument(doc) {
+  if (Array.isArray(doc)) return fromArray(doc);
+
+  if (doc && Array.isArray(doc.conversation)) {
+    return {
+      conversation: checkedTurns(doc.conversation),
+      events: Array.isArray(doc.events) ? checkedEvents(doc.events) : [],
+      ...checked(ExportMetadataSchema, doc),
+    };
+  }
+  if (doc && Array.isArray(doc.events)) {
+    const events = checkedEvents(doc.events);
+    return { conversation: conversationFromEvents(events), events };
+  }
+  return null;
+}
+
+function fromJSONL(lines) {
+  const [first, ...rest] = lines;
+
+  // Our own export: header, turns, events
+  if (first?.type === "session" && first.format === EXPORT_FORMAT) {
+    return {
+      conversation: checkedTurns(rest.filter((l) => l?.type === "turn")),
+      events: checkedEvents(rest.filter((l) => l?.type === "event").map((l) => l.event)),
+      ...checked(ExportMetadataSchema, first),
+    };
+  }
+
+  return fromArray(lines);
+}
+
+function fromPlainText(content) {
+  const conversation = [];
+  for (const line of content.split(/\r?\n/)) {
+    const match = /^\s*\[(USER|ASSISTANT)\]\s*:\s*(.*)$/i.exec(line);
+    if (match) {
+      conversation.push({ role: match[1].toLowerCase(), text: match[2].trim() });
+    } else if (line.trim() && conversation.length) {
+      // Continuation of a multi-line turn
+      conversation[conversation.length - 1].text += `\n${line.trim()}`;
+    }
+  }
+  return conversation.length ? { conversation, events: [] } : null;
+}
+
+function tryParseJSON(text) {
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect the format of an uploaded file and extract a transcript plus any metadata.
+ */
+export function parseImport(content) {
+  if (typeof content !== "string" || !content.trim()) {
+    throw new ImportError("The uploaded file is empty");
+  }
+
+  let result = null;
+
+  const whole = tryParseJSON(content);
+  if (whole) {
+    result = fromDocument(whole.value);
+  } else {
+    const lines = content.split(/\r?\n/).filter((line) => line.trim());
+    const parsed = lines.map(tryParseJSON);
+    result = parsed.every(Boolean)
+      ? fromJSONL(parsed.map((p) => p.value))
+      : fromPlainText(content);
+  }
+
+  if (!result || !result.conversation.length) {
+    throw new ImportError(
+      "Could not find a transcript. Upload a session export, a Realtime event log, or a [ROLE]: text transcript.",
+    );
+  }
+  return result;
+}
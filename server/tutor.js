@@ -0,0 +1,149 @@
+// tutor.js
+
+import { z } from "zod";
+import { getProvider } from "./providers/index.js";
+import { completionUsage } from "./usage.js";
+
+/**
+ * Practice (tutor) mode: the same voice pipeline as the exam, with a friendly
+ * tutor persona that corrects gently, answers "how do I say..." questions and
+ * keeps a vocabulary list. Nothing is graded; at the end the session gets a
+ * practice summary instead of an evaluation.
+ */
+export const SESSION_MODES = ["exam", "tutor"];
+
+const SUMMARY_MODEL = "gpt-4o-mini";
+
+export const TUTOR_TOOLS = [
+  {
+    type: "function",
+    name: "save_vocabulary",
+    description:
+      "Add a word or phrase to the learner's vocabulary list: anything you taught them, or a word they asked about.",
+    parameters: {
+      type: "object",
+      properties: {
+        term: { type: "string", description: "The word or phrase in the target language" },
+        meaning: { type: "string", description: "Its meaning in English" },
+        example: { type: "string", description: "A short example sentence in the target language" },
+      },
+      required: ["term", "meaning"],
+    },
+  },
+  {
+    type: "function",
+    name: "note_correction",
+    description: "Record a correction you just gave the learner, so it appears in their practice summary.",
+    parameters: {
+      type: "object",
+      properties: {
+        utterance: { type: "string", description: "What the learner said, quoted as spoken" },
+        correction: { type: "string", description: "The corrected form in the target language" },
+        explanation: { type: "string", description: "One short sentence on why, in English" },
+      },
+      required: ["utterance", "correction"],
+    },
+  },
+];
+
+/**
+ * Realtime instructions for a practice session in one language.
+ */
+export function tutorInstructions(language) {
+  return `You are a warm, patient ${language.name} tutor having a practice conversation with a learner.
+        This is practice, not a test: never score or grade the learner.
+
+        When the session begins, greet the learner in English and ask what they would like to talk about
+        or practise in ${language.name}. Then speak mostly in ${language.name}, at a level slightly above theirs.
+
+        YOU SHOULD:
+        - Correct mistakes gently and inline: repeat the learner's sentence correctly, then carry on the conversation
+        - Only correct the one or two most useful mistakes in each answer
+        - Answer "how do I say..." questions directly, with an example, then invite the learner to use it
+        - Switch to English briefly when the learner is stuck, then return to ${language.name}
+        - Keep your turns short so the learner does most of the talking
+
+        TUTOR TOOLS:
+        - Call save_vocabulary for every new word or phrase you teach or the learner asks about
+        - Call note_correction each time you correct the learner
+        - Never read tool results aloud
+        ${language.instructions ? `\n        LANGUAGE NOTES:\n        ${language.instructions}\n` : ""}`;
+}
+
+export const PracticeSummarySchema = z.object({
+  new_words: z.array(
+    z.object({
+      term: z.string(),
+      meaning: z.string(),
+      example: z.string(),
+    }),
+  ),
+  recurring_mistakes: z.array(
+    z.object({
+      pattern: z.string().describe("The kind of mistake, e.g. 'gender agreement on adjectives'"),
+      examples: z.array(z.string()),
+      correction: z.string().describe("How to get it right"),
+    }),
+  ),
+  suggestions: z.array(z.string()),
+  encouragement: z.string(),
+});
+
+/**
+ * Summarize a practice conversation: new words, recurring mistakes and what to practise next.
+ * vocabulary and corrections are what the tutor logged through its tools. Explanations are
+ * written in feedbackLanguage (English by default); examples stay in the target language.
+ */
+export async function summarizePractice({
+  conversation,
+  language,
+  vocabulary = [],
+  corrections = [],
+  feedbackLanguage = null,
+}) {
+  const explanationLanguage = feedbackLanguage || "English";
+  const { parsed: summary, usage } = await getProvider().parseStructured({
+    model: SUMMARY_MODEL,
+    messages: [
+      {
+        role: "system",
+        content: `You are a ${language?.name || "language"} tutor writing a short, encouraging summary of a practice conversation for the learner.
+            List the new words and phrases that came up (include every word the tutor saved), the mistakes the
+            learner made more than once or that matter most, and two or three concrete suggestions for the next
+            practice session. Write each word's meaning, each mistake's pattern and correction, the suggestions
+            and the encouragement in ${explanationLanguage}; keep terms and examples in ${language?.name || "the target language"}.
+            Do not give scores or levels.`,
+      },
+      {
+        role: "user",
+        content: conversation.map((c) => `[${c.role === "user" ? "LEARNER" : "TUTOR"}]: ${c.text}`).join("\n"),
+      },
+      ...(vocabulary.length
+        ? [
+            {
+              role: "user",
+              content: `WORDS THE TUTOR SAVED:\n${vocabulary
+                .map((v) => `- ${v.term}: ${v.meaning}${v.example ? ` (${v.example})` : ""}`)
+                .join("\n")}`,
+            },
+          ]
+        : []),
+      ...(corrections.length
+        ? [
+            {
+              role: "user",
+              content: `CORRECTIONS THE TUTOR GAVE:\n${corrections
+                .map((c) => `- "${c.utterance}" -> "${c.correction}"${c.explanation ? ` (${c.explanation})` : ""}`)
+                .join("\n")}`,
+            },
+          ]
+        : []),
+    ],
+    schema: PracticeSummarySchema,
+    schemaName: "practice_summary",
+  });
+
+  summary.feedback_language = explanationLanguage;
+  summary.usage = completionUsage(usage, SUMMARY_MODEL);
+  return summary;
+}
@@ -0,0 +1,234 @@
+// usage.js
+
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { fileURLToPath } from "url";
+import { z } from "zod";
+
+/**
+ * Token accounting and cost estimates.
+ * Realtime usage is summed from the response.done events in a session's
+ * event log; evaluation usage comes from each stored evaluation's `usage`.
+ * Prices come from config/pricing.json (or the file named by PRICING_CONFIG),
+ * in currency units per million tokens.
+ */
+const ModelPriceSchema = z.object({
+  textInput: z.number().nonnegative(),
+  textCachedInput: z.number().nonnegative().optional(),
+  textOutput: z.number().nonnegative(),
+  audioInput: z.number().nonnegative().default(0),
+  audioCachedInput: z.number().nonnegative().optional(),
+  audioOutput: z.number().nonnegative().default(0),
+});
+
+const PricingSchema = z.object({
+  currency: z.string().default("USD"),
+  models: z.record(ModelPriceSchema),
+});
+
+const CONFIG_PATH = process.env.PRICING_CONFIG
+  ? resolve(process.env.PRICING_CONFIG)
+  : fileURLToPath(new URL("./config/pricing.json", import.meta.url));
+
+// Parse once at startup so a broken price table fails fast
+const PRICING = PricingSchema.parse(JSON.parse(readFileSync(CONFIG_PATH, "utf8")));
+
+const PER_TOKEN = 1 / 1_000_000;
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Sum the usage blocks of every response.done event in a Realtime event log.
+ * Cached input tokens are split by modality when the API reports it,
+ * otherwise counted as text.
+ */
+export function realtimeUsageFromEvents(events, model) {
+  const usage = {
+    model,
+    responses: 0,
+    text_input_tokens: 0,
+    text_cached_input_tokens: 0,
+    audio_input_tokens: 0,
+    audio_cached_input_tokens: 0,
+    text_output_tokens: 0,
+    audio_output_tokens: 0,
+  };
+
+  for (const ev of events || []) {
+    const u = ev.type === "response.done" && ev.response?.usage;
+    if (!u) continue;
+
+    const input = u.input_token_details || {};
+    const output = u.output_token_details || {};
+    const cachedAudio = input.cached_tokens_details?.audio_tokens ?? 0;
+    const cachedText = input.cached_tokens_details?.text_tokens ?? (input.cached_tokens ?? 0) - cachedAudio;
+
+    usage.responses++;
+    usage.text_cached_input_tokens += cachedText;
+    usage.audio_cached_input_tokens += cachedAudio;
+    usage.text_input_tokens += Math.max(0, (input.text_tokens ?? 0) - cachedText);
+    usage.audio_input_tokens += Math.max(0, (input.audio_tokens ?? 0) - cachedAudio);
+    usage.text_output_tokens += output.text_tokens ?? 0;
+    usage.audio_output_tokens += output.audio_tokens ?? 0;
+  }
+
+  return usage;
+}
+
+/**
+ * Text models with a price, which are the ones evaluations may be graded with.
+ * Models priced for audio are Realtime models.
+ */
+export function gradingModels() {
+  return Object.entries(PRICING.models)
+    .filter(([, price]) => !price.audioInput && !price.audioOutput)
+    .map(([model]) => model);
+}
+
+/**
+ * Normalize a chat completion's usage block, tagged with the model that produced it.
+ */
+export function completionUsage(usage, model) {
+  const cached = usage?.prompt_tokens_details?.cached_tokens ?? 0;
+  return {
+    model,
+    input_tokens: Math.max(0, (usage?.prompt_tokens ?? 0) - cached),
+    cached_input_tokens: cached,
+    output_tokens: usage?.completion_tokens ?? 0,
+  };
+}
+
+function realtimeCost(usage) {
+  const price = PRICING.models[usage.model];
+  if (!price) return null;
+  return roundCost(
+    PER_TOKEN *
+      (usage.text_input_tokens * price.textInput +
+        usage.text_cached_input_tokens * (price.textCachedInput ?? price.textInput) +
+        usage.audio_input_tokens * price.audioInput +
+        usage.audio_cached_input_tokens * (price.audioCachedInput ?? price.audioInput) +
+        usage.text_output_tokens * price.textOutput +
+        usage.audio_output_tokens * price.audioOutput),
+  );
+}
+
+function completionCost(usage) {
+  const price = PRICING.models[usage.model];
+  if (!price) return null;
+  return roundCost(
+    PER_TOKEN *
+      (usage.input_tokens * price.textInput +
+        usage.cached_input_tokens * (price.textCachedInput ?? price.textInput) +
+        usage.output_tokens * price.textOutput),
+  );
+}
+
+// A total is only known if every part of it could be priced
+const sumCosts = (costs) => (costs.some((c) => c === null) ? null : roundCost(costs.reduce((a, b) => a + b, 0)));
+
+/**
+ * Token and cost totals for one session: the Realtime interview plus every
+ * evaluation run on it (re-evaluations included, since each one was billed).
+ * A practice session's summary and the running level estimates (as logged by
+ * the server) are counted with the evaluation runs.
+ */
+export function sessionUsage(
+  { events, evaluation, evaluationHistory, practiceSummary, levelEstimates, adaptiveDifficulty },
+  { realtimeModel },
+) {
+  const realtime = realtimeUsageFromEvents(events, realtimeModel);
+  // An ensemble evaluation carries one usage entry per grading pass
+  const runs = [
+    ...(evaluationHistory || []),
+    evaluation,
+    practiceSummary,
+    // Sessions saved before the server logged estimates only have the client's copy
+    ...(levelEstimates ?? adaptiveDifficulty?.estimates ?? []),
+  ].flatMap((e) => e?.usage ?? []);
+
+  const evaluationTokens = runs.reduce(
+    (sum, run) => sum + run.input_tokens + run.cached_input_tokens + run.output_tokens,
+    0,
+  );
+  const realtimeCostValue = realtime.responses ? realtimeCost(realtime) : 0;
+  const evaluationCostValue = sumCosts(runs.map(completionCost));
+
+  return {
+    realtime,
+    evaluation: {
+      runs: runs.length,
+      models: [...new Set(runs.map((run) => run.model))],
+      input_tokens: runs.reduce((sum, run) => sum + run.input_tokens, 0),
+      cached_input_tokens: runs.reduce((sum, run) => sum + run.cached_input_tokens, 0),
+      output_tokens: runs.reduce((sum, run) => sum + run.output_tokens, 0),
+    },
+    totals: {
+      audio_tokens:
+        realtime.audio_input_tokens + realtime.audio_cached_input_tokens + realtime.audio_output_tokens,
+      text_tokens:
+        realtime.text_input_tokens + realtime.text_cached_input_tokens + realtime.text_output_tokens,
+      evaluation_tokens: evaluationTokens,
+    },
+    cost: {
+      currency: PRICING.currency,
+      realtime: realtimeCostValue,
+      evaluation: evaluationCostValue,
+      total: sumCosts([realtimeCostValue, evaluationCostValue]),
+    },
+  };
+}
+
+function emptyRow(key) {
+  return { key, sessions: 0, audio_tokens: 0, text_tokens: 0, evaluation_tokens: 0, cost: 0, unpriced: 0 };
+}
+
+function addUsage(row, usage) {
+  row.sessions++;
+  row.audio_tokens += usage.totals.audio_tokens;
+  row.text_tokens += usage.totals.text_tokens;
+  row.evaluation_tokens += usage.totals.evaluation_tokens;
+  if (usage.cost.total === null) {
+    row.unpriced++;
+  } else {
+    row.cost = roundCost(row.cost + usage.cost.total);
+  }
+}
+
+function addTo(rows, key, usage) {
+  if (!rows.has(key)) rows.set(key, emptyRow(key));
+  addUsage(rows.get(key), usage);
+}
+
+/**
+ * Usage summed by user, language and day (UTC) for the admin report.
+ * from/to are inclusive YYYY-MM-DD bounds on the session's creation date.
+ * Sessions stored before usage was tracked are measured on the fly.
+ */
+export function buildUsageReport(sessions, { from, to, realtimeModel } = {}) {
+  const byUser = new Map();
+  const byLanguage = new Map();
+  const byDay = new Map();
+  const total = emptyRow("total");
+
+  for (const session of sessions) {
+    const day = session.createdAt.slice(0, 10);
+    if ((from && day < from) || (to && day > to)) continue;
+
+    const usage = session.usage || sessionUsage(session, { realtimeModel });
+    addTo(byUser, session.owner || "(no account)", usage);
+    addTo(byLanguage, session.language, usage);
+    addTo(byDay, day, usage);
+    addUsage(total, usage);
+  }
+
+  const rows = (map) => [...map.values()].sort((a, b) => b.cost - a.cost || b.sessions - a.sessions);
+  return {
+    currency: PRICING.currency,
+    from: from || null,
+    to: to || null,
+    total,
+    byUser: rows(byUser),
+    byLanguage: rows(byLanguage),
+    byDay: [...byDay.values()].sort((a, b) => (a.key < b.key ? 1 : -1)),
+  };
+}